@@ -5,17 +5,55 @@ dotenv.config();
 // Load dependencies
 import { log } from './src/utils.js';
 import { Client as DiscordClient } from 'discord.js';
-import { recover_clients } from './src/blackboard/methods.js';
+import { open_database, import_legacy_clients, backup_database, close_database } from './src/database.js';
+import { recover_clients, flush_persists } from './src/blackboard/methods.js';
+import { recover_guild_settings } from './src/guilds.js';
 import { register_slash_commands, on_client_interaction } from './src/discord.js';
+import { is_http_server_enabled, start_http_server } from './src/server.js';
+import { register_calendar_routes } from './src/commands/calendar.js';
+import { register_api_routes } from './src/api.js';
 
 // Wrap the startup logic in an async function to allow for await statements
 const start_time = Date.now();
 (async () => {
+    // Open the database and import any clients from a legacy clients JSON file
+    try {
+        open_database();
+    } catch (error) {
+        log('DATABASE', `Failed to open the database: ${error.message}`);
+        process.exit(1);
+    }
+    const imported = import_legacy_clients();
+    if (imported) log('DATABASE', `Imported ${imported} Blackboard client(s) from ${process.env['CLIENTS_JSON']}`);
+
+    // Load the permission settings of the servers configured by their admins
+    recover_guild_settings();
+
+    // Backup the database on startup and every 6 hours
+    const backup = () => backup_database().catch((error) => log('DATABASE', `Failed to backup: ${error.message}`));
+    await backup();
+    setInterval(backup, 1000 * 60 * 60 * 6);
+
+    // Flush all pending writes before the process exits
+    for (const signal of ['SIGINT', 'SIGTERM'])
+        process.once(signal, async () => {
+            await flush_persists();
+            close_database();
+            process.exit(0);
+        });
+
     // Create a new Discord client to connect to the Discord API as a bot
     const client = new DiscordClient({
         intents: [],
     });
 
+    // Start the optional HTTP server for calendar feeds and the REST API which resolves servers through the bot
+    if (is_http_server_enabled()) {
+        register_calendar_routes();
+        register_api_routes(client);
+        await start_http_server();
+    }
+
     // Bind a handler to the interactionCreate event to handle slash commands
     client.on('interactionCreate', on_client_interaction);
 
@@ -0,0 +1,149 @@
+/**
+ * Returns a seeded pseudo random number generator which returns numbers between 0 and 1.
+ * Note! The same seed always produces the same sequence of numbers to keep fixtures reproducible.
+ *
+ * @param {Number} seed
+ * @returns {function():Number}
+ */
+export function create_random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const COURSE_NAMES = [
+    'Introduction to Computer Science',
+    'Data Structures',
+    'Calculus I',
+    'Linear Algebra',
+    'English Composition',
+    'General Psychology',
+    'Principles of Microeconomics',
+    'Discrete Mathematics',
+];
+
+const CATEGORIES = ['Homework', 'Quiz', 'Exam', 'Discussion Board', 'Project'];
+
+/**
+ * @typedef {Object} MockAttempt
+ * @property {String} id
+ * @property {Number} created_at
+ * @property {{ id: null|string, body: null|string, size: null|number }} submission
+ * @property {{ score: null|number, feedback: null|string }} grade
+ */
+
+/**
+ * @typedef {Object} MockAssignment
+ * @property {String} id
+ * @property {String} name
+ * @property {String} category
+ * @property {Number} deadline_at
+ * @property {Number} possible
+ * @property {String} description
+ * @property {Number} created_at
+ * @property {Number} updated_at
+ * @property {Array<MockAttempt>} attempts
+ */
+
+/**
+ * @typedef {Object} MockCourse
+ * @property {String} id
+ * @property {String} url
+ * @property {String} name
+ * @property {String} code
+ * @property {String|null} description
+ * @property {{ id: string, name: string }} term
+ * @property {Number} enrolled_at
+ * @property {Number} accessed_at
+ * @property {Number} updated_at
+ * @property {Array<MockAssignment>} assignments
+ */
+
+/**
+ * @typedef {Object} MockFixtures
+ * @property {{ username: string, password: string, full_name: string }} user
+ * @property {Array<MockCourse>} courses
+ */
+
+/**
+ * Generates reproducible fixtures for the mock Blackboard API from a seed.
+ * Deadlines are generated relative to the given timestamp so fixtures always contain past and upcoming assignments.
+ *
+ * @param {Object=} options
+ * @param {Number=} options.seed The seed for the fixtures.
+ * @param {Number=} options.now The timestamp to generate deadlines around.
+ * @param {Number=} options.courses The number of courses to generate.
+ * @param {Number=} options.assignments The number of assignments to generate per course.
+ * @returns {MockFixtures}
+ */
+export function generate_fixtures(options = {}) {
+    const { seed = 1, now = Date.now(), courses = 4, assignments = 8 } = options;
+    const random = create_random(seed);
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const day = 1000 * 60 * 60 * 24;
+
+    const fixtures = {
+        user: { username: 'student', password: 'password', full_name: 'Test Student' },
+        courses: [],
+    };
+
+    for (let c = 0; c < courses; c++) {
+        const id = `_${1000 + c}_1`;
+        const course = {
+            id,
+            url: `https://bbhosted.cuny.edu/ultra/courses/${id}/outline`,
+            name: COURSE_NAMES[c % COURSE_NAMES.length],
+            code: `MOCK-${100 + c}`,
+            description: null,
+            term: { id: '_1_1', name: 'Mock Term' },
+            enrolled_at: now - day * 60,
+            accessed_at: now - Math.floor(random() * day * 3),
+            updated_at: now - Math.floor(random() * day * 14),
+            assignments: [],
+        };
+
+        for (let a = 0; a < assignments; a++) {
+            // Spread the deadlines from 30 days in the past to 30 days in the future
+            const deadline_at = now + Math.floor((random() * 60 - 30) * day);
+            const category = pick(CATEGORIES);
+            const possible = pick([10, 20, 50, 100]);
+            const assignment = {
+                id: `_${5000 + c * 100 + a}_1`,
+                name: `${category} ${a + 1}`,
+                category,
+                deadline_at,
+                possible,
+                description: `<p>Complete <b>${category} ${a + 1}</b> for ${course.name}.</p>`,
+                created_at: deadline_at - day * 14,
+                updated_at: deadline_at - day * 7,
+                attempts: [],
+            };
+
+            // Past assignments are mostly submitted and some of them are graded
+            const roll = random();
+            if (deadline_at < now ? roll < 0.8 : roll < 0.2) {
+                const graded = deadline_at < now && random() < 0.7;
+                assignment.attempts.push({
+                    id: `_${9000 + c * 100 + a}_1`,
+                    created_at: Math.min(deadline_at, now) - Math.floor(random() * day),
+                    submission: { id: `_${7000 + c * 100 + a}_1`, body: '<p>My submission.</p>', size: 1024 },
+                    grade: {
+                        score: graded ? Math.round(possible * (0.5 + random() * 0.5)) : null,
+                        feedback: graded ? '<p>Good work!</p>' : null,
+                    },
+                });
+            }
+
+            course.assignments.push(assignment);
+        }
+
+        fixtures.courses.push(course);
+    }
+
+    return fixtures;
+}
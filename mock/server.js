@@ -0,0 +1,254 @@
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { pathToFileURL } from 'url';
+import { create_random, generate_fixtures } from './fixtures.js';
+
+/**
+ * @typedef {Object} MockFailure
+ * @property {Number} status The HTTP status code to respond with.
+ * @property {String=} path The path prefix of the requests to fail, all requests are failed if not specified.
+ * @property {Number} remaining The number of requests left to fail.
+ */
+
+/**
+ * @typedef {Object} MockState
+ * @property {import('./fixtures.js').MockFixtures} fixtures The current fixtures.
+ * @property {function():Number} random The seeded random number generator for simulated changes such as grades.
+ * @property {Set<string>} tokens The currently valid session tokens.
+ * @property {Array<MockFailure>} failures The pending simulated failures.
+ * @property {{ ms: Number, path: String=}|null} delay The simulated response delay.
+ */
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {import('http').ServerResponse} response
+ * @param {Number} status
+ * @param {any} body
+ */
+function send(response, status, body) {
+    response.writeHead(status, { 'content-type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses the JSON body of a request.
+ *
+ * @param {import('http').IncomingMessage} request
+ * @returns {Promise<any>}
+ */
+async function read_body(request) {
+    let body = '';
+    for await (const chunk of request) body += chunk;
+    try {
+        return body.length ? JSON.parse(body) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Converts a mock assignment into the simple assignment shape of the `/courses/:id/assignments` endpoint.
+ *
+ * @param {import('./fixtures.js').MockAssignment} assignment
+ * @returns {Object}
+ */
+export function to_simple_assignment({ id, name, category, deadline_at, possible, attempts }) {
+    return { id, name, category, deadline_at, grade: { score: attempts[0]?.grade.score ?? null, possible } };
+}
+
+/**
+ * Converts a mock course into the course shape of the `/courses` endpoint.
+ *
+ * @param {import('./fixtures.js').MockCourse} course
+ * @returns {Object}
+ */
+export function to_course({ assignments, ...course }) {
+    return course;
+}
+
+/**
+ * Applies a grade change to an assignment, an attempt is created if the assignment has none.
+ *
+ * @param {import('./fixtures.js').MockAssignment} assignment
+ * @param {Number} score
+ * @param {String=} feedback
+ */
+function set_grade(assignment, score, feedback = null) {
+    if (!assignment.attempts.length)
+        assignment.attempts.unshift({
+            id: `_${randomBytes(3).toString('hex')}_1`,
+            created_at: Date.now(),
+            submission: { id: null, body: null, size: null },
+            grade: { score: null, feedback: null },
+        });
+    assignment.attempts[0].grade = { score, feedback };
+    assignment.updated_at = Date.now();
+}
+
+/**
+ * Creates a mock Blackboard API server which implements every endpoint used by the Blackboard client.
+ *
+ * Control endpoints are available under `/__mock` to simulate various conditions:
+ * - `POST /__mock/reset` `{ seed }` regenerates the fixtures and invalidates all tokens.
+ * - `GET /__mock/state` returns the current fixtures.
+ * - `POST /__mock/expire-tokens` invalidates all session tokens.
+ * - `POST /__mock/fail` `{ status, path, count }` fails the next `count` requests matching the path prefix.
+ * - `POST /__mock/delay` `{ ms, path }` delays all responses matching the path prefix, `{ ms: 0 }` disables the delay.
+ * - `POST /__mock/grade` `{ course, assignment, score, feedback }` grades an assignment, a random ungraded assignment is graded if none is specified.
+ * - `PATCH /__mock/assignment` `{ course, assignment, ...fields }` updates the fields of an assignment such as its `deadline_at`.
+ *
+ * @param {Object=} options
+ * @param {Number=} options.seed The seed for the fixtures.
+ * @returns {{ server: import('http').Server, state: MockState, listen: function(Number=):Promise<Number>, close: function():Promise<void> }}
+ */
+export function create_mock_server(options = {}) {
+    /** @type {MockState} */
+    const state = {
+        fixtures: generate_fixtures({ seed: options.seed }),
+        random: create_random(options.seed ?? 1),
+        tokens: new Set(),
+        failures: [],
+        delay: null,
+    };
+
+    // Finds a course and optionally one of its assignments from the fixtures
+    const find = (course_id, assignment_id) => {
+        const course = state.fixtures.courses.find(({ id }) => id === course_id);
+        const assignment = course?.assignments.find(({ id }) => id === assignment_id);
+        return { course, assignment };
+    };
+
+    // Issues a new session token
+    const issue_token = () => {
+        const token = randomBytes(16).toString('hex');
+        state.tokens.add(token);
+        return token;
+    };
+
+    // Handles the control endpoints
+    const on_control = async (request, response, path) => {
+        const body = await read_body(request);
+        switch (`${request.method} ${path}`) {
+            case 'POST /__mock/reset':
+                state.fixtures = generate_fixtures({ seed: body.seed ?? options.seed });
+                state.random = create_random(body.seed ?? options.seed ?? 1);
+                state.tokens.clear();
+                state.failures = [];
+                state.delay = null;
+                return send(response, 200, { reset: true });
+            case 'GET /__mock/state':
+                return send(response, 200, state.fixtures);
+            case 'POST /__mock/expire-tokens':
+                state.tokens.clear();
+                return send(response, 200, { expired: true });
+            case 'POST /__mock/fail':
+                state.failures.push({ status: body.status || 500, path: body.path, remaining: body.count || 1 });
+                return send(response, 200, { failures: state.failures.length });
+            case 'POST /__mock/delay':
+                state.delay = body.ms ? { ms: body.ms, path: body.path } : null;
+                return send(response, 200, { delay: state.delay });
+            case 'POST /__mock/grade': {
+                let { course, assignment } = find(body.course, body.assignment);
+                if (!assignment) {
+                    // Pick a random ungraded assignment if none was specified
+                    const candidates = state.fixtures.courses.flatMap((c) =>
+                        c.assignments.filter((a) => a.attempts[0]?.grade.score == null).map((a) => [c, a])
+                    );
+                    if (!candidates.length) return send(response, 404, { error: 'NO_UNGRADED_ASSIGNMENT' });
+                    [course, assignment] = candidates[Math.floor(state.random() * candidates.length)];
+                }
+                const score = body.score ?? Math.round(assignment.possible * (0.5 + state.random() * 0.5));
+                set_grade(assignment, score, body.feedback);
+                return send(response, 200, { course: course.id, assignment: to_simple_assignment(assignment) });
+            }
+            case 'PATCH /__mock/assignment': {
+                const { assignment } = find(body.course, body.assignment);
+                if (!assignment) return send(response, 404, { error: 'NOT_FOUND' });
+                const { course, assignment: id, ...fields } = body;
+                Object.assign(assignment, fields, { updated_at: Date.now() });
+                return send(response, 200, to_simple_assignment(assignment));
+            }
+            default:
+                return send(response, 404, { error: 'NOT_FOUND' });
+        }
+    };
+
+    // Handles the Blackboard API endpoints
+    const on_api = async (request, response, path) => {
+        // Handle the login endpoint which is the only unauthenticated endpoint
+        if (request.method === 'POST' && path === '/login') {
+            const { username, password } = await read_body(request);
+            const { user } = state.fixtures;
+            if (username !== user.username || password !== user.password)
+                return send(response, 401, { error: 'INVALID_CREDENTIALS' });
+            return send(response, 200, { token: issue_token() });
+        }
+
+        // Ensure the request has a valid session token
+        const token = request.headers['authorization'];
+        if (!state.tokens.has(token)) return send(response, 401, { error: 'UNAUTHORIZED' });
+
+        // Handle the refresh endpoint by rotating the session token
+        if (request.method === 'POST' && path === '/login/refresh') {
+            state.tokens.delete(token);
+            return send(response, 200, { token: issue_token() });
+        }
+
+        // Only GET requests are supported for the remaining endpoints
+        if (request.method !== 'GET') return send(response, 405, { error: 'METHOD_NOT_ALLOWED' });
+        if (path === '/me') return send(response, 200, { full_name: state.fixtures.user.full_name });
+        if (path === '/courses') return send(response, 200, state.fixtures.courses.map(to_course));
+
+        // Handle the course assignment endpoints
+        const [, course_id, assignment_id] = path.match(/^\/courses\/([^/]+)\/assignments(?:\/([^/]+))?$/) || [];
+        const { course, assignment } = find(course_id, assignment_id);
+        if (!course) return send(response, 404, { error: 'NOT_FOUND' });
+        if (!assignment_id) return send(response, 200, course.assignments.map(to_simple_assignment));
+        if (!assignment) return send(response, 404, { error: 'NOT_FOUND' });
+
+        // Hide the details of assignments which have not been opened yet like Blackboard does
+        if (assignment.created_at > Date.now()) return send(response, 403, { error: 'FORBIDDEN' });
+        const { description, created_at, updated_at, deadline_at, attempts } = assignment;
+        return send(response, 200, { description, created_at, updated_at, deadline_at, attempts });
+    };
+
+    const server = createServer(async (request, response) => {
+        const path = new URL(request.url, 'http://localhost').pathname;
+        if (path.startsWith('/__mock/')) return on_control(request, response, path);
+
+        // Simulate a slow response
+        if (state.delay && (!state.delay.path || path.startsWith(state.delay.path)))
+            await new Promise((resolve) => setTimeout(resolve, state.delay.ms));
+
+        // Simulate a failed response
+        const failure = state.failures.find(({ path: prefix }) => !prefix || path.startsWith(prefix));
+        if (failure) {
+            if (--failure.remaining <= 0) state.failures.splice(state.failures.indexOf(failure), 1);
+            return send(response, failure.status, { error: 'SIMULATED_FAILURE' });
+        }
+
+        return on_api(request, response, path);
+    });
+
+    return {
+        server,
+        state,
+        listen: (port = 0) => new Promise((resolve) => server.listen(port, () => resolve(server.address().port))),
+        close: () =>
+            new Promise((resolve) => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            }),
+    };
+}
+
+// Start the mock server when this file is run directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const seed = Number(process.env['MOCK_SEED']) || 1;
+    const mock = create_mock_server({ seed });
+    const port = await mock.listen(Number(process.env['MOCK_PORT']) || 4000);
+    const { username, password } = mock.state.fixtures.user;
+    console.log(`Mock Blackboard API listening on http://localhost:${port} with seed ${seed}`);
+    console.log(`Set BLACKBOARD_API_BASE=http://localhost:${port} and login with ${username} / ${password}`);
+}
@@ -0,0 +1,308 @@
+import { createHash, randomBytes } from 'crypto';
+import { RegisteredClients } from './blackboard/client.js';
+import { identifier_to_caller } from './blackboard/methods.js';
+import {
+    alert_types,
+    ALERTS_INTERVALS,
+    check_alert_channel,
+    NOTIFICATION_TYPES,
+    parse_alert_quiet_hours,
+    parse_reminder_hours,
+} from './commands/alerts.js';
+import { find_course } from './commands/courses.js';
+import { create_api_key, use_api_key } from './database.js';
+import { check_member_access } from './guilds.js';
+import { parse_alert_schedule } from './schedule.js';
+import { register_route, read_json, send_json } from './server.js';
+
+/**
+ * The known errors of the REST API mapped to their HTTP status codes.
+ */
+const API_ERRORS = {
+    INVALID_API_KEY: 401,
+    NO_CLIENT: 409,
+    NO_COURSE: 404,
+    NO_ASSIGNMENT: 404,
+    NO_ALERT: 404,
+    INVALID_BODY: 400,
+    INVALID_ALERT: 400,
+    GUILD_NOT_ALLOWED: 403,
+    CHANNEL_NOT_ALLOWED: 403,
+    INVALID_IGNORE_TYPE: 400,
+};
+
+/**
+ * The types of ignore lists which can be changed through the REST API.
+ */
+const IGNORE_TYPES = ['courses', 'assignments', 'categories'];
+
+/**
+ * Returns the SHA-256 hash of an API key which is the only form of the key that is stored.
+ *
+ * @param {String} key
+ * @returns {String}
+ */
+export function hash_api_key(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generates and stores a new API key for the account with the given identifier.
+ * Note! The plain API key is only returned once and can not be recovered afterwards.
+ *
+ * @param {String} identifier
+ * @returns {String} The plain API key.
+ */
+export function issue_api_key(identifier) {
+    const key = `bbk_${randomBytes(32).toString('base64url')}`;
+    create_api_key(identifier, hash_api_key(key));
+    return key;
+}
+
+/**
+ * Resolves the registered client and the Discord user owning the API key of a request.
+ *
+ * @param {import('http').IncomingMessage} request
+ * @returns {{ client: import('./blackboard/client.js').BlackboardClient, user: String }}
+ */
+function authenticate(request) {
+    // Retrieve the API key from the authorization or x-api-key headers
+    const header = request.headers['authorization'] || '';
+    const key = header.startsWith('Bearer ') ? header.substring(7) : request.headers['x-api-key'];
+    if (!key) throw new Error('INVALID_API_KEY');
+
+    // Resolve the account which owns the API key
+    const identifier = use_api_key(hash_api_key(key));
+    if (!identifier) throw new Error('INVALID_API_KEY');
+
+    // Ensure the account has an active client
+    const client = RegisteredClients.get(identifier);
+    if (!client || !client.name) throw new Error('NO_CLIENT');
+    return { client, user: identifier_to_caller(identifier).user };
+}
+
+/**
+ * Wraps a route handler to authenticate the request and map known errors to JSON error responses.
+ *
+ * @param {function(import('./blackboard/client.js').BlackboardClient, Object<string, string>, URL, import('http').IncomingMessage, String):Promise<[Number, any]>} handler
+ * @returns {import('./server.js').RouteHandler}
+ */
+function with_client(handler) {
+    return async (request, response, params, url) => {
+        try {
+            const { client, user } = authenticate(request);
+            const [status, body] = await handler(client, params, url, request, user);
+            send_json(response, status, body);
+        } catch (error) {
+            const status = API_ERRORS[error.message];
+            if (!status) throw error;
+            send_json(response, status, { error: error.message });
+        }
+    };
+}
+
+/**
+ * Resolves a course from a stable course number such as `3` for "Course #3", an alias or a Blackboard course ID.
+ *
+ * @param {import('./blackboard/client.js').BlackboardClient} client
+ * @param {String} value
+ * @returns {Promise<import('./blackboard/client.js').Course>}
+ */
+async function resolve_course(client, value) {
+    const course = find_course(await client.get_all_courses(Infinity), value);
+    if (!course) throw new Error('NO_COURSE');
+    return course;
+}
+
+/**
+ * Ensures a Discord user may post alerts to a channel of a guild the same way as the alerts command.
+ * Note! Guilds, members and channels are resolved through the bot so callers can not name servers they are not part of.
+ *
+ * @param {import('discord.js').Client} bot
+ * @param {String} user
+ * @param {String} guild_id
+ * @param {String} channel_id
+ * @returns {Promise<void>}
+ */
+async function ensure_alert_channel(bot, user, guild_id, channel_id) {
+    // Ensure the user is a member of the guild who may use the bot
+    const guild = await bot?.guilds.fetch(guild_id).catch(() => null);
+    const member = await guild?.members.fetch(user).catch(() => null);
+    if (!member || check_member_access(guild.id, member)) throw new Error('GUILD_NOT_ALLOWED');
+
+    // Ensure the channel belongs to the guild and alerts may be posted to it
+    const channel = await guild.channels.fetch(channel_id).catch(() => null);
+    if (!channel?.isTextBased() || check_alert_channel(guild, channel)) throw new Error('CHANNEL_NOT_ALLOWED');
+}
+
+/**
+ * Registers all REST API routes on the HTTP server.
+ *
+ * @param {import('discord.js').Client} bot The Discord client used to resolve the guilds and channels of alerts.
+ */
+export function register_api_routes(bot) {
+    // Returns the authenticated Blackboard user
+    register_route(
+        'GET',
+        '/api/me',
+        with_client(async (client) => [200, { name: client.name }])
+    );
+
+    // Returns all courses with their course numbers
+    register_route(
+        'GET',
+        '/api/courses',
+        with_client(async (client, params, url) => {
+            const months = Number(url.searchParams.get('max_courses_age')) || 6;
+            const courses = await client.get_all_courses(1000 * 60 * 60 * 24 * 30 * months);
+            return [
+                200,
+                Object.keys(courses).map((key) => ({
+                    number: Number(key.substring(1)),
+                    ...courses[key],
+                    ignored: !!client.ignored('courses', courses[key].id),
+                })),
+            ];
+        })
+    );
+
+    // Returns all assignments for a course
+    register_route(
+        'GET',
+        '/api/courses/:course/assignments',
+        with_client(async (client, { course }, url) => {
+            const status = url.searchParams.get('status') || undefined;
+            const assignments = await client.get_all_assignments(await resolve_course(client, course), { status });
+            return [200, status ? assignments.filter((assignment) => assignment.status === status) : assignments];
+        })
+    );
+
+    // Returns the full details for a single assignment
+    register_route(
+        'GET',
+        '/api/courses/:course/assignments/:assignment',
+        with_client(async (client, { course, assignment }) => {
+            const resolved = await resolve_course(client, course);
+            const simple = (await client.get_all_assignments(resolved)).find(({ id }) => id === assignment);
+            if (!simple) throw new Error('NO_ASSIGNMENT');
+            return [200, await client.get_specific_assignment(resolved, simple)];
+        })
+    );
+
+    // Returns all alerts
+    register_route(
+        'GET',
+        '/api/alerts',
+        with_client(async (client) => [200, client.alerts])
+    );
+
+    // Creates or updates an alert
+    register_route(
+        'POST',
+        '/api/alerts',
+        with_client(async (client, params, url, request, user) => {
+            const body = await read_json(request);
+            if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new Error('INVALID_BODY');
+            const {
+                summary,
+                guild = null,
+                channel = null,
+                interval = 'DAILY',
+                hour_of_day = 8,
+                max_courses_age = 6,
+            } = body;
+
+            // Validate the alert the same way as the alerts command
+            const reminder_hours = parse_reminder_hours(
+                Array.isArray(body.reminder_hours) ? body.reminder_hours.join(',') : body.reminder_hours
+            );
+            if (
+                !alert_types()[summary] ||
+                !ALERTS_INTERVALS[interval] ||
+                !(Number.isInteger(hour_of_day) && hour_of_day >= 0 && hour_of_day <= 23) ||
+                !(max_courses_age >= 1 && max_courses_age <= 48) ||
+                !reminder_hours ||
+                ((!guild || !channel) && summary !== 'GRADE_NOTIFICATIONS') ||
+                (channel && !guild)
+            )
+                throw new Error('INVALID_ALERT');
+
+            // Ensure the caller may post alerts to the channel while alerts without a channel are sent as DMs
+            if (channel) await ensure_alert_channel(bot, user, String(guild), String(channel));
+
+            // Determine the schedule of summary alerts where lists may also be provided as arrays
+            let schedule = { interval, hour_of_day };
+            if (!NOTIFICATION_TYPES[summary]) {
+                const join = (value) => (Array.isArray(value) ? value.join(',') : value);
+                try {
+                    schedule = parse_alert_schedule(
+                        {
+                            interval,
+                            hour_of_day,
+                            times: join(body.times),
+                            weekdays: join(body.weekdays),
+                            cron: body.cron,
+                        },
+                        client.timezone
+                    );
+                } catch {
+                    throw new Error('INVALID_ALERT');
+                }
+            }
+
+            // Validate the quiet hours of the alert where "off" ignores and "default" follows the quiet hours of the user
+            const quiet_hours = typeof body.quiet_hours === 'string' ? parse_alert_quiet_hours(body.quiet_hours) : null;
+            if (
+                quiet_hours === undefined ||
+                (body.quiet_hours !== undefined && typeof body.quiet_hours !== 'string') ||
+                (body.all_clear !== undefined && typeof body.all_clear !== 'boolean')
+            )
+                throw new Error('INVALID_ALERT');
+
+            // Deploy the alert
+            const alert = { summary, guild: channel ? guild : null, channel, ...schedule, max_courses_age };
+            if (summary === 'DEADLINE_REMINDERS') alert.reminder_hours = reminder_hours;
+            if (body.all_clear !== undefined && !NOTIFICATION_TYPES[summary]) alert.all_clear = body.all_clear;
+            if (quiet_hours !== null) alert.quiet_hours = quiet_hours;
+            const created = client.deploy_alert(alert);
+            return [created ? 201 : 200, alert];
+        })
+    );
+
+    // Deletes an alert by its channel (or "DM") and summary type
+    register_route(
+        'DELETE',
+        '/api/alerts/:channel/:summary',
+        with_client(async (client, { channel, summary }) => {
+            if (!client.delete_alert(channel === 'DM' ? null : channel, summary)) throw new Error('NO_ALERT');
+            return [200, { deleted: true }];
+        })
+    );
+
+    // Returns all ignore lists
+    register_route(
+        'GET',
+        '/api/ignores',
+        with_client(async (client) => [200, client.ignores])
+    );
+
+    // Ignores an identifier of the given type
+    register_route(
+        'PUT',
+        '/api/ignores/:type/:identifier',
+        with_client(async (client, { type, identifier }) => {
+            if (!IGNORE_TYPES.includes(type)) throw new Error('INVALID_IGNORE_TYPE');
+            return [200, { changed: client.ignore(type, identifier) }];
+        })
+    );
+
+    // Un-ignores an identifier of the given type
+    register_route(
+        'DELETE',
+        '/api/ignores/:type/:identifier',
+        with_client(async (client, { type, identifier }) => {
+            if (!IGNORE_TYPES.includes(type)) throw new Error('INVALID_IGNORE_TYPE');
+            return [200, { changed: client.unignore(type, identifier) }];
+        })
+    );
+}
@@ -0,0 +1,225 @@
+import { get_registered_client, list_user_accounts } from './blackboard/methods.js';
+import { find_course } from './commands/courses.js';
+import { get_timezone_offset, list_timezones, truncate } from './utils.js';
+
+/**
+ * The time in milliseconds to cache courses and assignments for autocomplete suggestions.
+ * Note! This is kept short as suggestions are requested on every keystroke but should still reflect recent changes.
+ */
+export const AUTOCOMPLETE_CACHE_TIME = 1000 * 60;
+
+/**
+ * The maximum number of choices Discord accepts for an autocomplete response.
+ */
+const MAX_CHOICES = 25;
+
+/**
+ * The time in milliseconds to wait for suggestions before responding without them.
+ * Note! Discord only accepts autocomplete responses within 3 seconds of the request.
+ */
+export const AUTOCOMPLETE_TIME_LIMIT = 2000;
+
+/**
+ * The short-lived autocomplete caches for each client which are released along with the client.
+ * @type {WeakMap<import('./blackboard/client.js').BlackboardClient, Map<string, { value: Promise<any>, expires_at: Number }>>}
+ */
+const AutocompleteCaches = new WeakMap();
+
+/**
+ * Returns a cached value for the client or resolves and caches it with the provided resolver.
+ * Note! Pending values are cached as well thus concurrent keystrokes share a single request.
+ *
+ * @param {import('./blackboard/client.js').BlackboardClient} client
+ * @param {String} key
+ * @param {function():Promise<any>} resolver
+ * @returns {Promise<any>}
+ */
+function cached(client, key, resolver) {
+    // Retrieve or create the cache for this client
+    let cache = AutocompleteCaches.get(client);
+    if (!cache) AutocompleteCaches.set(client, (cache = new Map()));
+
+    // Return the cached value if it has not expired yet
+    const entry = cache.get(key);
+    if (entry && entry.expires_at > Date.now()) return entry.value;
+
+    // Resolve the value and forget it if it fails to allow for a retry
+    const value = resolver();
+    value.catch(() => cache.delete(key));
+    cache.set(key, { value, expires_at: Date.now() + AUTOCOMPLETE_CACHE_TIME });
+    return value;
+}
+
+/**
+ * Resolves the suggestions or no suggestions if they are not available within the autocomplete time limit.
+ * Note! Slow requests keep running in the background and fill the cache for the following keystrokes.
+ *
+ * @param {Promise<Array<import('discord.js').ApplicationCommandOptionChoiceData>>} suggestions
+ * @returns {Promise<Array<import('discord.js').ApplicationCommandOptionChoiceData>>}
+ */
+async function within_time_limit(suggestions) {
+    let timeout;
+    const expired = new Promise((resolve) => (timeout = setTimeout(() => resolve([]), AUTOCOMPLETE_TIME_LIMIT)));
+    try {
+        return await Promise.race([suggestions, expired]);
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Returns whether or not all words of the query are contained in the provided values.
+ *
+ * @param {String} query
+ * @param {Array<String>} values
+ * @returns {Boolean}
+ */
+function matches(query, values) {
+    const haystack = values.join(' ').toLowerCase();
+    return query
+        .toLowerCase()
+        .split(/\s+/)
+        .every((word) => haystack.includes(word));
+}
+
+/**
+ * Returns the suggestions for the accounts of the caller for the provided query.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {String} query
+ * @returns {Array<import('discord.js').ApplicationCommandOptionChoiceData>}
+ */
+function suggest_accounts(interaction, query) {
+    return list_user_accounts(interaction.user.id)
+        .filter(({ label, client }) => matches(query, [label, client.name || '']))
+        .map(({ label, client }) => ({
+            name: truncate(client.name ? `${label} - ${client.name}` : label, 100),
+            value: label,
+        }));
+}
+
+/**
+ * Returns the suggestions for IANA timezones along with their current UTC offset for the provided query.
+ *
+ * @param {String} query
+ * @returns {Array<import('discord.js').ApplicationCommandOptionChoiceData>}
+ */
+function suggest_timezones(query) {
+    const suggestions = [];
+    for (const timezone of list_timezones()) {
+        const offset = get_timezone_offset(timezone);
+        if (!matches(query, [timezone.replace(/_/g, ' '), offset])) continue;
+        suggestions.push({ name: `${timezone} (${offset})`, value: timezone });
+        if (suggestions.length === MAX_CHOICES) break;
+    }
+    return suggestions;
+}
+
+/**
+ * Returns the course suggestions for the provided query.
+ *
+ * @param {import('./blackboard/client.js').BlackboardClient} client
+ * @param {String} query
+ * @returns {Promise<Array<import('discord.js').ApplicationCommandOptionChoiceData>>}
+ */
+async function suggest_courses(client, query) {
+    const courses = await cached(client, 'courses', () => client.get_all_courses(Infinity));
+    return Object.keys(courses)
+        .filter((key) => matches(query, [key, courses[key].name, courses[key].code || '', ...courses[key].aliases]))
+        .map((key) => ({ name: truncate(`Course ${key} - ${courses[key].name}`, 100), value: courses[key].id }));
+}
+
+/**
+ * Returns the assignment suggestions for the provided query within the course option of the interaction.
+ *
+ * @param {import('./blackboard/client.js').BlackboardClient} client
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {String} query
+ * @returns {Promise<Array<import('discord.js').ApplicationCommandOptionChoiceData>>}
+ */
+async function suggest_assignments(client, interaction, query) {
+    // Resolve the course which has been selected in the course option
+    const courses = await cached(client, 'courses', () => client.get_all_courses(Infinity));
+    const course = find_course(courses, interaction.options.getString('course') || '');
+    if (!course) return [];
+
+    // Suggest the assignments of the course with the closest deadlines first
+    // Note! The upcoming status filter avoids fetching the details of each assignment as only the names are needed
+    const assignments = await cached(client, `assignments.${course.id}`, () =>
+        client.get_all_assignments(course, { status: 'UPCOMING' })
+    );
+    return assignments
+        .filter(({ name, category }) => matches(query, [name, category || '']))
+        .sort((a, b) => Math.abs(a.deadline_at - Date.now()) - Math.abs(b.deadline_at - Date.now()))
+        .map(({ id, name }) => ({ name: truncate(name, 100), value: id }));
+}
+
+/**
+ * Returns the category suggestions for the provided query within the course option of the interaction or all courses.
+ *
+ * @param {import('./blackboard/client.js').BlackboardClient} client
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {String} query
+ * @returns {Promise<Array<import('discord.js').ApplicationCommandOptionChoiceData>>}
+ */
+async function suggest_categories(client, interaction, query) {
+    // Resolve the course which has been selected in the course option or otherwise all courses
+    const courses = await cached(client, 'courses', () => client.get_all_courses(Infinity));
+    const course_query = interaction.options.getString('course');
+    const course = course_query ? find_course(courses, course_query) : undefined;
+    const sources = course ? [course] : Object.values(courses);
+
+    // Suggest the unique categories of the assignments of all courses retrieved at once in alphabetical order
+    const categories = new Set();
+    const assignments = await Promise.all(
+        sources.map((source) =>
+            cached(client, `assignments.${source.id}`, () => client.get_all_assignments(source, { status: 'UPCOMING' }))
+        )
+    );
+    assignments.flat().forEach(({ category }) => category && categories.add(category));
+    return [...categories]
+        .filter((category) => matches(query, [category]))
+        .sort()
+        .map((category) => ({ name: truncate(category, 100), value: category.substring(0, 100) }));
+}
+
+/**
+ * Handles autocomplete interactions by suggesting accounts, timezones, courses, assignments and categories for the focused option.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_autocomplete_interaction(interaction) {
+    // Retrieve the focused option and the client of the caller
+    const { name, value } = interaction.options.getFocused(true);
+    const client = get_registered_client(interaction);
+
+    // Determine the suggestions for the focused option
+    let choices = [];
+    try {
+        if (name === 'account') choices = suggest_accounts(interaction, value.trim());
+        else if (name === 'timezone') choices = suggest_timezones(value.trim());
+        else if (client)
+            switch (name) {
+                case 'course':
+                    choices = await within_time_limit(suggest_courses(client, value.trim()));
+                    break;
+                case 'assignment':
+                    choices = await within_time_limit(suggest_assignments(client, interaction, value.trim()));
+                    break;
+                case 'category':
+                    choices = await within_time_limit(suggest_categories(client, interaction, value.trim()));
+                    break;
+            }
+    } catch (error) {
+        console.error(error);
+    }
+
+    // Respond with the suggestions within the Discord limits
+    // Note! Responding fails with "Unknown interaction" if Discord has stopped waiting for the suggestions
+    try {
+        await interaction.respond(choices.slice(0, MAX_CHOICES));
+    } catch (error) {
+        console.error(error);
+    }
+}
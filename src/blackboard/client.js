@@ -1,10 +1,48 @@
-import * as whenTime from 'when-time';
 import { EventEmitter } from 'events';
-import { with_retries } from '../utils.js';
+import { get_legacy_weekdays, get_next_run, get_quiet_hours_end } from '../schedule.js';
+import { get_default_timezone, group_embeds_into_messages, with_retries } from '../utils.js';
+import { encrypt, decrypt, is_encrypted } from '../encryption.js';
 import { generate_summary_embeds } from '../commands/summary.js';
+import { generate_all_clear_message, generate_reminder_embeds, generate_grade_embeds } from '../commands/alerts.js';
 
 export const MAX_KEEP_ALIVE_RETRIES = 5;
 
+/**
+ * The interval in milliseconds at which upcoming assignment deadlines are synced for deadline reminders.
+ */
+export const REMINDER_SYNC_INTERVAL = 1000 * 60 * 60;
+
+/**
+ * The number of times a failed alert delivery is retried before it counts as a failed delivery.
+ */
+export const ALERT_DELIVERY_RETRIES = 2;
+
+/**
+ * The delay in milliseconds between the retries of a failed alert delivery.
+ */
+export const ALERT_RETRY_DELAY = 1000 * 30;
+
+/**
+ * The number of consecutive failed deliveries after which an alert is automatically paused.
+ */
+export const MAX_ALERT_FAILURES = 3;
+
+/**
+ * The maximum delay in milliseconds of a single timeout as larger delays overflow and fire immediately.
+ */
+const MAX_TIMEOUT_DELAY = 2 ** 31 - 1;
+
+/**
+ * Returns whether or not an alert is currently snoozed.
+ * Note! Snoozed notifications keep being tracked so they do not catch up on everything missed once the snooze ends.
+ *
+ * @param {SummaryAlert} alert
+ * @returns {Boolean}
+ */
+function is_snoozed(alert) {
+    return alert.snoozed_until > Date.now();
+}
+
 /**
  * The cache map that stores all available registered Blackboard client instances.
  * @type {Map<string, BlackboardClient>}
@@ -15,12 +53,20 @@ export const RegisteredClients = new Map();
 export class BlackboardClient extends EventEmitter {
     #keep_alive;
     #schedules = new Map();
+    #reminders = new Map();
+    #reminder_interval;
+    #reminder_signature;
+    #reminder_sync;
+    #reminder_resync = false;
+    #grade_poller;
+    #deferred = new Set();
     #client = {
         name: null,
         token: null,
         ignore: {},
         alerts: {},
         cache: {},
+        settings: {},
     };
 
     /**
@@ -29,6 +75,7 @@ export class BlackboardClient extends EventEmitter {
      * @property {String} token The authentication token for the current user.
      * @property {Object<string,any>} alerts The alert settings for the current authenticated user.
      * @property {Object<string,any>} ignore The ignore settings for the current authenticated user.
+     * @property {Object<string,any>=} settings The preferences for the current authenticated user.
      */
 
     constructor() {
@@ -71,13 +118,17 @@ export class BlackboardClient extends EventEmitter {
 
     /**
      * Imports or initiializes a new Blackboard client.
+     * Note! The client may also be an encrypted record produced by `export(true)`.
      *
-     * @param {Client} client
+     * @param {Client|String} client
      * @param {Number=} retries The number of times to retry the authentication process.
      * @param {Number=} delay The delay in milliseconds between each retry.
      * @returns {Promise<Boolean>}
      */
     async import(client, retries = 5, delay = 2500) {
+        // Decrypt the client record if it is encrypted
+        if (is_encrypted(client)) client = JSON.parse(decrypt(client));
+
         // Create a shallow copy of the client object to prevent mutation of the original object
         client = Object.assign({}, client);
 
@@ -112,7 +163,9 @@ export class BlackboardClient extends EventEmitter {
 
         // Perform keep-alive if the client is logged in
         if (is_logged_in) {
-            // Re-schedule all alerts to account for the new imported alerts
+            // Migrate, number and re-schedule all alerts to account for the new imported alerts
+            this._backfill_alert_weekdays();
+            this._number_alerts();
             this._reschedule_alerts();
 
             // Clear the old keep alive interval if it exists
@@ -183,10 +236,15 @@ export class BlackboardClient extends EventEmitter {
     }
 
     /**
-     * Exports the current client to a JSON object.
-     * @returns {Promise<Client>}
+     * Exports the current client to a JSON object or an encrypted record.
+     *
+     * @param {Boolean=} encrypted Whether or not to export the client as an encrypted record.
+     * @returns {Promise<Client|String>}
      */
-    async export() {
+    async export(encrypted = false) {
+        // Return an encrypted record of the client if requested
+        if (encrypted) return encrypt(JSON.stringify(this.#client));
+
         // Return a shallow copy of the client to allow for the caller to modify the object without affecting the internal client data
         return Object.assign({}, this.#client);
     }
@@ -256,6 +314,56 @@ export class BlackboardClient extends EventEmitter {
         }
     }
 
+    /**
+     * Returns whether or not an assignment is being ignored by itself or by its category within the course or globally.
+     * Note! Assignments are ignored as `course_id:assignment_id` and categories as `course_id:category` or `*:category`.
+     *
+     * @param {Course} course
+     * @param {SimpleAssignment} assignment
+     * @returns {Boolean}
+     */
+    ignored_assignment(course, assignment) {
+        // Determine if the assignment itself is being ignored
+        if (this.ignored('assignments', `${course.id}:${assignment.id}`)) return true;
+
+        // Determine if the category of the assignment is being ignored within the course or globally
+        const category = assignment.category?.toLowerCase();
+        if (!category) return false;
+        return (this.#client.ignore['categories'] || []).some((value) => {
+            const [scope, ...name] = value.split(':');
+            return (scope === '*' || scope === course.id) && name.join(':').toLowerCase() === category;
+        });
+    }
+
+    /**
+     * Returns the value of a setting for this client.
+     *
+     * @param {String} key
+     * @returns {any}
+     */
+    get_setting(key) {
+        return this.#client.settings[key];
+    }
+
+    /**
+     * Sets the value of a setting for this client.
+     * Note! Setting a value of `undefined` deletes the setting.
+     *
+     * @param {String} key
+     * @param {any} value
+     */
+    set_setting(key, value) {
+        // Set or delete the setting
+        if (value === undefined) {
+            delete this.#client.settings[key];
+        } else {
+            this.#client.settings[key] = value;
+        }
+
+        // Emit a 'persist' event
+        this.emit('persist');
+    }
+
     /**
      * Sets a value in the cache with an expiration time.
      * @param {string} key
@@ -305,12 +413,174 @@ export class BlackboardClient extends EventEmitter {
      * @property {Number} enrolled_at The timestamp of when the user enrolled in the course.
      * @property {Number} accessed_at The timestamp of when the user last accessed the course.
      * @property {Number} updated_at The timestamp of when the course was last updated.
+     * @property {Array<String>} aliases The user-defined aliases of the course.
+     */
+
+    /**
+     * Returns the stable course numbers by Blackboard course ID and numbers any new courses.
+     * Note! Known courses keep their number forever while new courses are numbered after all known courses.
+     *
+     * @param {Array<Course>} courses The courses sorted by the order in which new courses should be numbered.
+     * @returns {Object<string, number>}
+     */
+    _number_courses(courses) {
+        // Number each course which has not been numbered yet
+        const numbers = Object.assign({}, this.get_setting('course_numbers'));
+        let next = Math.max(0, ...Object.values(numbers)) + 1;
+        const unnumbered = courses.filter(({ id }) => numbers[id] === undefined);
+        unnumbered.forEach(({ id }) => (numbers[id] = next++));
+
+        // Persist the new course numbers
+        if (unnumbered.length) this.set_setting('course_numbers', numbers);
+        return numbers;
+    }
+
+    /**
+     * Returns the user-defined course aliases mapped to their Blackboard course IDs.
+     * @returns {Object<string, string>}
+     */
+    get course_aliases() {
+        return Object.assign({}, this.get_setting('course_aliases'));
+    }
+
+    /**
+     * Sets or removes a user-defined alias for a Blackboard course.
+     * Note! Aliases are case-insensitive and stored in lower case.
+     *
+     * @param {String} alias The alias of the course.
+     * @param {String|null} course_id The Blackboard course ID or `null` to remove the alias.
+     * @returns {Boolean} Returns `true` if the aliases were changed, otherwise `false`.
+     */
+    set_course_alias(alias, course_id) {
+        // Determine if the alias would change
+        const aliases = this.course_aliases;
+        alias = alias.toLowerCase();
+        if ((aliases[alias] || null) === course_id) return false;
+
+        // Set or remove the alias
+        if (course_id) {
+            aliases[alias] = course_id;
+        } else {
+            delete aliases[alias];
+        }
+        this.set_setting('course_aliases', Object.keys(aliases).length ? aliases : undefined);
+        return true;
+    }
+
+    /**
+     * Returns the user-defined category weights of a course mapped to their weight in percent.
+     *
+     * @param {String} course_id The Blackboard course ID.
+     * @returns {Object<string, number>}
+     */
+    get_category_weights(course_id) {
+        return Object.assign({}, this.get_setting('category_weights')?.[course_id]);
+    }
+
+    /**
+     * Sets or removes the weight of an assignment category within a course.
+     *
+     * @param {String} course_id The Blackboard course ID.
+     * @param {String} category The name of the assignment category.
+     * @param {Number|null} weight The weight of the category in percent or `null` to remove the weight.
+     * @returns {Boolean} Returns `true` if the weights were changed, otherwise `false`.
+     */
+    set_category_weight(course_id, category, weight) {
+        // Determine if the weight would change
+        const weights = this.get_category_weights(course_id);
+        if ((weights[category] ?? null) === weight) return false;
+
+        // Set or remove the weight
+        if (weight === null) {
+            delete weights[category];
+        } else {
+            weights[category] = weight;
+        }
+
+        // Store the weights of the course and drop courses without any weights
+        const all_weights = Object.assign({}, this.get_setting('category_weights'));
+        if (Object.keys(weights).length) {
+            all_weights[course_id] = weights;
+        } else {
+            delete all_weights[course_id];
+        }
+        this.set_setting('category_weights', Object.keys(all_weights).length ? all_weights : undefined);
+        return true;
+    }
+
+    /**
+     * Returns the IANA timezone of the user which alerts are scheduled in.
+     * @returns {String}
+     */
+    get timezone() {
+        return this.get_setting('timezone') || get_default_timezone();
+    }
+
+    /**
+     * Sets the IANA timezone of the user and re-schedules all alerts in the new timezone.
+     *
+     * @param {String|null} timezone The timezone or `null` to use the default timezone.
+     * @returns {Boolean} Returns `true` if the timezone was changed, otherwise `false`.
+     */
+    set_timezone(timezone) {
+        if ((this.get_setting('timezone') ?? null) === timezone) return false;
+        this.set_setting('timezone', timezone ?? undefined);
+        this._reschedule_alerts();
+        return true;
+    }
+
+    /**
+     * Returns the quiet hours of the user which apply to alerts without their own quiet hours.
+     * @returns {import('../schedule.js').QuietHours|null}
+     */
+    get quiet_hours() {
+        return this.get_setting('quiet_hours') || null;
+    }
+
+    /**
+     * Sets the quiet hours of the user and re-schedules all alerts around them.
+     *
+     * @param {import('../schedule.js').QuietHours|null} quiet_hours The quiet hours or `null` to disable them.
+     */
+    set_quiet_hours(quiet_hours) {
+        this.set_setting('quiet_hours', quiet_hours ?? undefined);
+        this._reschedule_alerts();
+    }
+
+    /**
+     * Returns whether or not summary alerts without their own preference post an "all clear" message when empty.
+     * @returns {Boolean}
+     */
+    get all_clear() {
+        return this.get_setting('all_clear') === true;
+    }
+
+    /**
+     * Sets whether or not summary alerts without their own preference post an "all clear" message when empty.
+     *
+     * @param {Boolean} enabled
      */
+    set_all_clear(enabled) {
+        this.set_setting('all_clear', enabled || undefined);
+    }
+
+    /**
+     * Returns the timestamp at which the quiet hours of an alert end if the given timestamp falls within them.
+     * Note! Alerts use the quiet hours of the user unless they have their own quiet hours or have them disabled.
+     * @private
+     *
+     * @param {SummaryAlert} alert
+     * @param {Number=} timestamp
+     * @returns {Number|null}
+     */
+    _quiet_hours_end(alert, timestamp = Date.now()) {
+        const quiet_hours = alert.quiet_hours === undefined ? this.quiet_hours : alert.quiet_hours;
+        return quiet_hours ? get_quiet_hours_end(quiet_hours, this.timezone, timestamp) : null;
+    }
 
     /**
      * Returns all of the classes the user is enrolled in.
-     * Note! This method caches the courses in the returned Map.
-     * You may clear the cache by calling the `Map.clear()` method on the returned Map.
+     * Note! Each course is keyed by its stable course number such as `#3` which never changes for the same course.
      * @param {Number=} max_age The maximum age of each of class in milliseconds. Defaults to `6 months` max age.
      * @param {Number=} retries The number of times to retry the fetch process.
      * @param {Number=} delay The delay in milliseconds between each retry.
@@ -335,14 +605,19 @@ export class BlackboardClient extends EventEmitter {
         // Sort the courses by the last modified timestamps
         courses.sort((a, b) => b.updated_at - a.updated_at);
 
-        // Conver the courses into an object with the index as the #key
+        // Retrieve the stable course numbers and the aliases of each course
+        const numbers = this._number_courses(courses);
+        const aliases = this.course_aliases;
+
+        // Conver the courses into an object with the stable course number as the #key
         const filtered = {};
-        courses.forEach((course, index) => {
+        courses.forEach((course) => {
             // Filter out courses that are older than the max age
             if (course.updated_at + max_age < Date.now()) return;
 
-            // Add the course to the object
-            filtered[`#${index + 1}`] = course;
+            // Add the course to the object with its aliases
+            course.aliases = Object.keys(aliases).filter((alias) => aliases[alias] === course.id);
+            filtered[`#${numbers[course.id]}`] = course;
         });
 
         // Return the filtered courses
@@ -516,12 +791,23 @@ export class BlackboardClient extends EventEmitter {
 
     /**
      * @typedef {Object} SummaryAlert
-     * @property {String} summary The summary type of the alert.
-     * @property {String} guild The Discord guild ID of the alert.
-     * @property {String} channel The Discord channel ID associated with the alert.
+     * @property {String} summary The summary type of the alert or a notification type such as `DEADLINE_REMINDERS`.
+     * @property {String|null} guild The Discord guild ID of the alert or `null` for direct messages.
+     * @property {String|null} channel The Discord channel ID associated with the alert or `null` for direct messages.
      * @property {('DAILY'|'WEEKLY')} interval The interval in milliseconds to dispatch alerts repeatedly.
      * @property {Number} hour_of_day The hour of the day to dispatch alerts at repeatedly (24 Hour Format).
+     * @property {Array<String>=} times The times of day in "HH:MM" format to dispatch alerts at instead of the hour of the day.
+     * @property {Array<Number>=} weekdays The days of the week to dispatch alerts on where `0` is Sunday.
+     * @property {String=} cron A cron expression to dispatch alerts at which takes precedence over the other schedule properties.
+     * @property {Array<Number>=} reminder_hours The hours before each assignment deadline to dispatch reminders at.
      * @property {Number} max_courses_age The maximum age in "number of months" to filter out courses for the alert.
+     * @property {Number=} id The stable number of the alert which is never re-used for another alert of the client.
+     * @property {Number=} failures The number of consecutive failed deliveries of the alert.
+     * @property {Boolean=} paused Whether or not the alert was paused by the user or after repeated failed deliveries.
+     * @property {String=} pause_reason The error of the last failed delivery which paused the alert.
+     * @property {Number=} snoozed_until The timestamp until which the alert is not dispatched.
+     * @property {import('../schedule.js').QuietHours|false=} quiet_hours The quiet hours of the alert, `false` to ignore the quiet hours of the user.
+     * @property {Boolean=} all_clear Whether or not an "all clear" message is posted when the summary is empty, defaults to the preference of the user.
      */
 
     /**
@@ -532,13 +818,17 @@ export class BlackboardClient extends EventEmitter {
      */
     deploy_alert(alert) {
         // Determine a unique identifier for this alert based on the channel/summary combination
-        const identifier = `${alert.channel}:${alert.summary}`;
+        const identifier = `${alert.channel || 'DM'}:${alert.summary}`;
 
-        // Determine if the alert will be created
-        const created = this.#client.alerts[identifier] === undefined;
+        // Determine if the alert will be created and keep the number of an updated alert
+        const existing = this.#client.alerts[identifier];
+        const created = existing === undefined;
+        if (existing?.id) alert.id = existing.id;
+        else delete alert.id;
 
-        // Set the alert in the alerts object
+        // Set the alert in the alerts object and number it if it is new
         this.#client.alerts[identifier] = alert;
+        this._number_alerts();
 
         // Re-schedule all alerts to ensure they are up to date
         this._reschedule_alerts();
@@ -553,13 +843,13 @@ export class BlackboardClient extends EventEmitter {
     /**
      * Deletes an alert if it exists.
      *
-     * @param {String} channel The Discord channel ID associated with the alert.
+     * @param {String=} channel The Discord channel ID associated with the alert or `null` for direct messages.
      * @param {String} summary The summary type of the alert.
      * @returns {Boolean} Whether or not a alert was deleted.
      */
     delete_alert(channel, summary) {
         // Determine a unique identifier for this alert based on the channel/summary combination
-        const identifier = `${channel}:${summary}`;
+        const identifier = `${channel || 'DM'}:${summary}`;
 
         // Determine if the alert exists
         const exists = this.#client.alerts[identifier] !== undefined;
@@ -577,13 +867,83 @@ export class BlackboardClient extends EventEmitter {
         return exists;
     }
 
+    /**
+     * Returns the identifier and the alert with the given stable number.
+     *
+     * @param {Number} id
+     * @returns {[String, SummaryAlert]=}
+     */
+    find_alert(id) {
+        return Object.entries(this.#client.alerts).find(([, alert]) => alert.id === id);
+    }
+
+    /**
+     * Updates individual properties of an existing alert such as its schedule, paused or snoozed state.
+     * Note! Properties set to `undefined` are removed and alerts moved to another channel keep their number.
+     *
+     * @param {Number} id The stable number of the alert.
+     * @param {Partial<SummaryAlert>} changes
+     * @returns {SummaryAlert|null} The updated alert or `null` if no alert has the number or the destination is taken.
+     */
+    update_alert(id, changes) {
+        // Ensure the alert exists
+        const found = this.find_alert(id);
+        if (!found) return null;
+        const [identifier, alert] = found;
+
+        // Replace the alert object to discard the outcome of its deliveries in progress
+        const updated = { ...alert, ...changes };
+        Object.keys(updated).forEach((key) => updated[key] === undefined && delete updated[key]);
+
+        // Ensure no other alert exists at the new destination of the alert
+        const target = `${updated.channel || 'DM'}:${updated.summary}`;
+        if (target !== identifier && this.#client.alerts[target]) return null;
+        delete this.#client.alerts[identifier];
+        this.#client.alerts[target] = updated;
+
+        // Re-schedule all alerts and persist the updated alert
+        this._reschedule_alerts();
+        this.emit('persist');
+        return updated;
+    }
+
+    /**
+     * Gives weekly alerts which were stored before weekdays were supported the day of the week they were dispatched on.
+     * @private
+     */
+    _backfill_alert_weekdays() {
+        const legacy = Object.values(this.#client.alerts).filter(
+            ({ interval, weekdays, cron }) => interval === 'WEEKLY' && !weekdays && !cron
+        );
+        if (!legacy.length) return;
+
+        // Dispatch each alert on the day of its next run at its hour of the day like before
+        legacy.forEach((alert) => (alert.weekdays = get_legacy_weekdays(alert, this.timezone)));
+        this.emit('persist');
+    }
+
+    /**
+     * Numbers every alert which has not been numbered yet after the highest number ever given to an alert.
+     * @private
+     */
+    _number_alerts() {
+        const unnumbered = Object.values(this.#client.alerts).filter(({ id }) => !id);
+        if (!unnumbered.length) return;
+
+        // Continue after the last given number so numbers of deleted alerts are never re-used
+        const numbers = Object.values(this.#client.alerts).map(({ id }) => id || 0);
+        let next = Math.max(this.get_setting('last_alert_id') || 0, ...numbers) + 1;
+        unnumbered.forEach((alert) => (alert.id = next++));
+        this.set_setting('last_alert_id', next - 1);
+    }
+
     /**
      * Purges old schedules and re-schedules all alerts to be dispatched.
      * @private
      */
     _reschedule_alerts() {
         // Destroy all existing schedules
-        this.#schedules.forEach((schedule) => schedule.cancel());
+        this.#schedules.forEach(({ timeout }) => clearTimeout(timeout));
 
         // Clear the schedules map to release old schedules
         this.#schedules.clear();
@@ -594,45 +954,438 @@ export class BlackboardClient extends EventEmitter {
             // Retrieve the alert
             const alert = alerts[identifier];
 
-            // Determine a repetition interval string for the alert
-            let every;
-            switch (alert.interval) {
-                case 'DAILY':
-                    every = '1 Day';
-                    break;
-                case 'WEEKLY':
-                    every = '1 Week';
-                    break;
+            // Skip paused alerts and notifications as they are scheduled separately
+            if (alert.paused || ['DEADLINE_REMINDERS', 'GRADE_NOTIFICATIONS'].includes(alert.summary)) continue;
+
+            // Schedule the alert to be dispatched at its next run
+            this._schedule_alert(identifier, alert);
+        }
+
+        // Re-schedule the deadline reminders and grade notifications as well
+        this._reschedule_reminders();
+        this._reschedule_grade_poller();
+    }
+
+    /**
+     * Schedules a summary alert to be dispatched at its next run after the given timestamp.
+     * Note! Runs further away than the maximum timeout delay are reached by waiting multiple times.
+     *
+     * @private
+     * @param {String} identifier
+     * @param {SummaryAlert} alert
+     * @param {Number=} after
+     */
+    _schedule_alert(identifier, alert, after = Date.now()) {
+        // Determine the next run of the alert in the timezone of the user after it is no longer snoozed
+        const next_run = get_next_run(alert, this.timezone, Math.max(after, alert.snoozed_until || 0));
+        if (next_run === null) {
+            this.#schedules.delete(identifier);
+            return;
+        }
+
+        // Defer a run within the quiet hours until they end
+        const next_run_at = this._quiet_hours_end(alert, next_run) ?? next_run;
+
+        // Wait until the next run and dispatch the alert after scheduling its following run
+        const schedule = { next_run_at, timeout: undefined };
+        const wait = () => {
+            const delay = Math.min(Math.max(next_run_at - Date.now(), 0), MAX_TIMEOUT_DELAY);
+            schedule.timeout = setTimeout(async () => {
+                if (Date.now() < next_run_at) return wait();
+                this._schedule_alert(identifier, alert, next_run_at);
+                try {
+                    await this._dispatch_summary(identifier, alert);
+                } catch (error) {
+                    console.error(error);
+                }
+            }, delay);
+        };
+        wait();
+
+        // Add the schedule to the schedules map
+        this.#schedules.set(identifier, schedule);
+    }
+
+    /**
+     * Generates the summary of a summary alert and delivers it if it has at least one assignment.
+     * Note! Empty summaries are replaced by an "all clear" message if the alert or the user prefers it.
+     *
+     * @private
+     * @param {String} identifier
+     * @param {SummaryAlert} alert
+     * @returns {Promise<void>}
+     */
+    async _dispatch_summary(identifier, alert) {
+        // Retrieve a summary embed for the alert
+        const embeds = await generate_summary_embeds(
+            this,
+            alert.summary,
+            1000 * 60 * 60 * 24 * 30 * alert.max_courses_age
+        );
+
+        // Determine if the summary embed has at least one field aka. assignments
+        const description = embeds[0]?.description;
+        const first_embed_fields = embeds[0]?.fields || [];
+        if (first_embed_fields.length) {
+            // Deliver the summary embed to the destination of the alert
+            await this._deliver_alert(identifier, alert, description, embeds);
+        } else if (alert.all_clear ?? this.all_clear) {
+            // Deliver a short message that there is nothing to report
+            await this._deliver_alert(identifier, alert, generate_all_clear_message(alert), []);
+        }
+    }
+
+    /**
+     * Returns the timestamp of the next scheduled run of a summary alert.
+     *
+     * @param {String} identifier
+     * @returns {Number=} The timestamp or `undefined` if the alert is not scheduled such as paused alerts and notifications.
+     */
+    get_next_alert_run(identifier) {
+        return this.#schedules.get(identifier)?.next_run_at;
+    }
+
+    /**
+     * Starts the grade poller once there is an active grade notification alert and stops it once there is none.
+     * Note! A running grade poller is left alone so frequent alert changes do not keep postponing the next poll.
+     * @private
+     */
+    _reschedule_grade_poller() {
+        // Stop the grade poller if there is no active grade notification alert
+        const alerts = Object.values(this.#client.alerts);
+        if (!alerts.find(({ summary, paused }) => summary === 'GRADE_NOTIFICATIONS' && !paused)) {
+            if (this.#grade_poller) clearTimeout(this.#grade_poller);
+            this.#grade_poller = undefined;
+            return;
+        }
+
+        // Start the grade poller unless it is already running
+        if (!this.#grade_poller) this._schedule_grade_poll();
+    }
+
+    /**
+     * Schedules the next grade poll after the poll interval which schedules the following poll once it is done.
+     * @private
+     */
+    _schedule_grade_poll() {
+        // Determine the poll interval and the maximum random jitter added to or removed from it in minutes
+        const interval = 1000 * 60 * (Number(process.env['GRADE_POLL_INTERVAL_MINUTES']) || 10);
+        const max_jitter = 1000 * 60 * (Number(process.env['GRADE_POLL_JITTER_MINUTES']) || 2);
+
+        // Schedule the next poll with a random jitter to prevent all clients from polling at once
+        const jitter = Math.round((Math.random() * 2 - 1) * max_jitter);
+        const poller = setTimeout(async () => {
+            try {
+                await this._poll_grades();
+            } catch (error) {
+                console.error(error);
+            }
+
+            // Schedule the next poll if the poller was not stopped or restarted in the meantime
+            if (this.#grade_poller === poller) this._schedule_grade_poll();
+        }, Math.max(interval + jitter, 1000 * 60));
+        this.#grade_poller = poller;
+    }
+
+    /**
+     * Detects new or changed grades since the last poll and dispatches a notification for each of them.
+     * Note! The first poll of each course only records the current grades to prevent notifying about old grades.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _poll_grades() {
+        // Determine the active grade notification alerts and the maximum course age among them
+        const alerts = Object.entries(this.#client.alerts).filter(
+            ([, { summary, paused }]) => summary === 'GRADE_NOTIFICATIONS' && !paused
+        );
+        if (!alerts.length) return;
+        const max_courses_age = Math.max(...alerts.map(([, { max_courses_age }]) => max_courses_age));
+
+        // Retrieve the non-ignored courses
+        const courses = await this.get_all_courses(1000 * 60 * 60 * 24 * 30 * max_courses_age);
+        for (const key in courses) {
+            const course = courses[key];
+            if (this.ignored('courses', course.id)) continue;
+
+            // Retrieve the current grades and the grades from the last poll
+            const identifier = `grades.snapshot.${course.id}`;
+            const previous = this.get_from_cache(identifier);
+            const assignments = await this.get_all_assignments(course, { status: 'GRADED' });
+            const current = {};
+            assignments.forEach(({ id, grade: { score } }) => (current[id] = score));
+
+            // Notify about every graded assignment whose score is new or has changed
+            if (previous) {
+                for (const assignment of assignments) {
+                    const { id, grade } = assignment;
+                    if (grade.score === null || previous[id] === grade.score) continue;
+                    if (this.ignored_assignment(course, assignment)) continue;
+
+                    // Retrieve the assignment details for the attempt feedback
+                    const detailed = await this.get_specific_assignment(course, assignment);
+                    const { content, embeds } = generate_grade_embeds(course, detailed, previous[id]);
+                    // Deliver without waiting for retries to keep polling the remaining courses
+                    alerts
+                        .filter(([, alert]) => !is_snoozed(alert))
+                        .forEach(([identifier, alert]) =>
+                            this._deliver_alert_after_quiet_hours(identifier, alert, content, embeds)
+                        );
+                }
             }
 
-            // Schedule a time task to dispatch the alert
-            const schedule = whenTime
-                .isEqualTo(`${alert.hour_of_day}:00`)
-                .do(async () => {
-                    // Retrieve a summary embed for the alert
-                    const embeds = await generate_summary_embeds(
-                        this,
-                        alert.summary,
-                        1000 * 60 * 60 * 24 * 30 * alert.max_courses_age
-                    );
-
-                    // Determine if the summary embed has at least one field aka. assignments
-                    const description = embeds[0]?.description;
-                    const first_embed_fields = embeds[0]?.fields || [];
-                    if (first_embed_fields.length) {
-                        // Dispatch an event with the destination guild, channel and summary embed
-                        this.emit('dispatch', alert.guild, alert.channel, description, embeds);
+            // Store the current grades for the next poll
+            this.set_in_cache(identifier, current, 1000 * 60 * 60 * 24 * 30 * 6); // 6 Months cache time
+        }
+    }
+
+    /**
+     * Delivers an alert right away or defers the delivery until the end of the quiet hours of the alert.
+     * Note! Deferred deliveries are dropped if the alert is deleted, paused or snoozed in the meantime.
+     * @private
+     *
+     * @param {String} identifier
+     * @param {SummaryAlert} alert
+     * @param {String} content
+     * @param {Array<Object>} embeds
+     */
+    _deliver_alert_after_quiet_hours(identifier, alert, content, embeds) {
+        const quiet_hours_end = this._quiet_hours_end(alert);
+        if (quiet_hours_end === null) return this._deliver_alert(identifier, alert, content, embeds);
+
+        const timeout = setTimeout(() => {
+            this.#deferred.delete(timeout);
+            const current = this.#client?.alerts[identifier];
+            if (current && !current.paused && !is_snoozed(current))
+                this._deliver_alert(identifier, current, content, embeds);
+        }, quiet_hours_end - Date.now());
+        this.#deferred.add(timeout);
+    }
+
+    /**
+     * Begins or stops syncing upcoming assignment deadlines and re-syncs them if the deadline reminder alerts have changed.
+     * Note! Existing reminders are kept and only updated by the next sync to prevent sending reminders twice.
+     * @private
+     */
+    _reschedule_reminders() {
+        // Stop syncing and cancel all reminders if there is no active deadline reminder alert
+        const alerts = Object.entries(this.#client.alerts).filter(
+            ([, { summary, paused }]) => summary === 'DEADLINE_REMINDERS' && !paused
+        );
+        if (!alerts.length) {
+            this.#reminders.forEach(({ timeout }) => clearTimeout(timeout));
+            this.#reminders.clear();
+            if (this.#reminder_interval) clearInterval(this.#reminder_interval);
+            this.#reminder_interval = undefined;
+            this.#reminder_signature = undefined;
+            return;
+        }
+
+        // Skip the sync if neither the deadline reminder alerts nor the preferences they depend on have changed
+        const signature = JSON.stringify([alerts, this.timezone, this.quiet_hours]);
+        if (this.#reminder_interval && signature === this.#reminder_signature) return;
+        this.#reminder_signature = signature;
+
+        // Sync the deadlines now and periodically to account for new or moved deadlines
+        if (!this.#reminder_interval)
+            this.#reminder_interval = setInterval(() => this._queue_reminder_sync(), REMINDER_SYNC_INTERVAL);
+        this._queue_reminder_sync();
+    }
+
+    /**
+     * Syncs the deadline reminders unless a sync is already in progress in which case another sync follows it.
+     * @private
+     * @returns {Promise<void>} The sync in progress.
+     */
+    _queue_reminder_sync() {
+        // Re-sync once the current sync has finished as it may have missed the latest changes
+        if (this.#reminder_sync) {
+            this.#reminder_resync = true;
+            return this.#reminder_sync;
+        }
+
+        this.#reminder_sync = (async () => {
+            do {
+                this.#reminder_resync = false;
+                try {
+                    await this._sync_reminders();
+                } catch (error) {
+                    console.error(error);
+                }
+            } while (this.#reminder_resync && this.#client);
+            this.#reminder_sync = undefined;
+        })();
+        return this.#reminder_sync;
+    }
+
+    /**
+     * Schedules a one-off reminder for every upcoming assignment deadline within the next sync window.
+     * Reminders for moved deadlines are re-scheduled and reminders for submitted or graded assignments are cancelled.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _sync_reminders() {
+        // Only schedule reminders which fall within the next two sync windows to keep timers short lived
+        const hour = 1000 * 60 * 60;
+        const window_end = Date.now() + REMINDER_SYNC_INTERVAL * 2;
+
+        // Determine the reminders which should be scheduled for each deadline reminder alert
+        const active = new Set();
+        const alerts = this.#client.alerts;
+        for (const identifier in alerts) {
+            const alert = alerts[identifier];
+            if (alert.summary !== 'DEADLINE_REMINDERS' || alert.paused || is_snoozed(alert)) continue;
+
+            // Retrieve the non-ignored courses for this alert
+            const courses = await this.get_all_courses(1000 * 60 * 60 * 24 * 30 * alert.max_courses_age);
+            for (const key in courses) {
+                const course = courses[key];
+                if (this.ignored('courses', course.id)) continue;
+
+                // Retrieve the assignments whose reminders may fall within the window
+                const assignments = await this.get_all_assignments(course, {
+                    detailed: true,
+                    min_deadline_at: Date.now(),
+                    max_deadline_at: window_end + Math.max(...alert.reminder_hours) * hour,
+                });
+
+                // Stop syncing if the client was destroyed in the meantime
+                if (!this.#client) return;
+
+                for (const assignment of assignments) {
+                    // Do not remind about assignments which are already submitted, graded or ignored
+                    if (['SUBMITTED', 'GRADED'].includes(assignment.status)) continue;
+                    if (this.ignored_assignment(course, assignment)) continue;
+
+                    for (const hours of alert.reminder_hours) {
+                        // Keep the existing reminder if neither the deadline nor the quiet hours have moved
+                        // Note! Reminders deferred by the quiet hours are kept even though their reminder time has passed
+                        const reminder_key = `${identifier}:${course.id}:${assignment.id}:${hours}`;
+                        const remind_at = assignment.deadline_at - hours * hour;
+                        const deliver_at = this._quiet_hours_end(alert, remind_at) ?? remind_at;
+                        const existing = this.#reminders.get(reminder_key);
+                        if (existing?.deadline_at === assignment.deadline_at && existing?.deliver_at === deliver_at) {
+                            active.add(reminder_key);
+                            continue;
+                        }
+
+                        // Ensure the reminder falls within the window
+                        if (remind_at <= Date.now() || remind_at > window_end) continue;
+                        active.add(reminder_key);
+                        if (existing) clearTimeout(existing.timeout);
+
+                        // Schedule the one-off reminder which is deferred until the end of the quiet hours
+                        this.#reminders.set(reminder_key, {
+                            deadline_at: assignment.deadline_at,
+                            deliver_at,
+                            timeout: setTimeout(
+                                () =>
+                                    this._dispatch_reminder(reminder_key, identifier, course, assignment).catch(
+                                        (error) => console.error(error)
+                                    ),
+                                deliver_at - Date.now()
+                            ),
+                        });
                     }
-                })
-                .repeat(Infinity)
-                .every(every)
-                .inTimezone('America/New_York');
+                }
+            }
+        }
 
-            // Add the schedule to the schedules map
-            this.#schedules.set(identifier, schedule);
+        // Cancel reminders which are no longer needed
+        for (const [reminder_key, { timeout }] of this.#reminders) {
+            if (!active.has(reminder_key)) {
+                clearTimeout(timeout);
+                this.#reminders.delete(reminder_key);
+            }
         }
     }
 
+    /**
+     * Dispatches a single deadline reminder after ensuring the assignment still requires one.
+     * @private
+     *
+     * @param {String} reminder_key
+     * @param {String} identifier The identifier of the alert.
+     * @param {Course} course
+     * @param {SimpleAssignment} assignment
+     * @returns {Promise<void>}
+     */
+    async _dispatch_reminder(reminder_key, identifier, course, assignment) {
+        // Release the fired reminder
+        this.#reminders.delete(reminder_key);
+
+        // Retrieve the latest assignment details to ensure the reminder is still relevant
+        const latest = await this.get_specific_assignment(course, assignment);
+        if (['SUBMITTED', 'GRADED'].includes(latest.status)) return;
+
+        // Re-sync the reminders if the deadline has moved since the reminder was scheduled
+        if (latest.deadline_at !== assignment.deadline_at) return await this._queue_reminder_sync();
+
+        // Deliver the reminder embed to the current destination of the alert unless it has been paused or snoozed meanwhile
+        const alert = this.#client?.alerts[identifier];
+        if (!alert || alert.paused || is_snoozed(alert)) return;
+        const { content, embeds } = generate_reminder_embeds(course, latest);
+        await this._deliver_alert(identifier, alert, content, embeds);
+    }
+
+    /**
+     * Delivers an alert to its destination through the "dispatch" event handler and retries failed deliveries.
+     * Note! Alerts are paused after `MAX_ALERT_FAILURES` consecutive failed deliveries and an "alert_paused" event is emitted.
+     * @private
+     *
+     * @param {String} identifier
+     * @param {SummaryAlert} alert
+     * @param {String=} content
+     * @param {Array<Object>=} embeds
+     * @returns {Promise<Boolean>} Whether or not the alert was delivered.
+     */
+    async _deliver_alert(identifier, alert, content, embeds) {
+        // Split the embeds over as many messages as necessary with the content in the first message
+        const [first, ...rest] = group_embeds_into_messages(embeds);
+        const messages = [{ content, embeds: first }, ...rest.map((embeds) => ({ embeds }))];
+
+        // Deliver each message through the "dispatch" event handler with retries
+        // Note! Only the messages which have not been delivered yet are retried to prevent posting them twice
+        let failure;
+        let delivered = 0;
+        try {
+            await with_retries(ALERT_DELIVERY_RETRIES, ALERT_RETRY_DELAY, async () => {
+                // Ensure a "dispatch" event handler is registered to deliver the messages
+                const [dispatch] = this.listeners('dispatch');
+                if (!dispatch) throw new Error('NO_DISPATCH_HANDLER');
+
+                for (; delivered < messages.length; delivered++) {
+                    const { content, embeds } = messages[delivered];
+                    await dispatch(alert.guild, alert.channel, content, embeds);
+                }
+            });
+        } catch (error) {
+            failure = error;
+        }
+
+        // Ignore the outcome if the client was destroyed or the alert was replaced in the meantime
+        if (this.#client?.alerts[identifier] !== alert) return !failure;
+
+        // Reset the failures of the alert after a successful delivery
+        if (!failure) {
+            if (alert.failures) {
+                delete alert.failures;
+                this.emit('persist');
+            }
+            return true;
+        }
+
+        // Pause the alert after too many consecutive failed deliveries
+        alert.failures = (alert.failures || 0) + 1;
+        if (alert.failures >= MAX_ALERT_FAILURES) {
+            alert.paused = true;
+            alert.pause_reason = failure.message;
+            this._reschedule_alerts();
+            this.emit('alert_paused', identifier, alert);
+        }
+        this.emit('persist');
+        return false;
+    }
+
     /**
      * Destroys this client and clears all cookies.
      */
@@ -642,6 +1395,19 @@ export class BlackboardClient extends EventEmitter {
 
         // Clear the keep alive interval if it exists
         if (this.#keep_alive) clearInterval(this.#keep_alive);
+
+        // Cancel all scheduled summary alerts
+        this.#schedules.forEach(({ timeout }) => clearTimeout(timeout));
+        this.#schedules.clear();
+
+        // Clear all pending deadline reminders, deferred deliveries and the grade poller
+        this.#reminders.forEach(({ timeout }) => clearTimeout(timeout));
+        this.#reminders.clear();
+        if (this.#reminder_interval) clearInterval(this.#reminder_interval);
+        if (this.#grade_poller) clearTimeout(this.#grade_poller);
+        this.#grade_poller = undefined;
+        this.#deferred.forEach((timeout) => clearTimeout(timeout));
+        this.#deferred.clear();
     }
 
     /**
@@ -660,4 +1426,15 @@ export class BlackboardClient extends EventEmitter {
         // Return a copy of the alerts object to prevent modification of the original
         return Object.assign({}, this.#client.alerts);
     }
+
+    /**
+     * Returns the current ignore lists for the authenticated user.
+     * @returns {Object<string, Array<string>>}
+     */
+    get ignores() {
+        // Return a copy of each ignore list to prevent modification of the original
+        const ignores = {};
+        for (const type in this.#client.ignore) ignores[type] = [...this.#client.ignore[type]];
+        return ignores;
+    }
 }
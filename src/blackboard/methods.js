@@ -1,32 +1,234 @@
-import { readFile, writeFile } from 'fs/promises';
 import { send_direct_message } from '../discord.js';
+import {
+    delete_account,
+    list_accounts,
+    list_active_accounts,
+    load_account,
+    rename_account,
+    save_account,
+    set_active_account,
+} from '../database.js';
 import { BlackboardClient, RegisteredClients } from './client.js';
+import { log } from '../utils.js';
+import { is_alert_channel_allowed } from '../guilds.js';
+import { ALERTS_ACTIONS, alert_types, describe_alert_destination } from '../commands/alerts.js';
 
 /**
- * Returns a unique caller identifier for the given Discord interaction.
+ * The delay in milliseconds to coalesce multiple "persist" events of a client into a single write.
+ */
+export const PERSIST_DELAY = 1000;
+
+/**
+ * The pending coalesced persist timeouts by client identifier.
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const PendingPersists = new Map();
+
+/**
+ * The queue of serialized database writes.
+ * @type {Promise<void>}
+ */
+let persist_queue = Promise.resolve();
+
+/**
+ * The label of the account which is used when a Discord user has not chosen an active account.
+ */
+export const DEFAULT_ACCOUNT_LABEL = 'default';
+
+/**
+ * The pattern of valid account labels which must start with a letter to never conflict with legacy guild identifiers.
+ */
+export const ACCOUNT_LABEL_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+/**
+ * The label of the active account of each Discord user who has chosen one.
+ * @type {Map<string, string>}
+ */
+const ActiveAccounts = new Map();
+
+/**
+ * Returns the label of the active account of a Discord user.
  *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {String} user
  * @returns {String}
  */
-function interaction_to_identifier(interaction) {
-    return `${interaction.guildId}:${interaction.user.id}`;
+export function get_active_account_label(user) {
+    return ActiveAccounts.get(user) || DEFAULT_ACCOUNT_LABEL;
+}
+
+/**
+ * Sets the active account of a Discord user and persists the choice to the database.
+ *
+ * @param {String} user
+ * @param {String} label
+ */
+export function set_active_account_label(user, label) {
+    ActiveAccounts.set(user, label);
+    set_active_account(user, `${user}:${label}`);
+}
+
+/**
+ * Returns a unique account identifier for the caller of the given Discord interaction.
+ * Note! Accounts are owned by the Discord user thus the same account is used in every guild.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @param {String=} label The label of the account, defaults to the active account of the caller.
+ * @returns {String}
+ */
+export function interaction_to_identifier(interaction, label = get_active_account_label(interaction.user.id)) {
+    return `${interaction.user.id}:${label}`;
 }
 
 /**
  * @typedef {Object} Caller
- * @property {String} guild The Discord server/guild identifier
  * @property {String} user The Discord user identifier
+ * @property {String} label The label of the account of the Discord user
  */
 
 /**
- * Returns a caller object for the given identifier from a Discord interaction.
+ * Returns a caller object for the given account identifier.
  *
  * @param {String} identifier
  * @returns {Caller}
  */
-function identifier_to_caller(identifier) {
-    const [guild, user] = identifier.split(':');
-    return { guild, user };
+export function identifier_to_caller(identifier) {
+    const [user, label] = identifier.split(':');
+    return { user, label };
+}
+
+/**
+ * Returns the labels and clients of all registered accounts of a Discord user.
+ *
+ * @param {String} user
+ * @returns {Array<{ label: String, client: BlackboardClient }>}
+ */
+export function list_user_accounts(user) {
+    const accounts = [];
+    for (const [identifier, client] of RegisteredClients) {
+        const caller = identifier_to_caller(identifier);
+        if (caller.user === user) accounts.push({ label: caller.label, client });
+    }
+    return accounts.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Migrates the accounts stored with legacy `guild:user` identifiers to accounts owned by the Discord user.
+ * Note! The first account of each user becomes the default account and any further accounts from other guilds
+ * are kept as `guild-<id>` accounts which the user may switch to.
+ *
+ * @returns {Number} The number of accounts which were migrated.
+ */
+function migrate_legacy_accounts() {
+    const identifiers = new Set(list_accounts());
+    let migrated = 0;
+    for (const identifier of [...identifiers]) {
+        // Legacy identifiers end with a numeric user ID whereas account labels always start with a letter
+        const [guild, user] = identifier.split(':');
+        if (!/^\d+$/.test(user)) continue;
+
+        // Rename the account to the default account or a guild specific account if the default is taken
+        let renamed = `${user}:${DEFAULT_ACCOUNT_LABEL}`;
+        if (identifiers.has(renamed)) renamed = `${user}:guild-${guild}`;
+        if (identifiers.has(renamed) || !rename_account(identifier, renamed)) continue;
+        identifiers.delete(identifier);
+        identifiers.add(renamed);
+        migrated++;
+    }
+    return migrated;
+}
+
+/**
+ * Returns the message which notifies the owner of an account that it has expired.
+ *
+ * @param {String} label
+ * @returns {String}
+ */
+function expired_message(label) {
+    const account = label === DEFAULT_ACCOUNT_LABEL ? '' : ` for the \`${label}\` account`;
+    return `Your Blackboard account cookies${account} have **expired**.\nPlease run the \`${
+        process.env['COMMAND_PREFIX']
+    } login\` command${account ? ` with the \`${label}\` account option` : ''} to continue usage.`;
+}
+
+/**
+ * Returns the message which notifies the owner of an alert that it has been paused after repeated failed deliveries.
+ *
+ * @param {String} label
+ * @param {import('./client.js').SummaryAlert} alert
+ * @returns {String}
+ */
+function paused_message(label, alert) {
+    const account = label === DEFAULT_ACCOUNT_LABEL ? '' : ` of your \`${label}\` account`;
+    return `Your **${alert_types()[alert.summary]}** alert${account} for ${describe_alert_destination(
+        alert
+    )} has been **paused** after ${alert.failures} failed deliveries in a row. (Reason: \`${
+        alert.pause_reason
+    }\`)\nPlease ensure ${
+        alert.channel
+            ? 'the bot can view, send messages and embed links in that channel'
+            : 'you allow direct messages from the bot'
+    }, then run the \`${process.env['COMMAND_PREFIX']} alerts\` command with the **${
+        ALERTS_ACTIONS.RESUME
+    }** action and the ID **#${alert.id}** to resume it.`;
+}
+
+/**
+ * Returns an "alert_paused" event handler which notifies the owner of the client with a DM.
+ *
+ * @param {import('discord.js').Client} bot The Discord bot client.
+ * @param {String} identifier The identifier of the client.
+ * @returns {function(String, import('./client.js').SummaryAlert):Promise<void>}
+ */
+function create_pause_handler(bot, identifier) {
+    const { user, label } = identifier_to_caller(identifier);
+    return async (alert_identifier, alert) => {
+        log('ALERTS', `Paused alert ${alert_identifier} of ${identifier}: ${alert.pause_reason}`);
+        try {
+            await send_direct_message({ client: bot, member: user }, paused_message(label, alert));
+        } catch (error) {
+            console.error(error);
+        }
+    };
+}
+
+/**
+ * Returns a "dispatch" event handler which delivers a message to a guild channel, a direct message channel or the user's direct messages.
+ * Note! The handler throws if the message can not be delivered thus the client may retry and pause the alert.
+ *
+ * @param {import('discord.js').Client} bot The Discord bot client.
+ * @param {String} user The Discord user identifier of the client owner.
+ * @returns {function(String|null, String|null, String=, Array<Object>=):Promise<import('discord.js').Message|void>}
+ */
+function create_dispatch_handler(bot, user) {
+    return async (guild_id, channel_id, content, embeds) => {
+        // Resolve the destination as the user's direct messages if no channel is specified
+        let destination;
+        if (!channel_id) {
+            destination = await bot.users.fetch(user);
+        } else if (!guild_id) {
+            // Retrieve the direct message channel which does not belong to any guild
+            destination = await bot.channels.fetch(channel_id);
+            if (!destination) throw new Error('The direct message channel no longer exists.');
+        } else {
+            // Ensure the admins of the guild still allow alerts to be posted to the channel
+            if (!is_alert_channel_allowed(guild_id, channel_id))
+                throw new Error('The server admins do not allow alerts in this channel.');
+
+            // Retrieve the guild from the bot client
+            const guild = await bot.guilds.fetch(guild_id);
+            if (!guild) throw new Error('The bot is no longer a member of the server.');
+
+            // Retrieve the channel from the guild
+            destination = await guild.channels.fetch(channel_id);
+            if (!destination) throw new Error('The channel no longer exists.');
+
+            // Mention the user in the channel
+            if (content) content = `<@${user}> ${content}`;
+        }
+
+        // Send the message which the client has already split to fit the embed limits
+        return await destination.send({ content, embeds });
+    };
 }
 
 /**
@@ -41,17 +243,19 @@ export function get_registered_client(interaction) {
 
 /**
  * Registers a new Blackboard API client with the given credentials from a Discord interaction.
+ * Note! The registered account becomes the active account of the caller.
  *
  * @param {import('discord.js').Interaction} interaction A Discord interaction object
  * @param {String} token The session token for the Blackboard API
+ * @param {String=} label The label of the account, defaults to the active account of the caller.
  * @returns {Promise<BlackboardClient|void>}
  */
-export async function register_client(interaction, token) {
+export async function register_client(interaction, token, label = get_active_account_label(interaction.user.id)) {
     // Convert the interaction into an identifier
-    const identifier = interaction_to_identifier(interaction);
+    const identifier = interaction_to_identifier(interaction, label);
 
     // Re-use an existing client if one exists or create a new one
-    const client = get_registered_client(interaction) || new BlackboardClient();
+    const client = RegisteredClients.get(identifier) || new BlackboardClient();
 
     // Initialize the client to validate the cookies
     let valid = false;
@@ -69,24 +273,19 @@ export async function register_client(interaction, token) {
     if (old_client) {
         // Expire the ping interval
         clearInterval(old_client.interval);
+
+        // Unbind the event handlers of the re-used client so alerts are not delivered once per login
+        ['persist', 'dispatch', 'alert_paused', 'expired'].forEach((event) => old_client.removeAllListeners(event));
     }
 
-    // Bind a "persist" event handler to store the clients when data is updated
-    client.on('persist', store_clients);
+    // Bind a "persist" event handler to store the client when data is updated
+    client.on('persist', () => schedule_persist(identifier));
 
     // Bind a "dispatch" event handler to dispatch messages to the user
-    client.on('dispatch', async (guild_id, channel_id, content, embeds) => {
-        // Retrieve the guild from the interaction client
-        const guild = await interaction.client.guilds.fetch(guild_id);
-        if (!guild) return;
-
-        // Retrieve the channel from the guild
-        const channel = guild.channels.cache.get(channel_id);
-        if (!channel) return;
+    client.on('dispatch', create_dispatch_handler(interaction.client, interaction.user.id));
 
-        // Send the content and embeds to the channel
-        return await channel.send({ content: content ? `<@${interaction.user.id}> ${content}` : undefined, embeds });
-    });
+    // Bind an "alert_paused" event handler to notify the user about alerts which can no longer be delivered
+    client.on('alert_paused', create_pause_handler(interaction.client, identifier));
 
     // Bind an "expire" event handler to the client
     client.once('expired', async () => {
@@ -97,105 +296,196 @@ export async function register_client(interaction, token) {
                 guild: interaction.guild || interaction.guildId,
                 member: interaction.member || interaction.user.id,
             },
-            `Your Blackboard account cookies have **expired**.\nPlease run the \`${process.env['COMMAND_PREFIX']} login\` command to continue usage.`
+            expired_message(label)
         );
 
-        // Update the clients json
-        await store_clients();
+        // Update the client in the database
+        await store_client(identifier, client);
     });
 
     // Store the new client
     RegisteredClients.set(identifier, client);
 
-    // Store the clients to the file system
-    await store_clients();
+    // Apply the timezone and alert preferences of the caller's other accounts as they belong to the Discord user
+    const accounts = list_user_accounts(interaction.user.id);
+    const inherit = (key) => accounts.map(({ client }) => client.get_setting(key)).find((value) => value);
+    const timezone = inherit('timezone');
+    if (timezone && !client.get_setting('timezone')) client.set_timezone(timezone);
+    const quiet_hours = inherit('quiet_hours');
+    if (quiet_hours && !client.get_setting('quiet_hours')) client.set_quiet_hours(quiet_hours);
+    if (inherit('all_clear')) client.set_all_clear(true);
+
+    // Store the client to the database and make it the active account of the caller
+    await store_client(identifier, client);
+    set_active_account_label(interaction.user.id, label);
 
     // Return the client
     return client;
 }
 
 /**
- * Stores all registered clients to the filesystem for persistence.
+ * Logs out of an account by destroying its client and deleting all of its stored data.
+ * Note! Another remaining account of the user becomes the active account if the active account is logged out.
  *
- * @returns {Promise<Object<string, BlackboardClient>>}
+ * @param {String} user The Discord user identifier of the account owner.
+ * @param {String} label The label of the account.
+ * @returns {Promise<Boolean>} Whether or not an account was logged out.
  */
-export async function store_clients() {
-    // Convert Map to object of cookies by identifier
-    const clients = {};
-    for (const [identifier, client] of RegisteredClients) clients[identifier] = await client.export();
+export async function unregister_client(user, label) {
+    // Ensure the account is registered
+    const identifier = `${user}:${label}`;
+    const client = RegisteredClients.get(identifier);
+    if (!client) return false;
+
+    // Stop the keep alive and all alert schedules and remove the client from the registry
+    client.destroy();
+    RegisteredClients.delete(identifier);
+
+    // Cancel any pending write and wait for queued writes so they can not restore the account
+    clearTimeout(PendingPersists.get(identifier));
+    PendingPersists.delete(identifier);
+    await persist_queue;
+
+    // Delete the account along with its alerts, ignores, cache, settings and API keys
+    delete_account(identifier);
+
+    // Switch the active account to a remaining account of the user if the active account was logged out
+    if (get_active_account_label(user) === label) {
+        const [remaining] = list_user_accounts(user);
+        if (remaining) {
+            set_active_account_label(user, remaining.label);
+        } else {
+            ActiveAccounts.delete(user);
+        }
+    }
 
-    // Store all registered clients to the filesystem
-    await writeFile(process.env['CLIENTS_JSON'], JSON.stringify(clients, null, 2));
+    return true;
+}
 
-    // Return the clients
-    return clients;
+/**
+ * Stores a single registered client to the database for persistence.
+ * Note! Writes are serialized thus concurrent calls will never overlap.
+ *
+ * @param {String} identifier
+ * @param {BlackboardClient} client
+ * @returns {Promise<void>}
+ */
+export function store_client(identifier, client) {
+    // Queue the write behind any pending writes
+    persist_queue = persist_queue
+        .then(async () => {
+            // Ignore clients which have been destroyed or replaced in the registry
+            if (RegisteredClients.get(identifier) !== client) return;
+
+            // Store the exported client as a single database record
+            save_account(identifier, await client.export());
+        })
+        .catch((error) => console.error(error));
+
+    return persist_queue;
 }
 
 /**
- * Recovers registered clients from the filesystem from last persist.
+ * Schedules a coalesced write for the registered client with the given identifier.
+ * Note! Any "persist" events emitted within the `PERSIST_DELAY` are combined into a single write.
+ *
+ * @param {String} identifier
+ */
+export function schedule_persist(identifier) {
+    // Ignore the call if a write is already pending for this client
+    if (PendingPersists.has(identifier)) return;
+
+    // Schedule the write after the delay
+    PendingPersists.set(
+        identifier,
+        setTimeout(() => {
+            PendingPersists.delete(identifier);
+            const client = RegisteredClients.get(identifier);
+            if (client) store_client(identifier, client);
+        }, PERSIST_DELAY)
+    );
+}
+
+/**
+ * Immediately writes all pending coalesced writes and waits for the write queue to drain.
+ * @returns {Promise<void>}
+ */
+export async function flush_persists() {
+    // Write all pending clients immediately
+    for (const [identifier, timeout] of PendingPersists) {
+        clearTimeout(timeout);
+        PendingPersists.delete(identifier);
+        const client = RegisteredClients.get(identifier);
+        if (client) store_client(identifier, client);
+    }
+
+    // Wait for all queued writes to finish
+    await persist_queue;
+}
+
+/**
+ * Recovers registered clients from the database from last persist.
  *
  * @param {import('discord.js').Client} bot The Discord bot client.
  * @param {Boolean=} safe Whether to recover clients safely.
  * @returns {Promise<void|Number|Error>}
  */
 export async function recover_clients(bot, safe = true) {
-    // Read the clients from the filesystem
-    const raw = await readFile(process.env['CLIENTS_JSON']);
-
-    // Parse the clients
-    const clients = JSON.parse(raw);
+    // Migrate the accounts with legacy identifiers and restore the active account of each user
+    const migrated = migrate_legacy_accounts();
+    if (migrated) log('RECOVERY', `Migrated ${migrated} account(s) to be owned by their Discord user`);
+    const active = list_active_accounts();
+    for (const user in active) ActiveAccounts.set(user, identifier_to_caller(active[user]).label);
+
+    // Register each client from the database with the server
+    for (const identifier of list_accounts()) {
+        // Load the client record and skip records which can not be read
+        let record;
+        try {
+            record = load_account(identifier);
+        } catch (error) {
+            console.error(error);
+            if (!safe) throw error;
+            continue;
+        }
 
-    // Register each client with the server
-    for (const identifier in clients) {
         // Create a new client
         const client = new BlackboardClient();
 
         // Store the client in the registry
         RegisteredClients.set(identifier, client);
 
-        // Bind a "persist" event handler to store the clients when data is updated
-        client.on('persist', store_clients);
+        // Bind a "persist" event handler to store the client when data is updated
+        client.on('persist', () => schedule_persist(identifier));
 
         // Bind a "dispatch" event handler to dispatch messages to the user
-        client.on('dispatch', async (guild_id, channel_id, content, embeds) => {
-            // Retrieve the guild from the interaction client
-            const guild = await bot.guilds.fetch(guild_id);
-            if (!guild) return;
-
-            // Retrieve the channel from the guild
-            const channel = await guild.channels.fetch(channel_id);
-            if (!channel) return;
-
-            // Retrieve the caller from the identifier
-            const { user } = identifier_to_caller(identifier);
+        client.on('dispatch', create_dispatch_handler(bot, identifier_to_caller(identifier).user));
 
-            // Send the embeds to the channel
-            return await channel.send({ content: content ? `<@${user}> ${content}` : undefined, embeds });
-        });
+        // Bind an "alert_paused" event handler to notify the user about alerts which can no longer be delivered
+        client.on('alert_paused', create_pause_handler(bot, identifier));
 
         // Bind an expire event handler to the client
         client.once('expired', async () => {
-            // Retrieve the caller Discord guild and user identifiers
-            const { guild, user } = identifier_to_caller(identifier);
+            // Retrieve the caller Discord user identifier and account label
+            const { user, label } = identifier_to_caller(identifier);
 
-            // Send a personal DM to the user with the guild name
+            // Send a personal DM to the user
             await send_direct_message(
                 {
                     client: bot,
-                    guild,
                     member: user,
                 },
-                `Your Blackboard account cookies have **expired**.\nPlease run the \`${process.env['COMMAND_PREFIX']} login\` command to continue usage.`
+                expired_message(label)
             );
 
-            // Update the clients json
-            await store_clients();
+            // Update the client in the database
+            await store_client(identifier, client);
         });
 
-        // Import the client JSON
+        // Import the client record
         let valid = false;
         try {
-            valid = await client.import(clients[identifier]);
+            valid = await client.import(record);
         } catch (error) {
             console.error(error);
             if (!safe) throw error;
@@ -0,0 +1,87 @@
+import { get_active_account_label, list_user_accounts, set_active_account_label } from '../blackboard/methods.js';
+
+export const ACCOUNT_ACTIONS = {
+    LIST: 'List Your Accounts',
+    SWITCH: 'Switch the Active Account',
+};
+
+/**
+ * Builds and returns the `accounts` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_accounts_command(builder) {
+    return builder
+        .setName('accounts')
+        .setDescription('Manage your Blackboard accounts and choose which one is used for all other commands.')
+        .addStringOption((option) =>
+            option
+                .setName('action')
+                .setDescription('The action to perform on your accounts.')
+                .setRequired(true)
+                .addChoices(
+                    ...Object.keys(ACCOUNT_ACTIONS).map((key) => ({
+                        name: ACCOUNT_ACTIONS[key],
+                        value: key,
+                    }))
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName('account')
+                .setDescription('The name of the account to switch to. (Start typing to search your accounts)')
+                .setRequired(false)
+                .setMaxLength(32)
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * Handles interactions for the `accounts` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_accounts_command(interaction) {
+    // Retrieve the command options
+    const action = interaction.options.getString('action');
+    const label = interaction.options.getString('account')?.trim().toLowerCase();
+
+    // Retrieve the accounts of the caller
+    const user = interaction.user.id;
+    const accounts = list_user_accounts(user);
+    if (!accounts.length) throw new Error('NO_CLIENT');
+    const active = get_active_account_label(user);
+
+    // Send an embed with the list of accounts if the action is to list them
+    if (ACCOUNT_ACTIONS[action] === ACCOUNT_ACTIONS.LIST)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            embeds: [
+                {
+                    title: 'Blackboard Accounts',
+                    description: `You have **${accounts.length}** account(s), your active account is used for all other commands in every server.`,
+                    fields: accounts.slice(0, 25).map(({ label, client }) => ({
+                        name: `${label} ${label === active ? '**(Active)**' : ''}`.trim(),
+                        value: client.name ? `Logged in as **${client.name}**` : '*This account has expired.*',
+                    })),
+                },
+            ],
+        });
+
+    // Ensure the account exists before switching to it
+    if (!accounts.find((account) => account.label === label))
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide one of your existing **account** names: ${accounts
+                .map(({ label }) => `\`${label}\``)
+                .join(', ')}.`,
+        });
+
+    // Switch the active account
+    set_active_account_label(user, label);
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `Your \`${label}\` account will now be used for all other commands.`,
+    });
+}
@@ -0,0 +1,176 @@
+import { can_manage_guild, get_guild_settings, update_guild_settings } from '../guilds.js';
+
+export const ADMIN_ACTIONS = {
+    ADD: 'Add to the Allowed List',
+    REMOVE: 'Remove from the Allowed List',
+    CLEAR: 'Clear the Allowed List (Allow All)',
+};
+
+/**
+ * Adds the action option shared by the allowed list sub-commands.
+ *
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function add_action_option(builder) {
+    return builder.addStringOption((option) =>
+        option
+            .setName('action')
+            .setDescription('The action to perform on the allowed list.')
+            .setRequired(true)
+            .addChoices(
+                ...Object.keys(ADMIN_ACTIONS).map((key) => ({
+                    name: ADMIN_ACTIONS[key],
+                    value: key,
+                }))
+            )
+    );
+}
+
+/**
+ * Builds and returns the `admin` command group.
+ * @param {import('discord.js').SlashCommandSubcommandGroupBuilder} builder
+ * @returns {import('discord.js').SlashCommandSubcommandGroupBuilder}
+ */
+export function build_admin_command(builder) {
+    return builder
+        .setName('admin')
+        .setDescription('Manage who may use the bot in this server. (Requires the Manage Server permission)')
+        .addSubcommand((subcommand) =>
+            subcommand.setName('settings').setDescription('Displays the permission settings of this server.')
+        )
+        .addSubcommand((subcommand) =>
+            add_action_option(
+                subcommand.setName('roles').setDescription('Manage the roles allowed to use the bot in this server.')
+            ).addRoleOption((option) =>
+                option.setName('role').setDescription('The role to add/remove.').setRequired(false)
+            )
+        )
+        .addSubcommand((subcommand) =>
+            add_action_option(
+                subcommand.setName('channels').setDescription('Manage the channels alerts may be posted to.')
+            ).addChannelOption((option) =>
+                option.setName('channel').setDescription('The channel to add/remove.').setRequired(false)
+            )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName('toggle')
+                .setDescription('Turns the bot on or off for everyone in this server.')
+                .addBooleanOption((option) =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Whether or not the bot may be used and post alerts in this server.')
+                        .setRequired(true)
+                )
+        );
+}
+
+/**
+ * Returns an embed describing the permission settings of a guild.
+ *
+ * @param {import('../database.js').GuildSettings} settings
+ * @returns {Object}
+ */
+export function generate_guild_settings_embed({ enabled, roles, channels }) {
+    return {
+        title: 'Server Settings',
+        description: enabled
+            ? 'The bot is **enabled** in this server.'
+            : 'The bot is **disabled** in this server, no commands can be used and no alerts are posted.',
+        fields: [
+            {
+                name: 'Allowed Roles',
+                value: roles.length ? roles.map((id) => `<@&${id}>`).join(', ') : 'Everyone may use the bot.',
+            },
+            {
+                name: 'Allowed Alert Channels',
+                value: channels.length ? channels.map((id) => `<#${id}>`).join(', ') : 'Alerts may be posted anywhere.',
+            },
+        ],
+    };
+}
+
+/**
+ * Handles interactions for the `admin` command group.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_admin_command(interaction) {
+    // Ensure the command is used in a server by a member who may manage it
+    if (!interaction.guild)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'Server settings can only be managed within a server.',
+        });
+    if (!can_manage_guild(interaction))
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'You need the **Manage Server** permission to manage the settings of this server.',
+        });
+
+    // Retrieve the command options
+    const subcommand = interaction.options.getSubcommand();
+    const action = interaction.options.getString('action');
+    const settings = get_guild_settings(interaction.guildId);
+
+    // Reply with the settings of the guild if the action is to view them
+    if (subcommand === 'settings')
+        return await interaction.safe_reply({ ephemeral: true, embeds: [generate_guild_settings_embed(settings)] });
+
+    // Turn the bot on or off in the guild
+    if (subcommand === 'toggle') {
+        const enabled = interaction.options.getBoolean('enabled');
+        update_guild_settings(interaction.guildId, { enabled });
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: enabled
+                ? 'The bot is now **enabled** in this server.'
+                : 'The bot is now **disabled** in this server, no commands can be used and no alerts will be posted until it is enabled again.',
+        });
+    }
+
+    // Determine the allowed list and the option of the sub-command
+    const is_roles = subcommand === 'roles';
+    const key = is_roles ? 'roles' : 'channels';
+    const noun = is_roles ? 'role' : 'channel';
+    const list = settings[key];
+
+    // Clear the allowed list if the action is to clear it
+    if (ADMIN_ACTIONS[action] === ADMIN_ACTIONS.CLEAR) {
+        update_guild_settings(interaction.guildId, { [key]: [] });
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: is_roles
+                ? 'Successfully **cleared** the allowed roles, everyone may now use the bot in this server.'
+                : 'Successfully **cleared** the allowed channels, alerts may now be posted to any channel in this server.',
+        });
+    }
+
+    // Ensure the user has specified a valid role or text channel
+    const target = is_roles ? interaction.options.getRole('role') : interaction.options.getChannel('channel');
+    if (!target || (!is_roles && !target.isTextBased()))
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide a valid ${is_roles ? '**role**' : 'text **channel**'} for this action.`,
+        });
+    const mention = is_roles ? `<@&${target.id}>` : `<#${target.id}>`;
+
+    // Add or remove the role or channel from the allowed list
+    const is_add = ADMIN_ACTIONS[action] === ADMIN_ACTIONS.ADD;
+    if (list.includes(target.id) === is_add)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `The ${mention} ${noun} is ${is_add ? 'already' : 'not'} on the allowed list.`,
+        });
+    update_guild_settings(interaction.guildId, {
+        [key]: is_add ? [...list, target.id] : list.filter((id) => id !== target.id),
+    });
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `Successfully **${is_add ? 'added' : 'removed'}** the ${mention} ${noun} ${
+            is_add ? 'to' : 'from'
+        } the allowed list.`,
+    });
+}
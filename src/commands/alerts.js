@@ -1,10 +1,26 @@
+import { PermissionFlagsBits } from 'discord.js';
 import { SUMMARY_TYPES } from './summary.js';
 import { get_registered_client } from '../blackboard/methods.js';
-import { spread_fields_over_embeds } from '../utils.js';
+import { reply_with_pagination } from '../paginator.js';
+import { get_guild_settings, is_alert_channel_allowed } from '../guilds.js';
+import {
+    MAX_CRON_RUNS_PER_DAY,
+    MAX_SCHEDULE_TIMES,
+    WEEKDAY_NAMES,
+    describe_quiet_hours,
+    describe_schedule,
+    parse_alert_schedule,
+    parse_quiet_hours,
+} from '../schedule.js';
+import { get_zoned_timestamp, html_to_markdown, truncate } from '../utils.js';
 
 export const ALERTS_ACTIONS = {
     LIST: 'List all created alerts',
     CREATE: 'Create a new alert',
+    EDIT: 'Edit an existing alert by ID',
+    PAUSE: 'Pause an existing alert by ID',
+    RESUME: 'Resume a paused or snoozed alert by ID',
+    SNOOZE: 'Snooze an existing alert by ID until a date',
     DELETE: 'Delete an existing alert',
 };
 
@@ -13,6 +29,13 @@ export const ALERTS_INTERVALS = {
     WEEKLY: 'Weekly',
 };
 
+export const NOTIFICATION_TYPES = {
+    DEADLINE_REMINDERS: 'Assignment Deadline Reminders',
+    GRADE_NOTIFICATIONS: 'Real-Time Grade Notifications',
+};
+
+export const DEFAULT_REMINDER_HOURS = [24, 2];
+
 /**
  * Builds and returns the `alerts` command.
  * @param {import('discord.js').SlashCommandBuilder} builder
@@ -34,20 +57,33 @@ export function build_alerts_command(builder) {
                     }))
                 )
         )
+        .addIntegerOption((option) =>
+            option
+                .setName('id')
+                .setDescription(
+                    'The ID of an alert as shown by the List action. (Required: Edit, Pause, Resume & Snooze)'
+                )
+                .setRequired(false)
+                .setMinValue(1)
+        )
         .addChannelOption((option) =>
             option
                 .setName('channel')
-                .setDescription('The channel to send the alerts to. (Required: Create & Delete)')
+                .setDescription(
+                    'The channel to send the alerts to. (Required in servers, Optional: Grade Notifications or DMs)'
+                )
                 .setRequired(false)
         )
         .addStringOption((option) =>
             option
                 .setName('summary')
-                .setDescription('Specify the summary type to receive alerts for. (Required: Create & Delete)')
+                .setDescription(
+                    'Specify the summary or reminder type to receive alerts for. (Required: Create & Delete)'
+                )
                 .setRequired(false)
                 .addChoices(
-                    ...Object.keys(SUMMARY_TYPES).map((key) => ({
-                        name: SUMMARY_TYPES[key],
+                    ...Object.keys(alert_types()).map((key) => ({
+                        name: alert_types()[key],
                         value: key,
                     }))
                 )
@@ -74,6 +110,31 @@ export function build_alerts_command(builder) {
                 .setMinValue(0)
                 .setMaxValue(23)
         )
+        .addStringOption((option) =>
+            option
+                .setName('times')
+                .setDescription(
+                    'Comma separated times of day (24 Hour Format) which replace hour_of_day. (Example: 8:30, 17:00)'
+                )
+                .setRequired(false)
+                .setMaxLength(64)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('weekdays')
+                .setDescription(
+                    'Days of the week to receive alerts on. (Example: Mon, Wed, Fri or Mon-Fri) (Default: Every day)'
+                )
+                .setRequired(false)
+                .setMaxLength(64)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('cron')
+                .setDescription('A cron expression which replaces all other schedule options. (Example: 0 8 * * 1-5)')
+                .setRequired(false)
+                .setMaxLength(64)
+        )
         .addNumberOption((option) =>
             option
                 .setName('max_courses_age')
@@ -83,9 +144,453 @@ export function build_alerts_command(builder) {
                 .setMinValue(1)
                 .setMaxValue(48)
                 .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('reminder_hours')
+                .setDescription(
+                    `Hours before each deadline to send deadline reminders, comma separated. (Default: ${DEFAULT_REMINDER_HOURS.join(
+                        ', '
+                    )})`
+                )
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('until')
+                .setDescription(
+                    'The date to snooze an alert until in your timezone. (Format: YYYY-MM-DD) (Required: Snooze)'
+                )
+                .setRequired(false)
+                .setMaxLength(10)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('quiet_hours')
+                .setDescription(
+                    'Quiet hours such as "22:00-07:00", "off" to ignore or "default" to follow your quiet hours.'
+                )
+                .setRequired(false)
+                .setMaxLength(16)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName('all_clear')
+                .setDescription('Post a short "all clear" message when a summary is empty. (Default: Your preference)')
+                .setRequired(false)
         );
 }
 
+/**
+ * Returns all alert types which includes the summary types and the notification types.
+ * Note! This is a function to prevent accessing the summary types before they are initialized by circular imports.
+ * @returns {Object<string, string>}
+ */
+export function alert_types() {
+    return { ...SUMMARY_TYPES, ...NOTIFICATION_TYPES };
+}
+
+/**
+ * Parses a comma separated list of reminder hours.
+ *
+ * @param {String=} value
+ * @returns {Array<Number>=} The unique reminder hours in descending order or `undefined` if the value is invalid.
+ */
+export function parse_reminder_hours(value) {
+    // Use the default reminder hours if no value was provided
+    if (!value) return DEFAULT_REMINDER_HOURS;
+
+    // Parse and validate each hour to be within 2 weeks
+    const hours = value.split(',').map((hour) => Number(hour.trim()));
+    if (!hours.length || hours.length > 5 || hours.some((hour) => !(hour > 0 && hour <= 24 * 14))) return;
+
+    // Return the unique hours in descending order
+    return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+/**
+ * The message replied with for invalid reminder hours.
+ */
+const REMINDER_HOURS_ERROR =
+    'Please provide valid **reminder_hours** as up to 5 comma separated hours within 2 weeks. (Example: "24, 2")';
+
+/**
+ * Describes when an alert is dispatched in a human readable format.
+ *
+ * @param {import('../blackboard/client.js').SummaryAlert} alert
+ * @param {String} timezone The timezone of the user the alert is scheduled in.
+ * @returns {String}
+ */
+function describe_alert_timing(alert, timezone) {
+    if (alert.summary === 'DEADLINE_REMINDERS')
+        return `**${alert.reminder_hours.map((hours) => `${hours}h`).join(', ')}** before each assignment deadline`;
+    if (alert.summary === 'GRADE_NOTIFICATIONS') return `**within minutes** of each new or changed grade`;
+    return `**${describe_schedule(alert)}** (24 Hour Format, ${timezone})`;
+}
+
+/**
+ * The messages replied with for each invalid schedule option of a summary alert.
+ */
+const SCHEDULE_ERRORS = {
+    INVALID_TIMES: `Please provide valid **times** as up to ${MAX_SCHEDULE_TIMES} comma separated times of day in 24 hour format. (Example: "8:30, 17:00")`,
+    INVALID_WEEKDAYS:
+        'Please provide valid **weekdays** as comma separated days of the week or ranges. (Example: "Mon, Wed, Fri" or "Mon-Fri")',
+    INVALID_CRON:
+        'Please provide a valid **cron** expression with the 5 fields minute, hour, day of month, month and day of week which runs at least once. (Example: "0 8 * * 1-5")',
+    CRON_TOO_FREQUENT: `The **cron** expression may run at most ${MAX_CRON_RUNS_PER_DAY} times per day.`,
+};
+
+/**
+ * Describes where an alert is dispatched to in a human readable format.
+ *
+ * @param {import('../blackboard/client.js').SummaryAlert} alert
+ * @returns {String}
+ */
+export function describe_alert_destination(alert) {
+    return alert.channel ? `the <#${alert.channel}> channel` : 'your direct messages';
+}
+
+/**
+ * The permissions the bot requires in a channel to post alerts to it.
+ */
+export const ALERT_PERMISSIONS = [
+    PermissionFlagsBits.ViewChannel,
+    PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.EmbedLinks,
+];
+
+/**
+ * Returns whether or not the bot has the permissions to post alerts to the channel of a guild.
+ * Note! Channels whose permissions can not be resolved are assumed to be postable as failed deliveries are handled later on.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildChannel} channel
+ * @returns {Boolean}
+ */
+function can_post_alerts(guild, channel) {
+    const permissions = channel.permissionsFor?.(guild.members?.me || guild.client?.user);
+    return !permissions || permissions.has(ALERT_PERMISSIONS);
+}
+
+/**
+ * Returns the reminder message and embeds for an upcoming assignment deadline.
+ *
+ * @param {import('../blackboard/client.js').Course} course
+ * @param {import('../blackboard/client.js').SimpleAssignment} assignment
+ * @returns {{ content: String, embeds: Array<Object> }}
+ */
+export function generate_reminder_embeds(course, assignment) {
+    const deadline = Math.floor(assignment.deadline_at / 1000);
+    return {
+        content: `**${assignment.name}** is due <t:${deadline}:R>.`,
+        embeds: [
+            {
+                title: NOTIFICATION_TYPES.DEADLINE_REMINDERS,
+                description: `Below is an assignment which is due soon and has not been submitted yet.`,
+                fields: [
+                    {
+                        name: assignment.name.substring(0, 256), // Truncate the name to 256 characters to prevent errors from Discord limits
+                        value: [
+                            `Course: \`${course.name}\``,
+                            `Status: \`${assignment.status}\``,
+                            `Deadline: <t:${deadline}:F> (<t:${deadline}:R>)`,
+                            `**[[View Course]](${course.url})**`,
+                        ].join('\n'),
+                    },
+                ],
+            },
+        ],
+    };
+}
+
+/**
+ * Returns the notification message and embeds for a new or changed assignment grade.
+ *
+ * @param {import('../blackboard/client.js').Course} course
+ * @param {import('../blackboard/client.js').SimpleAssignment & import('../blackboard/client.js').AssignmentDetails} assignment
+ * @param {Number=} previous_score The previously known score of the assignment if the grade has changed.
+ * @returns {{ content: String, embeds: Array<Object> }}
+ */
+export function generate_grade_embeds(course, assignment, previous_score) {
+    const { score, possible } = assignment.grade;
+    const changed = previous_score !== undefined && previous_score !== null;
+    const feedback = html_to_markdown(assignment.attempts?.find(({ grade }) => grade?.feedback)?.grade.feedback);
+    return {
+        content: `**${assignment.name}** has been ${changed ? 're-graded' : 'graded'}.`,
+        embeds: [
+            {
+                title: changed ? 'Grade Updated' : 'New Grade Posted',
+                description: `Below is the ${changed ? 'updated' : 'new'} grade for an assignment in **${
+                    course.name
+                }**.`,
+                fields: [
+                    {
+                        name: assignment.name.substring(0, 256), // Truncate the name to 256 characters to prevent errors from Discord limits
+                        value: [
+                            `Score: \`${score} / ${possible}${
+                                possible ? ` - ${Math.round((score / possible) * 100)}%` : ''
+                            }\``,
+                            changed ? `Previous Score: \`${previous_score} / ${possible}\`` : '',
+                            `**[[View Course]](${course.url})**`,
+                        ]
+                            .filter((line) => line.length > 0)
+                            .join('\n'),
+                    },
+                    ...(feedback
+                        ? [
+                              {
+                                  name: 'Feedback',
+                                  value: truncate(feedback, 1024), // Truncate the feedback to 1024 characters to prevent errors from Discord limits
+                              },
+                          ]
+                        : []),
+                ],
+            },
+        ],
+    };
+}
+
+/**
+ * Returns the reason alerts can not be posted to a channel of a guild or `null` if they can.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildChannel} channel
+ * @returns {String|null}
+ */
+export function check_alert_channel(guild, channel) {
+    // Ensure the admins of the server allow alerts to be posted to the channel.
+    if (!is_alert_channel_allowed(guild.id, channel.id)) {
+        const { channels } = get_guild_settings(guild.id);
+        return `The admins of this server only allow alerts to be posted to ${channels
+            .map((id) => `<#${id}>`)
+            .join(', ')}.`;
+    }
+
+    // Ensure the bot has the permissions to post the alerts to the channel.
+    if (!can_post_alerts(guild, channel))
+        return `The bot can not post alerts to <#${channel.id}>. Please grant it the **View Channel**, **Send Messages** and **Embed Links** permissions in that channel.`;
+    return null;
+}
+
+/**
+ * Parses a date in "YYYY-MM-DD" format to the timestamp of its start in the given timezone.
+ *
+ * @param {String} value
+ * @param {String} timezone
+ * @returns {Number=} The timestamp or `undefined` if the value is not a valid date.
+ */
+export function parse_snooze_date(value, timezone) {
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return;
+
+    // Ensure the date exists such as no February 30th
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return;
+    return get_zoned_timestamp(year, month - 1, day, 0, 0, timezone);
+}
+
+/**
+ * The message replied with for invalid quiet hours of an alert.
+ */
+const QUIET_HOURS_ERROR =
+    'Please provide valid **quiet_hours** such as "22:00-07:00", "off" to ignore or "default" to follow your quiet hours.';
+
+/**
+ * Parses the quiet hours option of an alert.
+ *
+ * @param {String} value
+ * @returns {import('../schedule.js').QuietHours|false|null|undefined} The quiet hours, `false` for "off", `null` for "default" or `undefined` if the value is invalid.
+ */
+export function parse_alert_quiet_hours(value) {
+    const lower = value.trim().toLowerCase();
+    if (lower === 'off') return false;
+    if (lower === 'default') return null;
+    return parse_quiet_hours(value);
+}
+
+/**
+ * Returns the message posted by summary alerts with nothing to report when the "all clear" preference is enabled.
+ *
+ * @param {import('../blackboard/client.js').SummaryAlert} alert
+ * @returns {String}
+ */
+export function generate_all_clear_message(alert) {
+    return `**All clear!** There is nothing to report for your **${alert_types()[alert.summary]}** summary.`;
+}
+
+/**
+ * Describes the quiet hours and the "all clear" preference of an alert in a human readable format.
+ *
+ * @param {import('../blackboard/client.js').SummaryAlert} alert
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @returns {String}
+ */
+function describe_alert_preferences(alert, client) {
+    let description = '';
+    if (alert.quiet_hours) description += `\nQuiet Hours: **${describe_quiet_hours(alert.quiet_hours)}**`;
+    else if (alert.quiet_hours === false) description += '\nQuiet Hours: **Off**';
+    else if (client.quiet_hours)
+        description += `\nQuiet Hours: **${describe_quiet_hours(client.quiet_hours)}** (Default)`;
+    if (!NOTIFICATION_TYPES[alert.summary] && (alert.all_clear ?? client.all_clear))
+        description += '\nPosts an **all clear** message when there is nothing to report.';
+    return description;
+}
+
+/**
+ * Describes the paused or snoozed state of an alert in a human readable format.
+ *
+ * @param {import('../blackboard/client.js').SummaryAlert} alert
+ * @returns {String}
+ */
+function describe_alert_state(alert) {
+    if (alert.paused && alert.pause_reason)
+        return `\n**Paused** after repeated failed deliveries. (Reason: \`${alert.pause_reason}\`)`;
+    if (alert.paused) return '\n**Paused** until you resume it.';
+    if (alert.snoozed_until > Date.now()) return `\n**Snoozed** until <t:${Math.floor(alert.snoozed_until / 1000)}:F>.`;
+    return '';
+}
+
+/**
+ * Handles the alerts command actions which manage an existing alert by its ID.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @param {String} action
+ * @returns {Promise<void>}
+ */
+async function on_alert_id_action(interaction, client, action) {
+    // Ensure the alert exists
+    const id = interaction.options.getInteger('id');
+    const [, alert] = client.find_alert(id) || [];
+    if (!alert)
+        return interaction.safe_reply({
+            ephemeral: true,
+            content: `No alert exists with the ID **#${id}**. The IDs of your alerts are shown by the **${ALERTS_ACTIONS.LIST}** action.`,
+        });
+    const name = `**#${id}** for **${alert_types()[alert.summary]}**`;
+
+    switch (action) {
+        case 'DELETE':
+            client.delete_alert(alert.channel, alert.summary);
+            return interaction.safe_reply({ ephemeral: true, content: `Successfully **deleted** alert ${name}.` });
+        case 'PAUSE':
+            if (alert.paused)
+                return interaction.safe_reply({ ephemeral: true, content: `Alert ${name} is already paused.` });
+            client.update_alert(id, { paused: true, pause_reason: undefined, failures: undefined });
+            return interaction.safe_reply({
+                ephemeral: true,
+                content: `Successfully **paused** alert ${name}, it keeps its settings until you resume it.`,
+            });
+        case 'RESUME':
+            if (!alert.paused && !(alert.snoozed_until > Date.now()))
+                return interaction.safe_reply({ ephemeral: true, content: `Alert ${name} is not paused or snoozed.` });
+            client.update_alert(id, {
+                paused: undefined,
+                pause_reason: undefined,
+                failures: undefined,
+                snoozed_until: undefined,
+            });
+            return interaction.safe_reply({ ephemeral: true, content: `Successfully **resumed** alert ${name}.` });
+        case 'SNOOZE': {
+            // Ensure the date lies in the future
+            const until = interaction.options.getString('until');
+            const snoozed_until = until ? parse_snooze_date(until, client.timezone) : undefined;
+            if (!(snoozed_until > Date.now()))
+                return interaction.safe_reply({
+                    ephemeral: true,
+                    content: 'Please provide a future date to snooze the alert **until** in the "YYYY-MM-DD" format.',
+                });
+            client.update_alert(id, { snoozed_until });
+            return interaction.safe_reply({
+                ephemeral: true,
+                content: `Successfully **snoozed** alert ${name} until <t:${Math.floor(
+                    snoozed_until / 1000
+                )}:F>, it resumes automatically afterwards.`,
+            });
+        }
+    }
+
+    // Determine the changes to the alert from the provided options
+    const changes = {};
+    const channel = interaction.guild ? interaction.options.getChannel('channel') : null;
+    if (channel) {
+        if (!channel.isTextBased())
+            return interaction.safe_reply({ ephemeral: true, content: 'Please provide a valid text **channel**.' });
+        const reason = check_alert_channel(interaction.guild, channel);
+        if (reason) return interaction.safe_reply({ ephemeral: true, content: reason });
+        changes.channel = channel.id;
+        changes.guild = interaction.guildId;
+    }
+
+    const max_courses_age = interaction.options.getNumber('max_courses_age');
+    if (max_courses_age !== null) changes.max_courses_age = max_courses_age;
+
+    const all_clear = interaction.options.getBoolean('all_clear');
+    if (all_clear !== null && !NOTIFICATION_TYPES[alert.summary]) changes.all_clear = all_clear;
+
+    const quiet_hours_value = interaction.options.getString('quiet_hours');
+    if (quiet_hours_value !== null) {
+        const quiet_hours = parse_alert_quiet_hours(quiet_hours_value);
+        if (quiet_hours === undefined) return interaction.safe_reply({ ephemeral: true, content: QUIET_HOURS_ERROR });
+        changes.quiet_hours = quiet_hours ?? undefined;
+    }
+
+    const reminder_hours = interaction.options.getString('reminder_hours');
+    if (reminder_hours !== null && alert.summary === 'DEADLINE_REMINDERS') {
+        changes.reminder_hours = parse_reminder_hours(reminder_hours);
+        if (!changes.reminder_hours) return interaction.safe_reply({ ephemeral: true, content: REMINDER_HOURS_ERROR });
+    }
+
+    // Re-parse the schedule of summary alerts where unchanged options keep their current values
+    // A new interval resets the weekdays and a new hour of the day resets the times unless they are provided as well
+    const options = ['interval', 'times', 'weekdays', 'cron'].map((key) => interaction.options.getString(key));
+    const [interval, times, weekdays, cron] = options;
+    const hour_of_day = interaction.options.getNumber('hour_of_day');
+    if (!NOTIFICATION_TYPES[alert.summary] && (hour_of_day !== null || options.some((value) => value !== null))) {
+        try {
+            const schedule = parse_alert_schedule(
+                {
+                    interval: interval ?? alert.interval,
+                    hour_of_day: hour_of_day ?? alert.hour_of_day,
+                    times: times ?? (hour_of_day === null ? alert.times?.join(',') : undefined),
+                    weekdays:
+                        weekdays ??
+                        (interval === null ? alert.weekdays?.map((day) => WEEKDAY_NAMES[day]).join(',') : undefined),
+                    cron: cron ?? undefined,
+                },
+                client.timezone
+            );
+            Object.assign(changes, { times: undefined, weekdays: undefined, cron: undefined }, schedule);
+        } catch (error) {
+            if (!SCHEDULE_ERRORS[error.message]) throw error;
+            return interaction.safe_reply({ ephemeral: true, content: SCHEDULE_ERRORS[error.message] });
+        }
+    }
+
+    // Ensure at least one option was changed
+    if (!Object.keys(changes).length)
+        return interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide at least one option to change for alert ${name}.`,
+        });
+
+    // Update the alert unless another alert of the same type exists in the new channel
+    const updated = client.update_alert(id, changes);
+    if (!updated)
+        return interaction.safe_reply({
+            ephemeral: true,
+            content: `An alert for **${alert_types()[alert.summary]}** already exists in <#${changes.channel}>.`,
+        });
+    return interaction.safe_reply({
+        ephemeral: true,
+        content: `Successfully **edited** alert ${name} which will be posted ${describe_alert_timing(
+            updated,
+            client.timezone
+        )} in ${describe_alert_destination(updated)}.`,
+    });
+}
+
 /**
  * Handles interactions for the `alerts` command.
  *
@@ -96,10 +601,16 @@ export async function on_alerts_command(interaction) {
     // Retrieve all the options from the interaction with default values.
     const action = interaction.options.getString('action') || 'LIST';
     const summary = interaction.options.getString('summary');
-    const channel = interaction.options.getChannel('channel');
+    const channel = interaction.guild ? interaction.options.getChannel('channel') : null;
     const interval = interaction.options.getString('interval') || 'DAILY';
-    const hour_of_day = interaction.options.getNumber('hour_of_day') || 8;
+    const hour_of_day = interaction.options.getNumber('hour_of_day') ?? 8;
+    const times = interaction.options.getString('times');
+    const weekdays = interaction.options.getString('weekdays');
+    const cron = interaction.options.getString('cron');
     const max_courses_age = interaction.options.getNumber('max_courses_age') || 6;
+    const reminder_hours = parse_reminder_hours(interaction.options.getString('reminder_hours'));
+    const all_clear = interaction.options.getBoolean('all_clear');
+    const quiet_hours_value = interaction.options.getString('quiet_hours');
 
     // Retrieve the client associated with the interaction
     const client = get_registered_client(interaction);
@@ -107,42 +618,57 @@ export async function on_alerts_command(interaction) {
 
     // Determine if this action is a list action.
     if (ALERTS_ACTIONS[action] === ALERTS_ACTIONS.LIST) {
-        // Retrieve a list of all alerts with potential summary and channel filter assertions.
+        // Retrieve a list of all alerts by their ID with their next run and state.
         const fields = [];
-        Object.keys(client.alerts).forEach((id, index) => {
-            const alert = client.alerts[id];
+        Object.keys(client.alerts).forEach((identifier) => {
+            const alert = client.alerts[identifier];
+            const next_run_at = client.get_next_alert_run(identifier);
+            const next_run = next_run_at ? Math.floor(next_run_at / 1000) : null;
             fields.push({
-                name: `Alert #${index + 1}`,
-                value: `This alert is scheduled to post a **${SUMMARY_TYPES[alert.summary]}** summary **${
-                    ALERTS_INTERVALS[alert.interval]
-                } @ ${alert.hour_of_day}:00** (24 Hour Format) to the <#${
-                    alert.channel
-                }> channel for courses from the last **${alert.max_courses_age}** month(s).`,
+                name: `Alert #${alert.id}`,
+                value: `This alert is scheduled to post ${
+                    NOTIFICATION_TYPES[alert.summary]
+                        ? `**${alert_types()[alert.summary]}**`
+                        : `a **${alert_types()[alert.summary]}** summary`
+                } ${describe_alert_timing(alert, client.timezone)} to ${describe_alert_destination(
+                    alert
+                )} for courses from the last **${alert.max_courses_age}** month(s).${
+                    next_run ? `\nNext Run: <t:${next_run}:F> (<t:${next_run}:R>)` : ''
+                }${describe_alert_preferences(alert, client)}${describe_alert_state(alert)}`,
             });
         });
 
-        // Send the list of alerts to the user.
-        return interaction.safe_reply({
-            ephemeral: true,
-            embeds: spread_fields_over_embeds({
-                title: 'Current Alerts',
-                description: `You currently have **${fields.length}** active alert(s).`,
-                fields,
-            }),
+        // Send the list of alerts to the user spread over pages.
+        return reply_with_pagination(interaction, {
+            title: 'Current Alerts',
+            description: `You currently have **${fields.length}** alert(s).`,
+            fields,
         });
     }
 
+    // Manage an existing alert by its ID for the edit, pause, resume and snooze actions or deletions by ID.
+    const by_id = ['EDIT', 'PAUSE', 'RESUME', 'SNOOZE'].includes(action);
+    if (by_id || (action === 'DELETE' && interaction.options.getInteger('id') !== null)) {
+        if (interaction.options.getInteger('id') === null)
+            return interaction.safe_reply({
+                ephemeral: true,
+                content: `Please provide the **id** of an alert. (Shown by the **${ALERTS_ACTIONS.LIST}** action)`,
+            });
+        return on_alert_id_action(interaction, client, action);
+    }
+
     // Ensure that a summary was provided for the create and delete actions.
-    if (!SUMMARY_TYPES[summary])
+    if (!alert_types()[summary])
         return interaction.safe_reply({
-            content: `Please provide a valid **summary** value. (One Of ${Object.values(SUMMARY_TYPES)
+            content: `Please provide a valid **summary** value. (One Of ${Object.values(alert_types())
                 .map((name) => `"${name}"`)
                 .join(', ')})`,
             ephemeral: true,
         });
 
-    // Ensure a valid channel was provided for the create and delete actions.
-    if (!channel || !channel.isTextBased())
+    // Ensure a valid channel was provided for the create and delete actions in servers.
+    // Grade notifications and alerts managed from direct messages omit the channel to be sent as direct messages instead.
+    if (interaction.guild && (channel || summary !== 'GRADE_NOTIFICATIONS') && (!channel || !channel.isTextBased()))
         return interaction.safe_reply({
             content: 'Please provide a valid text **channel**.',
             ephemeral: true,
@@ -150,40 +676,70 @@ export async function on_alerts_command(interaction) {
 
     // Determine if this action is a create action.
     if (ALERTS_ACTIONS[action] === ALERTS_ACTIONS.CREATE) {
+        // Ensure the alerts may and can be posted to the channel.
+        const reason = channel ? check_alert_channel(interaction.guild, channel) : null;
+        if (reason) return interaction.safe_reply({ ephemeral: true, content: reason });
+
+        // Ensure valid reminder hours were provided for deadline reminders.
+        if (summary === 'DEADLINE_REMINDERS' && !reminder_hours)
+            return interaction.safe_reply({ ephemeral: true, content: REMINDER_HOURS_ERROR });
+
+        // Determine the schedule of the alert from the schedule options of summary alerts.
+        let schedule = { interval, hour_of_day };
+        if (!NOTIFICATION_TYPES[summary]) {
+            try {
+                schedule = parse_alert_schedule({ interval, hour_of_day, times, weekdays, cron }, client.timezone);
+            } catch (error) {
+                if (!SCHEDULE_ERRORS[error.message]) throw error;
+                return interaction.safe_reply({ ephemeral: true, content: SCHEDULE_ERRORS[error.message] });
+            }
+        }
+
         // Create the new alert based on user options.
-        const created = client.deploy_alert({
+        const alert = {
             summary,
-            channel: channel.id,
-            guild: interaction.guildId,
-            interval,
-            hour_of_day,
+            channel: channel ? channel.id : null,
+            guild: channel ? interaction.guildId : null,
+            ...schedule,
             max_courses_age,
-        });
+        };
+        if (summary === 'DEADLINE_REMINDERS') alert.reminder_hours = reminder_hours;
+        if (all_clear !== null && !NOTIFICATION_TYPES[summary]) alert.all_clear = all_clear;
+
+        // Set the quiet hours of the alert unless it follows the quiet hours of the user.
+        if (quiet_hours_value !== null) {
+            const quiet_hours = parse_alert_quiet_hours(quiet_hours_value);
+            if (quiet_hours === undefined)
+                return interaction.safe_reply({ ephemeral: true, content: QUIET_HOURS_ERROR });
+            if (quiet_hours !== null) alert.quiet_hours = quiet_hours;
+        }
+        const created = client.deploy_alert(alert);
 
         // Return a message to the user with a description of the created alert.
         return interaction.safe_reply({
             ephemeral: true,
             content: `Successfully **${created ? 'created a new' : 'updated an existing'}** alert for **${
-                SUMMARY_TYPES[summary]
-            }** that will be posted at **${hour_of_day}:00** (24 Hour Format) **${
-                ALERTS_INTERVALS[interval]
-            }** in the <#${channel.id}> channel.`,
+                alert_types()[summary]
+            }** that will be posted ${describe_alert_timing(alert, client.timezone)} in ${describe_alert_destination(
+                alert
+            )}.`,
         });
     } else {
         // Delete the alert based on user options.
-        const deleted = client.delete_alert(channel.id, summary);
+        const deleted = client.delete_alert(channel?.id, summary);
+        const destination = describe_alert_destination({ channel: channel?.id });
 
         // If we didn't delete an alert, return an error message.
         if (!deleted)
             return interaction.safe_reply({
                 ephemeral: true,
-                content: `No alert exists for **${SUMMARY_TYPES[summary]}** in the channel <#${channel.id}>.`,
+                content: `No alert exists for **${alert_types()[summary]}** in ${destination}.`,
             });
 
         // Return a message to the user with a description of the deleted alert.
         return interaction.safe_reply({
             ephemeral: true,
-            content: `No longer sending **${SUMMARY_TYPES[summary]}** alerts in the <#${channel.id}> channel.`,
+            content: `No longer sending **${alert_types()[summary]}** alerts in ${destination}.`,
         });
     }
 }
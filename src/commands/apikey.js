@@ -0,0 +1,93 @@
+import { issue_api_key } from '../api.js';
+import { delete_api_keys, list_api_keys } from '../database.js';
+import { get_registered_client, interaction_to_identifier } from '../blackboard/methods.js';
+import { get_public_url, is_http_server_enabled } from '../server.js';
+
+export const APIKEY_ACTIONS = {
+    LIST: 'List your API keys',
+    CREATE: 'Create a new API key',
+    REVOKE: 'Revoke all of your API keys',
+};
+
+/**
+ * Builds and returns the `apikey` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_apikey_command(builder) {
+    return builder
+        .setName('apikey')
+        .setDescription('Manage API keys to access your Blackboard data through the REST API.')
+        .addStringOption((option) =>
+            option
+                .setName('action')
+                .setDescription('The action to perform for your API keys.')
+                .setRequired(true)
+                .addChoices(
+                    ...Object.keys(APIKEY_ACTIONS).map((key) => ({
+                        name: APIKEY_ACTIONS[key],
+                        value: key,
+                    }))
+                )
+        );
+}
+
+/**
+ * Handles interactions for the `apikey` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_apikey_command(interaction) {
+    // Retrieve the command options
+    const action = interaction.options.getString('action');
+
+    // Ensure the HTTP server is enabled to serve the REST API
+    if (!is_http_server_enabled())
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'The REST API is not enabled on this bot. Please ask the bot host to set the `HTTP_PORT`.',
+        });
+
+    // Retrieve the Blackboard client from the database
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+    const identifier = interaction_to_identifier(interaction);
+
+    switch (action) {
+        case 'CREATE':
+            // Issue a new API key which is only shown once
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `Below is your new API key, **it will not be shown again** so store it somewhere safe.\nSend it as a \`Authorization: Bearer <key>\` header to the REST API at ${get_public_url(
+                    '/api'
+                )}\n\`\`\`${issue_api_key(identifier)}\`\`\``,
+            });
+        case 'REVOKE':
+            // Revoke all API keys
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `Successfully **revoked ${delete_api_keys(identifier)}** API key(s).`,
+            });
+        default: {
+            // List all API keys without revealing them
+            const keys = list_api_keys(identifier);
+            return await interaction.safe_reply({
+                ephemeral: true,
+                embeds: [
+                    {
+                        title: 'API Keys',
+                        description: `You currently have **${keys.length}** active API key(s).`,
+                        fields: keys.slice(0, 25).map(({ hash, created_at, used_at }, index) => ({
+                            name: `API Key #${index + 1} (${hash.substring(0, 8)})`,
+                            value: [
+                                `Created <t:${Math.floor(created_at / 1000)}:R>`,
+                                used_at ? `Last Used <t:${Math.floor(used_at / 1000)}:R>` : 'Never Used',
+                            ].join('\n'),
+                        })),
+                    },
+                ],
+            });
+        }
+    }
+}
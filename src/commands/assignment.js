@@ -0,0 +1,173 @@
+import { get_registered_client } from '../blackboard/methods.js';
+import { find_course } from './courses.js';
+import { html_to_markdown, spread_fields_over_embeds, truncate } from '../utils.js';
+
+/**
+ * The maximum number of most recent attempts to display for an assignment to stay within Discord message limits.
+ */
+export const MAX_DISPLAYED_ATTEMPTS = 5;
+
+/**
+ * Builds and returns the `assignment` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_assignment_command(builder) {
+    return builder
+        .setName('assignment')
+        .setDescription('Displays the full details and attempt history of an assignment.')
+        .addStringOption((option) =>
+            option
+                .setName('course')
+                .setDescription('The course of the assignment. (Start typing to search your courses)')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('assignment')
+                .setDescription('The assignment to display. (Start typing to search the assignments of the course)')
+                .setRequired(true)
+                .setMaxLength(256)
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * Finds an assignment by its exact ID or name, or otherwise the first assignment whose name contains the query.
+ *
+ * @param {Array<import('../blackboard/client.js').SimpleAssignment>} assignments
+ * @param {String} query
+ * @returns {import('../blackboard/client.js').SimpleAssignment=}
+ */
+export function find_assignment(assignments, query) {
+    const normalized = query.trim().toLowerCase();
+    return (
+        assignments.find(({ id, name }) => id === query.trim() || name.toLowerCase() === normalized) ||
+        assignments.find(({ name }) => name.toLowerCase().includes(normalized))
+    );
+}
+
+/**
+ * Returns a human readable size for the provided number of bytes.
+ *
+ * @param {Number} bytes
+ * @returns {String}
+ */
+function format_size(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${Math.round(bytes * 10) / 10} ${units[unit]}`;
+}
+
+/**
+ * Returns a readable grade line for a score out of the possible points.
+ *
+ * @param {Number} score
+ * @param {Number|null} possible
+ * @returns {String}
+ */
+function format_grade(score, possible) {
+    if (!possible) return `\`${score}\``;
+    return `\`${score} / ${possible} - ${Math.round((score / possible) * 100)}%\``;
+}
+
+/**
+ * Returns the embeds which describe an assignment and its attempt history in detail.
+ *
+ * @param {import('../blackboard/client.js').Course} course
+ * @param {import('../blackboard/client.js').SimpleAssignment & import('../blackboard/client.js').AssignmentDetails} assignment
+ * @returns {Array<Object>}
+ */
+export function generate_assignment_embeds(course, assignment) {
+    const { name, status, category, deadline_at, created_at, updated_at, grade, description } = assignment;
+    const attempts = assignment.attempts || [];
+
+    // Describe the assignment itself
+    const details = {
+        title: truncate(name, 256),
+        url: course.url,
+        description:
+            status === 'NOT_AVAILABLE'
+                ? '*The details of this assignment are not available on Blackboard yet.*'
+                : truncate(html_to_markdown(description), 1500) || '*This assignment has no description.*',
+        fields: [
+            { name: 'Course', value: `**[${truncate(course.name, 256)}](${course.url})**`, inline: true },
+            { name: 'Status', value: `\`${status}\``, inline: true },
+            category ? { name: 'Category', value: truncate(category, 256), inline: true } : null,
+            deadline_at ? { name: 'Due Date', value: `<t:${Math.floor(deadline_at / 1000)}:F>`, inline: true } : null,
+            typeof grade?.score === 'number'
+                ? { name: 'Grade', value: format_grade(grade.score, grade.possible), inline: true }
+                : null,
+            created_at ? { name: 'Opened', value: `<t:${Math.floor(created_at / 1000)}:R>`, inline: true } : null,
+            updated_at ? { name: 'Last Updated', value: `<t:${Math.floor(updated_at / 1000)}:R>`, inline: true } : null,
+        ].filter((field) => field !== null),
+    };
+
+    // Describe each of the most recent attempts with the latest attempt first
+    if (!attempts.length) return [details];
+    const hidden = attempts.length - MAX_DISPLAYED_ATTEMPTS;
+    return [
+        details,
+        ...spread_fields_over_embeds({
+            title: 'Attempt History',
+            description: `You have made **${attempts.length}** attempt(s) for this assignment.${
+                hidden > 0 ? ` Only the **${MAX_DISPLAYED_ATTEMPTS}** most recent attempts are shown below.` : ''
+            }`,
+            fields: attempts.slice(0, MAX_DISPLAYED_ATTEMPTS).map(({ created_at, submission, grade }, index) => {
+                const body = html_to_markdown(submission?.body);
+                const feedback = html_to_markdown(grade?.feedback);
+                return {
+                    name: `Attempt #${attempts.length - index}`,
+                    value: truncate(
+                        [
+                            created_at ? `Submitted <t:${Math.floor(created_at / 1000)}:f>` : '',
+                            submission?.size ? `Submission Size: \`${format_size(submission.size)}\`` : '',
+                            body ? `Submission: ${truncate(body, 200)}` : '',
+                            typeof grade?.score === 'number'
+                                ? `Score: ${format_grade(grade.score, assignment.grade?.possible)}`
+                                : 'Score: `Not Graded`',
+                            feedback ? `Feedback: ${truncate(feedback, 400)}` : '',
+                        ]
+                            .filter((line) => line.length > 0)
+                            .join('\n'),
+                        1024
+                    ),
+                };
+            }),
+        }),
+    ];
+}
+
+/**
+ * Handles interactions for the `assignment` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_assignment_command(interaction) {
+    // Retrieve the options from the interaction
+    const course_query = interaction.options.getString('course');
+    const query = interaction.options.getString('assignment');
+
+    // Retrieve the client associated with the interaction
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Retrieve the course from the cache
+    const courses = await client.get_all_courses(Infinity);
+    const course = find_course(courses, course_query);
+    if (!course) throw new Error('NO_COURSE');
+
+    // Find the assignment by its ID or name
+    const assignment = find_assignment(await client.get_all_assignments(course, { status: 'UPCOMING' }), query);
+    if (!assignment) throw new Error('NO_ASSIGNMENT');
+
+    // Retrieve the full details of the assignment and reply with them
+    const detailed = await client.get_specific_assignment(course, assignment);
+    await interaction.safe_reply({ embeds: generate_assignment_embeds(course, detailed), ephemeral: true });
+}
@@ -1,5 +1,6 @@
 import { get_registered_client } from '../blackboard/methods.js';
-import { spread_fields_over_embeds } from '../utils.js';
+import { find_course } from './courses.js';
+import { reply_with_pagination } from '../paginator.js';
 
 /**
  * Builds and returns the `assignments` command.
@@ -10,13 +11,12 @@ export function build_assignments_command(builder) {
     return builder
         .setName('assignments')
         .setDescription('Displays a list of all assignments for the specified course.')
-        .addNumberOption((option) =>
+        .addStringOption((option) =>
             option
-                .setName('course_number')
-                .setDescription('The course number to display assignments for. (Example: 3 for "Course #3")')
+                .setName('course')
+                .setDescription('The course to display assignments for. (Start typing to search your courses)')
                 .setRequired(true)
-                .setMinValue(1)
-                .setMaxValue(100)
+                .setAutocomplete(true)
         )
         .addStringOption((option) =>
             option
@@ -53,7 +53,7 @@ export function build_assignments_command(builder) {
 export async function on_assignments_command(interaction) {
     // Retrieve the options from the interaction
     const course_status = interaction.options.getString('status');
-    const course_number = interaction.options.getNumber('course_number');
+    const course_query = interaction.options.getString('course');
 
     // Retrieve the client associated with the interaction
     const client = get_registered_client(interaction);
@@ -61,13 +61,15 @@ export async function on_assignments_command(interaction) {
 
     // Retrieve the course from the cache
     const courses = await client.get_all_courses(Infinity);
-    const course = courses[`#${course_number}`];
+    const course = find_course(courses, course_query);
     if (!course) throw new Error('NO_COURSE');
 
-    // Retrieve the assignments from Blackboard
-    const assignments = await client.get_all_assignments(course, {
+    // Retrieve the assignments from Blackboard without the ignored assignments
+    const all_assignments = await client.get_all_assignments(course, {
         status: course_status,
     });
+    const assignments = all_assignments.filter((assignment) => !client.ignored_assignment(course, assignment));
+    const hidden = all_assignments.length - assignments.length;
 
     // Sort assignments by closest deadline to current timestamp
     assignments.sort((a, b) => {
@@ -80,7 +82,9 @@ export async function on_assignments_command(interaction) {
     // Build the embed message
     const embed = {
         title: 'Blackboard Assignments',
-        description: `Below are your requested assignments for **${course.name}**`,
+        description: `Below are your requested assignments for **${course.name}**${
+            hidden ? `\n*${hidden} ignored assignment(s) are hidden.*` : ''
+        }`,
         fields: assignments.length
             ? assignments.map(({ name, status, deadline_at, grade }) => ({
                   name: name.substring(0, 256), // Truncate the name to 256 characters to prevent errors from Discord limits
@@ -99,6 +103,6 @@ export async function on_assignments_command(interaction) {
             : [{ name: 'No Assignments', value: 'No assignments were found for this course with your query.' }],
     };
 
-    // Reply to the interaction with the embed message
-    await interaction.safe_reply({ embeds: spread_fields_over_embeds(embed), ephemeral: true });
+    // Reply to the interaction with the embed message spread over pages
+    await reply_with_pagination(interaction, embed);
 }
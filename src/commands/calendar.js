@@ -0,0 +1,275 @@
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { STATUS_CODES } from 'http';
+import { RegisteredClients } from '../blackboard/client.js';
+import { get_registered_client } from '../blackboard/methods.js';
+import { is_http_server_enabled, get_public_url, register_route } from '../server.js';
+
+export const CALENDAR_ACTIONS = {
+    DOWNLOAD: 'Download a calendar file',
+    FEED: 'Get a subscribable calendar feed URL',
+    RESET_FEED: 'Reset your calendar feed URL',
+};
+
+/**
+ * The time in milliseconds to cache generated calendar feeds to prevent calendar apps from overloading Blackboard.
+ */
+export const CALENDAR_FEED_CACHE_TIME = 1000 * 60 * 15;
+
+/**
+ * The cache of generated calendar feeds by feed token.
+ * @type {Map<string, { calendar: String, expires_at: Number }>}
+ */
+const CalendarFeeds = new Map();
+
+/**
+ * Builds and returns the `calendar` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_calendar_command(builder) {
+    return builder
+        .setName('calendar')
+        .setDescription('Export your Blackboard assignments as an iCalendar (.ics) file or feed.')
+        .addStringOption((option) =>
+            option
+                .setName('action')
+                .setDescription(`The action to perform for the calendar. (Default: ${CALENDAR_ACTIONS.DOWNLOAD})`)
+                .setRequired(false)
+                .addChoices(
+                    ...Object.keys(CALENDAR_ACTIONS).map((key) => ({
+                        name: CALENDAR_ACTIONS[key],
+                        value: key,
+                    }))
+                )
+        )
+        .addNumberOption((option) =>
+            option
+                .setName('max_courses_age')
+                .setDescription(
+                    'Maximum age in "number of months" to filter out past courses. (Default: 6 aka. 6 Months)'
+                )
+                .setMinValue(1)
+                .setMaxValue(48)
+                .setRequired(false)
+        );
+}
+
+/**
+ * Handles interactions for the `calendar` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_calendar_command(interaction) {
+    // Retrieve the command options
+    const action = interaction.options.getString('action') || 'DOWNLOAD';
+    const max_courses_age = interaction.options.getNumber('max_courses_age') || 6;
+
+    // Retrieve the Blackboard client from the database
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Send the calendar as an attachment if the action is to download it
+    if (CALENDAR_ACTIONS[action] === CALENDAR_ACTIONS.DOWNLOAD) {
+        const calendar = await generate_calendar(client, 1000 * 60 * 60 * 24 * 30 * max_courses_age);
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'Below is a calendar of your Blackboard assignments which you may import into any calendar app.',
+            files: [{ attachment: Buffer.from(calendar), name: 'blackboard-assignments.ics' }],
+        });
+    }
+
+    // Ensure the HTTP server is enabled to serve calendar feeds
+    if (!is_http_server_enabled())
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'Calendar feeds are not enabled on this bot. Please ask the bot host to set the `HTTP_PORT`.',
+        });
+
+    // Generate a new feed token if the user has none or wants to reset it
+    const is_reset = CALENDAR_ACTIONS[action] === CALENDAR_ACTIONS.RESET_FEED;
+    let token = client.get_setting('calendar_token');
+    if (!token || is_reset) {
+        if (token) CalendarFeeds.delete(token);
+        token = randomBytes(24).toString('hex');
+        client.set_setting('calendar_token', token);
+    }
+
+    // Reply with the private feed URL
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `${
+            is_reset ? 'Your previous calendar feed URL no longer works. ' : ''
+        }Subscribe to the URL below in Google Calendar, Apple Calendar or any other calendar app. **Keep this URL private** as anyone with it can view your assignments.\n${get_public_url(
+            `/calendar/${token}.ics`
+        )}`,
+    });
+}
+
+/**
+ * Escapes a text value for an iCalendar property.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function escape_text(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a timestamp as an iCalendar UTC date-time value.
+ *
+ * @param {Number} timestamp
+ * @returns {String}
+ */
+function format_date(timestamp) {
+    return new Date(timestamp)
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line into multiple lines of at most 75 octets as required by the iCalendar specification.
+ *
+ * @param {String} line
+ * @returns {String}
+ */
+function fold_line(line) {
+    const chunks = [];
+    let chunk = '';
+    for (const character of line) {
+        // Start a new continuation chunk once the current chunk would exceed the limit
+        const limit = chunks.length ? 74 : 75;
+        if (Buffer.byteLength(chunk + character) > limit) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk += character;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Returns an iCalendar document with an event for each non-ignored assignment of the client's non-ignored courses.
+ *
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @param {Number=} max_courses_age Maximum age in milliseconds to filter out past courses.
+ * @returns {Promise<String>}
+ */
+export async function generate_calendar(client, max_courses_age = Infinity) {
+    // Retrieve the most recently available courses from Blackboard
+    const courses = await client.get_all_courses(max_courses_age);
+
+    // Filter out courses that are being ignored
+    const keys = Object.keys(courses).filter((key) => !client.ignored('courses', courses[key].id));
+
+    // Retrieve each course's assignments
+    const results = await Promise.all(keys.map((key) => client.get_all_assignments(courses[key])));
+
+    // Build an event for each assignment with a deadline
+    const stamp = format_date(Date.now());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CUNY Blackboard Bot//Assignments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Blackboard Assignments',
+    ];
+    keys.forEach((key, index) => {
+        const course = courses[key];
+        for (const assignment of results[index]) {
+            const { id, name, status, category, deadline_at } = assignment;
+            if (!deadline_at || client.ignored_assignment(course, assignment)) continue;
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${id}-${course.id}@blackboard`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${format_date(deadline_at)}`,
+                `DTEND:${format_date(deadline_at)}`,
+                `SUMMARY:${escape_text(`${name} (${course.name})`)}`,
+                `DESCRIPTION:${escape_text(`Course: ${course.name}\nStatus: ${status}\n${course.url}`)}`,
+                `URL:${course.url}`,
+                ...(category ? [`CATEGORIES:${escape_text(category)}`] : []),
+                'END:VEVENT'
+            );
+        }
+    });
+    lines.push('END:VCALENDAR');
+
+    // Fold and join the lines with CRLF line endings
+    return lines.map(fold_line).join('\r\n') + '\r\n';
+}
+
+/**
+ * Returns the registered client which owns the given calendar feed token.
+ *
+ * @param {String} token
+ * @returns {import('../blackboard/client.js').BlackboardClient=}
+ */
+function find_client_by_calendar_token(token) {
+    const candidate = Buffer.from(token);
+    for (const client of RegisteredClients.values()) {
+        const expected = client.get_setting('calendar_token');
+        if (!expected) continue;
+
+        // Compare the tokens in constant time to prevent timing attacks
+        const buffer = Buffer.from(expected);
+        if (buffer.length === candidate.length && timingSafeEqual(buffer, candidate)) return client;
+    }
+}
+
+/**
+ * Returns the HTTP status code of a known error which occurred while generating a calendar feed.
+ *
+ * @param {Error} error
+ * @returns {Number=}
+ */
+function calendar_feed_error_status(error) {
+    if (error.message === 'NO_CLIENT') return 410;
+    if (error.message.startsWith('INVALID_HTTP_RESPONSE_')) return 503;
+}
+
+/**
+ * Registers the calendar feed route on the HTTP server.
+ */
+export function register_calendar_routes() {
+    register_route('GET', '/calendar/:token.ics', async (request, response, { token }) => {
+        // Ensure the token belongs to a registered client
+        const client = find_client_by_calendar_token(token);
+        if (!client) {
+            response.writeHead(404, { 'content-type': 'text/plain' });
+            return response.end('Not Found');
+        }
+
+        // Generate the calendar if it is not cached
+        let cached = CalendarFeeds.get(token);
+        if (!cached || cached.expires_at < Date.now()) {
+            try {
+                cached = {
+                    calendar: await generate_calendar(client, 1000 * 60 * 60 * 24 * 30 * 6),
+                    expires_at: Date.now() + CALENDAR_FEED_CACHE_TIME,
+                };
+                CalendarFeeds.set(token, cached);
+            } catch (error) {
+                // Serve the stale calendar if one exists or respond with the status of the failure
+                // Note! Expired sessions are gone until the user logs in again while Blackboard failures are temporary.
+                if (!cached) {
+                    const status = calendar_feed_error_status(error);
+                    if (!status) throw error;
+                    response.writeHead(status, { 'content-type': 'text/plain' });
+                    return response.end(STATUS_CODES[status]);
+                }
+            }
+        }
+
+        // Send the calendar
+        response.writeHead(200, {
+            'content-type': 'text/calendar; charset=utf-8',
+            'content-disposition': 'inline; filename="blackboard-assignments.ics"',
+        });
+        response.end(cached.calendar);
+    });
+}
@@ -1,12 +1,39 @@
 import { get_registered_client } from '../blackboard/methods.js';
-import { spread_fields_over_embeds } from '../utils.js';
+import { reply_with_pagination } from '../paginator.js';
 
 export const COURSE_ACTIONS = {
     LIST: 'List All Courses',
     IGNORE: 'Ignore a Course',
     UNIGNORE: 'Un-Ignore a Course',
+    ALIAS: 'Set an Alias for a Course',
+    UNALIAS: 'Remove an Alias',
 };
 
+/**
+ * The pattern of valid course aliases which must start with a letter to never conflict with course numbers.
+ */
+export const COURSE_ALIAS_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/i;
+
+/**
+ * Finds a course by its ID, stable course number such as `3` or `#3` for "Course #3", alias, or otherwise by its name.
+ * Note! Course options are autocompleted with course IDs but users may still type a course number, alias or name.
+ *
+ * @param {Object<string, import('../blackboard/client.js').Course>} courses
+ * @param {String} query
+ * @returns {import('../blackboard/client.js').Course=}
+ */
+export function find_course(courses, query) {
+    const normalized = query.trim().replace(/^#/, '').toLowerCase();
+    if (!normalized) return;
+    const values = Object.values(courses);
+    return (
+        courses[`#${normalized}`] ||
+        values.find(({ id, aliases }) => id === query.trim() || aliases?.includes(normalized)) ||
+        values.find(({ name }) => name.toLowerCase() === normalized) ||
+        values.find(({ name }) => name.toLowerCase().includes(normalized))
+    );
+}
+
 /**
  * Builds and returns the `courses` command.
  * @param {import('discord.js').SlashCommandBuilder} builder
@@ -28,13 +55,19 @@ export function build_courses_command(builder) {
                     }))
                 )
         )
-        .addNumberOption((option) =>
+        .addStringOption((option) =>
             option
-                .setName('course_number')
-                .setDescription('The course number to ignore/un-ignore content from. (Example: 3 for "Course #3")')
+                .setName('course')
+                .setDescription('The course to ignore/un-ignore/alias. (Start typing to search your courses)')
                 .setRequired(false)
-                .setMinValue(1)
-                .setMaxValue(100)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('alias')
+                .setDescription('A short alias to refer to the course by in other commands. (Example: "calc")')
+                .setRequired(false)
+                .setMaxLength(32)
         )
         .addNumberOption((option) =>
             option
@@ -57,7 +90,8 @@ export function build_courses_command(builder) {
 export async function on_courses_command(interaction) {
     // Retrieve the command options
     const action = interaction.options.getString('action');
-    const course_number = interaction.options.getNumber('course_number');
+    const course_query = interaction.options.getString('course');
+    const alias = interaction.options.getString('alias')?.trim().toLowerCase();
     const max_course_age = interaction.options.getNumber('max_course_age') || 6;
 
     // Retrieve the Blackboard client from the database
@@ -82,37 +116,69 @@ export async function on_courses_command(interaction) {
 
     // Send an embed with the list of courses if the action is to list them
     if (COURSE_ACTIONS[action] === COURSE_ACTIONS.LIST)
-        return await interaction.safe_reply({
-            embeds: spread_fields_over_embeds({
-                title: 'Blackboard Courses',
-                description: 'Below are some of the courses that are available on your Blackboard account.',
-                fields: Object.keys(courses).map((key) => {
-                    const { id, name, updated_at, url } = courses[key];
-                    const ignored = client.ignored('courses', id);
-                    return {
-                        name: `Course ${key} ${ignored ? `**(Ignored)** ` : ''}`,
-                        value: [
-                            `Name: \`${name}\``,
-                            `Last Updated <t:${Math.floor(updated_at / 1000)}:R>`,
-                            ignored ? `**This course is currently being ignored.**` : ``,
-                            `**[[View Course]](${url})**`,
-                        ]
-                            .filter((line) => line.length > 0)
-                            .join('\n'),
-                    };
-                }),
+        return await reply_with_pagination(interaction, {
+            title: 'Blackboard Courses',
+            description: 'Below are some of the courses that are available on your Blackboard account.',
+            fields: Object.keys(courses).map((key) => {
+                const { id, name, updated_at, url, aliases } = courses[key];
+                const ignored = client.ignored('courses', id);
+                return {
+                    name: `Course ${key} ${ignored ? `**(Ignored)** ` : ''}`,
+                    value: [
+                        `Name: \`${name}\``,
+                        aliases.length ? `Aliases: ${aliases.map((alias) => `\`${alias}\``).join(', ')}` : '',
+                        `Last Updated <t:${Math.floor(updated_at / 1000)}:R>`,
+                        ignored ? `**This course is currently being ignored.**` : ``,
+                        `**[[View Course]](${url})**`,
+                    ]
+                        .filter((line) => line.length > 0)
+                        .join('\n'),
+                };
             }),
+        });
+
+    // Remove the alias if the action is to remove an alias
+    if (COURSE_ACTIONS[action] === COURSE_ACTIONS.UNALIAS) {
+        const removed = alias && client.set_course_alias(alias, null);
+        return await interaction.safe_reply({
             ephemeral: true,
+            content: removed
+                ? `Successfully **removed** the \`${alias}\` alias.`
+                : `Please provide an existing **alias** to remove.`,
         });
+    }
 
-    // Ensure the user has specified a valid course number for ignore/un-ignore actions
-    const course = courses[`#${course_number}`];
+    // Ensure the user has specified a valid course for ignore/un-ignore/alias actions
+    const course = find_course(courses, course_query || '');
     if (!course)
         return await interaction.safe_reply({
             ephemeral: true,
-            content: `Please provide a valid **course number** for this action.`,
+            content: `Please provide a valid **course** for this action.`,
         });
 
+    // Set the alias for the course if the action is to alias it
+    if (COURSE_ACTIONS[action] === COURSE_ACTIONS.ALIAS) {
+        // Ensure the alias is valid and not taken by another course
+        if (!alias || !COURSE_ALIAS_PATTERN.test(alias))
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `Please provide a valid **alias** of up to 32 letters, numbers, dashes or underscores which starts with a letter.`,
+            });
+        const existing = client.course_aliases[alias];
+        if (existing && existing !== course.id)
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `The \`${alias}\` alias is already used for another course. Please remove it first or choose another alias.`,
+            });
+
+        // Set the alias for the course
+        client.set_course_alias(alias, course.id);
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `You may now refer to \`${course.name}\` as \`${alias}\` in all commands.`,
+        });
+    }
+
     // Determine the type of action to perform
     const is_ignore = COURSE_ACTIONS[action] === COURSE_ACTIONS.IGNORE;
 
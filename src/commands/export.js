@@ -0,0 +1,70 @@
+import { list_api_keys } from '../database.js';
+import { get_active_account_label, list_user_accounts } from '../blackboard/methods.js';
+
+/**
+ * Builds and returns the `export-data` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_export_command(builder) {
+    return builder
+        .setName('export-data')
+        .setDescription('Sends you a JSON file with all of the data this bot stores about you and your accounts.');
+}
+
+/**
+ * Returns all of the data stored about a Discord user and their accounts.
+ * Note! Session tokens are never exported as anyone holding them could access the Blackboard account.
+ *
+ * @param {String} user
+ * @returns {Promise<Object>}
+ */
+export async function export_user_data(user) {
+    const active = get_active_account_label(user);
+    const accounts = [];
+    for (const { label, client } of list_user_accounts(user)) {
+        const { token, name, ignore, alerts, settings, cache } = await client.export();
+        accounts.push({
+            label,
+            active: label === active,
+            name: name || null,
+            has_session_token: !!token,
+            alerts: alerts || {},
+            ignore: ignore || {},
+            settings: settings || {},
+            cache: cache || {},
+            api_keys: list_api_keys(`${user}:${label}`),
+        });
+    }
+
+    return {
+        exported_at: new Date().toISOString(),
+        discord_user: user,
+        accounts,
+    };
+}
+
+/**
+ * Handles interactions for the `export-data` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_export_command(interaction) {
+    // Ensure the caller has at least one account
+    const user = interaction.user.id;
+    if (!list_user_accounts(user).length) throw new Error('NO_CLIENT');
+
+    // Reply with the exported data as a JSON file
+    const data = await export_user_data(user);
+    await interaction.safe_reply({
+        ephemeral: true,
+        content: `Attached is all of the data stored about you across your **${data.accounts.length}** account(s).`,
+        files: [
+            {
+                attachment: Buffer.from(JSON.stringify(data, null, 4)),
+                name: 'blackboard-data.json',
+            },
+        ],
+    });
+}
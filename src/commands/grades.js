@@ -0,0 +1,262 @@
+import { get_registered_client } from '../blackboard/methods.js';
+import { find_course } from './courses.js';
+import { reply_with_pagination } from '../paginator.js';
+import { truncate } from '../utils.js';
+
+/**
+ * The maximum number of grade checks to keep in the persisted grade history of each client.
+ */
+export const MAX_GRADE_HISTORY = 30;
+
+/**
+ * @typedef {Object} GradeTotals
+ * @property {Number} score The sum of the scores of the graded assignments.
+ * @property {Number} possible The sum of the possible points of the graded assignments.
+ * @property {Number} percentage The percentage of the score out of the possible points.
+ * @property {Number} count The number of graded assignments.
+ */
+
+/**
+ * @typedef {GradeTotals & { categories: Object<string, GradeTotals> }} GradeStats
+ */
+
+/**
+ * @typedef {Object} GradeCheck
+ * @property {Number} checked_at The timestamp of when the grades were checked.
+ * @property {Number|null} overall The overall average percentage or `null` if only some courses were checked.
+ * @property {Object<string, number>} courses The percentage of each checked course by course ID.
+ */
+
+/**
+ * Builds and returns the `grades` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_grades_command(builder) {
+    return builder
+        .setName('grades')
+        .setDescription('Displays your grade averages for each course and category and how they changed.')
+        .addStringOption((option) =>
+            option
+                .setName('course')
+                .setDescription('The course to display grades for. (Leave empty to display all courses)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addNumberOption((option) =>
+            option
+                .setName('max_courses_age')
+                .setDescription(
+                    'Maximum age in "number of months" to filter out past courses. (Default: 6 aka. 6 Months)'
+                )
+                .setMinValue(1)
+                .setMaxValue(48)
+                .setRequired(false)
+        );
+}
+
+/**
+ * Returns the totals of the provided assignments along with the totals of each assignment category.
+ * Note! Only graded assignments with possible points are taken into account.
+ *
+ * @param {Array<import('../blackboard/client.js').SimpleAssignment>} assignments
+ * @returns {GradeStats}
+ */
+export function compute_grade_stats(assignments) {
+    const totals = () => ({ score: 0, possible: 0, percentage: 0, count: 0 });
+    const add = (target, { score, possible }) => {
+        target.score += score;
+        target.possible += possible;
+        target.percentage = (target.score / target.possible) * 100;
+        target.count++;
+    };
+
+    // Add each graded assignment to the overall and category totals
+    const stats = { ...totals(), categories: {} };
+    for (const { category, grade } of assignments) {
+        if (typeof grade?.score !== 'number' || !grade.possible) continue;
+        const name = category || 'Uncategorized';
+        if (!stats.categories[name]) stats.categories[name] = totals();
+        add(stats, grade);
+        add(stats.categories[name], grade);
+    }
+    return stats;
+}
+
+/**
+ * Returns the course percentage of the grade statistics with the provided category weights applied.
+ * Note! Only weighted categories with graded assignments count towards the percentage, thus the weights are
+ * re-normalized over them. Statistics without any weighted categories fall back to the plain point percentage.
+ *
+ * @param {GradeStats} stats
+ * @param {Object<string, number>=} weights The weight of each category in percent.
+ * @returns {Number}
+ */
+export function compute_weighted_percentage(stats, weights = {}) {
+    // Match the categories to the weights regardless of their case
+    const normalized = {};
+    for (const name in weights) normalized[name.toLowerCase()] = weights[name];
+
+    // Sum the weighted percentages of each weighted category
+    let total = 0;
+    let total_weight = 0;
+    for (const name in stats.categories) {
+        const weight = normalized[name.toLowerCase()];
+        if (!weight || !stats.categories[name].count) continue;
+        total += stats.categories[name].percentage * weight;
+        total_weight += weight;
+    }
+    return total_weight ? total / total_weight : stats.percentage;
+}
+
+/**
+ * Returns a percentage rounded to two decimals.
+ *
+ * @param {Number} percentage
+ * @returns {String}
+ */
+export function format_percentage(percentage) {
+    return `${Math.round(percentage * 100) / 100}%`;
+}
+
+/**
+ * Returns a readable trend of a percentage since the previous check or an empty string if there is none.
+ *
+ * @param {Number} current
+ * @param {Number=} previous
+ * @param {Number=} checked_at
+ * @returns {String}
+ */
+function format_trend(current, previous, checked_at) {
+    if (typeof previous !== 'number') return '';
+    const since = `since <t:${Math.floor(checked_at / 1000)}:R>`;
+    const difference = Math.round((current - previous) * 100) / 100;
+    if (difference === 0) return `(No change ${since})`;
+    return `(${difference > 0 ? '▲ +' : '▼ '}${difference}% ${since})`;
+}
+
+/**
+ * Returns the most recent grade check of the history which contains the value selected by the provided selector.
+ *
+ * @param {Array<GradeCheck>} history
+ * @param {function(GradeCheck):(Number|null|undefined)} selector
+ * @returns {{ value: Number, checked_at: Number }|{}}
+ */
+function find_previous(history, selector) {
+    for (let i = history.length - 1; i >= 0; i--) {
+        const value = selector(history[i]);
+        if (typeof value === 'number') return { value, checked_at: history[i].checked_at };
+    }
+    return {};
+}
+
+/**
+ * Handles interactions for the `grades` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_grades_command(interaction) {
+    // Retrieve the command options
+    const course_query = interaction.options.getString('course');
+    const max_courses_age = interaction.options.getNumber('max_courses_age') || 6;
+
+    // Retrieve the Blackboard client from the database
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Retrieve the requested course or otherwise all non-ignored courses along with their course numbers
+    let courses;
+    if (course_query) {
+        const all_courses = await client.get_all_courses(Infinity);
+        const course = find_course(all_courses, course_query);
+        if (!course) throw new Error('NO_COURSE');
+        courses = [[Object.keys(all_courses).find((key) => all_courses[key] === course), course]];
+    } else {
+        courses = Object.entries(await client.get_all_courses(1000 * 60 * 60 * 24 * 30 * max_courses_age)).filter(
+            ([, { id }]) => !client.ignored('courses', id)
+        );
+    }
+
+    // Compute the grade statistics of each course without the ignored assignments
+    const results = await Promise.all(
+        courses.map(async ([, course]) => {
+            const assignments = await client.get_all_assignments(course, { status: 'GRADED' });
+            return compute_grade_stats(
+                assignments.filter((assignment) => !client.ignored_assignment(course, assignment))
+            );
+        })
+    );
+
+    // Determine the overall average across all courses with at least one graded assignment
+    const graded = results.filter(({ count }) => count > 0);
+    const overall = graded.length ? graded.reduce((sum, { percentage }) => sum + percentage, 0) / graded.length : null;
+
+    // Record this check in the grade history for the trend of the next check
+    const history = client.get_setting('grade_history') || [];
+    const check = { checked_at: Date.now(), overall: course_query ? null : overall, courses: {} };
+    courses.forEach(([, { id }], index) => {
+        if (results[index].count) check.courses[id] = results[index].percentage;
+    });
+    if (Object.keys(check.courses).length)
+        client.set_setting('grade_history', [...history, check].slice(-MAX_GRADE_HISTORY));
+
+    // Describe the overall average and its trend
+    let description = 'You do not have any graded assignments in these courses yet.';
+    if (course_query) {
+        description = `Below are your grades for **${courses[0][1].name}**.`;
+    } else if (overall !== null) {
+        const previous = find_previous(history, ({ overall }) => overall);
+        description = [
+            `Your overall average across **${graded.length}** course(s) is **${format_percentage(overall)}**.`,
+            format_trend(overall, previous.value, previous.checked_at),
+        ]
+            .filter((line) => line.length > 0)
+            .join(' ');
+    }
+
+    // Describe the totals and category breakdown of each course
+    const embed = {
+        title: 'Grade Analytics',
+        description,
+        fields: courses.map(([key, course], index) => {
+            const { score, possible, percentage, count, categories } = results[index];
+            const previous = find_previous(history, ({ courses }) => courses[course.id]);
+            const weights = client.get_category_weights(course.id);
+            return {
+                name: truncate(`Course ${key} - ${course.name}`, 256),
+                value: truncate(
+                    count
+                        ? [
+                              `Total: \`${score} / ${possible} - ${format_percentage(percentage)}\` ${format_trend(
+                                  percentage,
+                                  previous.value,
+                                  previous.checked_at
+                              )}`.trim(),
+                              Object.keys(weights).length
+                                  ? `Weighted: \`${format_percentage(
+                                        compute_weighted_percentage(results[index], weights)
+                                    )}\``
+                                  : '',
+                              ...Object.keys(categories)
+                                  .sort()
+                                  .map((name) => {
+                                      const category = categories[name];
+                                      return `${name}: \`${category.score} / ${category.possible} - ${format_percentage(
+                                          category.percentage
+                                      )}\` (${category.count} graded)`;
+                                  }),
+                              `**[[View Course]](${course.url})**`,
+                          ]
+                              .filter((line) => line.length > 0)
+                              .join('\n')
+                        : `No graded assignments yet.\n**[[View Course]](${course.url})**`,
+                    1024
+                ),
+            };
+        }),
+    };
+
+    // Reply with the grades spread over pages
+    await reply_with_pagination(interaction, embed);
+}
@@ -0,0 +1,200 @@
+import { get_registered_client } from '../blackboard/methods.js';
+import { find_course } from './courses.js';
+import { find_assignment } from './assignment.js';
+import { reply_with_pagination } from '../paginator.js';
+
+export const IGNORE_ACTIONS = {
+    LIST: 'List Everything Ignored',
+    IGNORE_ASSIGNMENT: 'Ignore an Assignment',
+    UNIGNORE_ASSIGNMENT: 'Un-Ignore an Assignment',
+    IGNORE_CATEGORY: 'Ignore a Category',
+    UNIGNORE_CATEGORY: 'Un-Ignore a Category',
+};
+
+/**
+ * Builds and returns the `ignores` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_ignores_command(builder) {
+    return builder
+        .setName('ignores')
+        .setDescription('Ignore specific assignments or whole assignment categories in all commands and alerts.')
+        .addStringOption((option) =>
+            option
+                .setName('action')
+                .setDescription('The action to perform on the ignored content.')
+                .setRequired(true)
+                .addChoices(
+                    ...Object.keys(IGNORE_ACTIONS).map((key) => ({
+                        name: IGNORE_ACTIONS[key],
+                        value: key,
+                    }))
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName('course')
+                .setDescription('The course of the assignment or category. (Leave empty to ignore a category globally)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('assignment')
+                .setDescription(
+                    'The assignment to ignore/un-ignore. (Start typing to search the assignments of the course)'
+                )
+                .setRequired(false)
+                .setMaxLength(256)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('category')
+                .setDescription('The assignment category to ignore/un-ignore. (Example: "Discussion Board")')
+                .setRequired(false)
+                .setMaxLength(256)
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * Returns an embed listing all ignored courses, assignments and categories of the client.
+ *
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @param {Object<string, import('../blackboard/client.js').Course>} courses
+ * @returns {Promise<Object>}
+ */
+export async function generate_ignores_embed(client, courses) {
+    const { courses: ignored_courses = [], assignments = [], categories = [] } = client.ignores;
+    const values = Object.values(courses);
+    const find = (id) => values.find((course) => course.id === id);
+    const label = (id) => {
+        const key = Object.keys(courses).find((key) => courses[key].id === id);
+        return key ? `Course ${key} - ${courses[key].name}` : `Course \`${id}\``;
+    };
+
+    // Describe each ignored course
+    const fields = ignored_courses.map((id) => ({
+        name: label(id),
+        value: 'All content from this course is ignored.',
+    }));
+
+    // Describe each ignored assignment with the name of the assignment if the course is still available
+    for (const value of assignments) {
+        const [course_id, assignment_id] = value.split(':');
+        const course = find(course_id);
+        const assignment = course
+            ? (await client.get_all_assignments(course, { status: 'UPCOMING' })).find(({ id }) => id === assignment_id)
+            : undefined;
+        fields.push({
+            name: assignment?.name.substring(0, 256) || `Assignment \`${assignment_id}\``,
+            value: `Assignment in **${label(course_id)}**`,
+        });
+    }
+
+    // Describe each ignored category within a course or globally
+    for (const value of categories) {
+        const [scope, ...name] = value.split(':');
+        fields.push({
+            name: name.join(':').substring(0, 256),
+            value: scope === '*' ? 'Category in **all courses**' : `Category in **${label(scope)}**`,
+        });
+    }
+
+    return {
+        title: 'Ignored Content',
+        description: 'Below is all content which is hidden from your commands, summaries, alerts and reminders.',
+        fields: fields.length ? fields : [{ name: 'Nothing Ignored', value: 'You are not ignoring any content yet.' }],
+    };
+}
+
+/**
+ * Handles interactions for the `ignores` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_ignores_command(interaction) {
+    // Retrieve the command options
+    const action = interaction.options.getString('action');
+    const course_query = interaction.options.getString('course');
+    const assignment_query = interaction.options.getString('assignment')?.trim();
+    const category_query = interaction.options.getString('category')?.trim();
+
+    // Retrieve the Blackboard client from the database
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Reply with everything ignored if the action is to list it
+    const courses = await client.get_all_courses(Infinity);
+    if (IGNORE_ACTIONS[action] === IGNORE_ACTIONS.LIST)
+        return await reply_with_pagination(interaction, await generate_ignores_embed(client, courses));
+
+    // Retrieve the course if one was provided
+    const course = course_query ? find_course(courses, course_query) : undefined;
+    if (course_query && !course) throw new Error('NO_COURSE');
+
+    // Ignore or un-ignore an assignment of the course
+    const is_ignore = [IGNORE_ACTIONS.IGNORE_ASSIGNMENT, IGNORE_ACTIONS.IGNORE_CATEGORY].includes(
+        IGNORE_ACTIONS[action]
+    );
+    if ([IGNORE_ACTIONS.IGNORE_ASSIGNMENT, IGNORE_ACTIONS.UNIGNORE_ASSIGNMENT].includes(IGNORE_ACTIONS[action])) {
+        // Ensure the user has specified both the course and the assignment
+        if (!course || !assignment_query)
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `Please provide both the **course** and the **assignment** for this action.`,
+            });
+
+        // Find the assignment by its ID or name
+        const assignment = find_assignment(
+            await client.get_all_assignments(course, { status: 'UPCOMING' }),
+            assignment_query
+        );
+        if (!assignment) throw new Error('NO_ASSIGNMENT');
+
+        // Ignore or un-ignore the assignment
+        const changed = client[is_ignore ? 'ignore' : 'unignore']('assignments', `${course.id}:${assignment.id}`);
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: changed
+                ? `Successfully **${is_ignore ? 'ignored' : 'un-ignored'}** the \`${assignment.name}\` assignment.`
+                : `The \`${assignment.name}\` assignment is ${is_ignore ? 'already' : 'not'} being ignored.`,
+        });
+    }
+
+    // Ensure the user has specified a category for the category actions
+    if (!category_query)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide a **category** for this action.`,
+        });
+
+    // Determine the scope of the category and its name as spelled on Blackboard or in the existing ignore
+    const scope = course ? course.id : '*';
+    const normalized = category_query.toLowerCase();
+    let category = (client.ignores['categories'] || [])
+        .filter((value) => value.startsWith(`${scope}:`))
+        .map((value) => value.slice(scope.length + 1))
+        .find((name) => name.toLowerCase() === normalized);
+    if (!category && is_ignore) {
+        for (const source of course ? [course] : Object.values(courses)) {
+            const assignments = await client.get_all_assignments(source, { status: 'UPCOMING' });
+            category = assignments.find(({ category }) => category?.toLowerCase() === normalized)?.category;
+            if (category) break;
+        }
+    }
+    category = category || category_query;
+
+    // Ignore or un-ignore the category within the course or globally
+    const changed = client[is_ignore ? 'ignore' : 'unignore']('categories', `${scope}:${category}`);
+    const where = course ? `\`${course.name}\`` : 'all courses';
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: changed
+            ? `Successfully **${is_ignore ? 'ignored' : 'un-ignored'}** the \`${category}\` category in ${where}.`
+            : `The \`${category}\` category is ${is_ignore ? 'already' : 'not'} being ignored in ${where}.`,
+    });
+}
@@ -1,5 +1,5 @@
 import { perform_blackboard_login } from '../blackboard/auth.js';
-import { register_client } from '../blackboard/methods.js';
+import { ACCOUNT_LABEL_PATTERN, get_active_account_label, register_client } from '../blackboard/methods.js';
 
 /**
  * Builds and returns the `login` command.
@@ -15,6 +15,14 @@ export function build_login_command(builder) {
         )
         .addStringOption((option) =>
             option.setName('password').setDescription('Your CUNYFirst password.').setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('account')
+                .setDescription('A name for this account to hold multiple accounts. (Default: Your active account)')
+                .setRequired(false)
+                .setMaxLength(32)
+                .setAutocomplete(true)
         );
 }
 
@@ -28,11 +36,21 @@ export async function on_login_command(interaction) {
     // Retrieve the username and password from the interaction options
     const username = interaction.options.getString('username');
     const password = interaction.options.getString('password');
+    const label =
+        interaction.options.getString('account')?.trim().toLowerCase() || get_active_account_label(interaction.user.id);
 
-    // Return an error if neither the username and password or cookies are provided
-    if (!username && !password && !cookies)
+    // Return an error if the username or password is not provided
+    if (!username || !password)
         return await interaction.safe_reply({
-            content: 'You must provide either your username and password or existing Blackboard session cookies.',
+            content: 'You must provide both your CUNYFirst username and password to login.',
+            ephemeral: true,
+        });
+
+    // Return an error if the account name is invalid
+    if (!ACCOUNT_LABEL_PATTERN.test(label))
+        return await interaction.safe_reply({
+            content:
+                'Please provide an **account** name of up to 32 letters, numbers, dashes or underscores which starts with a letter.',
             ephemeral: true,
         });
 
@@ -50,7 +68,7 @@ export async function on_login_command(interaction) {
     }
 
     // Register the client to determine if the cookies are valid
-    const client = await register_client(interaction, token);
+    const client = await register_client(interaction, token, label);
     if (!client)
         return interaction.safe_reply({
             ephemeral: true,
@@ -60,7 +78,7 @@ export async function on_login_command(interaction) {
 
     // Return a success message
     interaction.safe_reply({
-        content: `Logged in as **${client.name}**, your Blackboard account will now be used for all other commands.`,
+        content: `Logged in as **${client.name}** on your \`${label}\` account which will now be used for all other commands in every server.`,
         ephemeral: true,
     });
 }
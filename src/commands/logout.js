@@ -0,0 +1,125 @@
+import { ButtonStyle, ComponentType } from 'discord.js';
+import { get_active_account_label, list_user_accounts, unregister_client } from '../blackboard/methods.js';
+
+/**
+ * The custom ID prefix of the logout confirmation buttons.
+ */
+export const LOGOUT_PREFIX = 'logout';
+
+/**
+ * Builds and returns the `logout` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_logout_command(builder) {
+    return builder
+        .setName('logout')
+        .setDescription('Logs out of a Blackboard account and deletes all of its data stored by this bot.')
+        .addStringOption((option) =>
+            option
+                .setName('account')
+                .setDescription('The name of the account to log out of. (Default: Your active account)')
+                .setRequired(false)
+                .setMaxLength(32)
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * Handles interactions for the `logout` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_logout_command(interaction) {
+    // Retrieve the command options
+    const user = interaction.user.id;
+    const label = interaction.options.getString('account')?.trim().toLowerCase() || get_active_account_label(user);
+
+    // Ensure the account exists
+    const accounts = list_user_accounts(user);
+    if (!accounts.length) throw new Error('NO_CLIENT');
+    const account = accounts.find((account) => account.label === label);
+    if (!account)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide one of your existing **account** names: ${accounts
+                .map(({ label }) => `\`${label}\``)
+                .join(', ')}.`,
+        });
+
+    // Ask the user to confirm the logout as it can not be undone
+    await interaction.safe_reply({
+        ephemeral: true,
+        content: [
+            `Are you sure you want to log out of your \`${label}\` account${
+                account.client.name ? ` (**${account.client.name}**)` : ''
+            }?`,
+            'All of its alerts, ignores, settings, cached data and API keys will be **permanently deleted**.',
+        ].join('\n'),
+        components: [
+            {
+                type: ComponentType.ActionRow,
+                components: [
+                    {
+                        type: ComponentType.Button,
+                        style: ButtonStyle.Danger,
+                        custom_id: `${LOGOUT_PREFIX}:${label}:confirm`,
+                        label: 'Log Out',
+                    },
+                    {
+                        type: ComponentType.Button,
+                        style: ButtonStyle.Secondary,
+                        custom_id: `${LOGOUT_PREFIX}:${label}:cancel`,
+                        label: 'Cancel',
+                    },
+                ],
+            },
+        ],
+    });
+}
+
+/**
+ * Returns whether or not the interaction is a button press of a logout confirmation.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {Boolean}
+ */
+export function is_logout_interaction(interaction) {
+    return interaction.isButton() && interaction.customId.startsWith(`${LOGOUT_PREFIX}:`);
+}
+
+/**
+ * Handles the confirm and cancel button presses of logout confirmations.
+ * Note! The account is resolved from the user who pressed the button thus no one can log out of another user's account.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_logout_interaction(interaction) {
+    // Retrieve the account label and action from the custom ID
+    const [, label, action] = interaction.customId.split(':');
+
+    // Leave the account untouched if the logout was cancelled
+    if (action !== 'confirm')
+        return await interaction.update({
+            content: `The logout was cancelled, your \`${label}\` account is still logged in.`,
+            components: [],
+        });
+
+    // Log out of the account and delete its data
+    const user = interaction.user.id;
+    const removed = await unregister_client(user, label);
+    const active = list_user_accounts(user).length ? get_active_account_label(user) : null;
+    await interaction.update({
+        content: removed
+            ? [
+                  `Successfully **logged out** of your \`${label}\` account and deleted all of its data.`,
+                  active ? `Your \`${active}\` account will now be used for all other commands.` : '',
+              ]
+                  .filter((line) => line.length > 0)
+                  .join('\n')
+            : `Your \`${label}\` account is already logged out.`,
+        components: [],
+    });
+}
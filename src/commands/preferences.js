@@ -0,0 +1,92 @@
+import { get_registered_client, list_user_accounts } from '../blackboard/methods.js';
+import { describe_quiet_hours, parse_quiet_hours } from '../schedule.js';
+
+/**
+ * Builds and returns the `preferences` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_preferences_command(builder) {
+    return builder
+        .setName('preferences')
+        .setDescription('Sets your quiet hours and "all clear" preference which apply to all of your alerts.')
+        .addStringOption((option) =>
+            option
+                .setName('quiet_hours')
+                .setDescription(
+                    'Hours to defer alerts and reminders during such as "22:00-07:00" or "off" to disable them.'
+                )
+                .setRequired(false)
+                .setMaxLength(16)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName('all_clear')
+                .setDescription('Post a short "all clear" message when a summary alert has nothing to report.')
+                .setRequired(false)
+        );
+}
+
+/**
+ * Describes the alert preferences of a client in a human readable format.
+ *
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @returns {String}
+ */
+function describe_preferences(client) {
+    return [
+        `Quiet Hours: **${client.quiet_hours ? describe_quiet_hours(client.quiet_hours) : 'Off'}** (${
+            client.timezone
+        })`,
+        `All Clear Messages: **${client.all_clear ? 'On' : 'Off'}**`,
+    ].join('\n');
+}
+
+/**
+ * Handles interactions for the `preferences` command.
+ * Note! The preferences are applied to all accounts of the caller as they belong to the Discord user.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_preferences_command(interaction) {
+    // Retrieve the command options
+    const quiet_hours_value = interaction.options.getString('quiet_hours');
+    const all_clear = interaction.options.getBoolean('all_clear');
+
+    // Retrieve the accounts of the caller
+    const accounts = list_user_accounts(interaction.user.id);
+    if (!accounts.length) throw new Error('NO_CLIENT');
+
+    // Reply with the current preferences of the active account if no preference was provided
+    if (quiet_hours_value === null && all_clear === null)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Your alert preferences are:\n${describe_preferences(
+                get_registered_client(interaction) || accounts[0].client
+            )}`,
+        });
+
+    // Ensure the quiet hours are valid
+    const quiet_hours =
+        quiet_hours_value === null || quiet_hours_value.trim().toLowerCase() === 'off'
+            ? null
+            : parse_quiet_hours(quiet_hours_value);
+    if (quiet_hours === undefined)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: 'Please provide valid **quiet_hours** in the "HH:MM-HH:MM" format such as "22:00-07:00" or "off".',
+        });
+
+    // Set the preferences of every account which re-schedules their alerts
+    accounts.forEach(({ client }) => {
+        if (quiet_hours_value !== null) client.set_quiet_hours(quiet_hours);
+        if (all_clear !== null) client.set_all_clear(all_clear);
+    });
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `Your alert preferences are now:\n${describe_preferences(
+            accounts[0].client
+        )}\nAlerts and reminders falling within your quiet hours are posted once they end, unless an alert has its own quiet hours.`,
+    });
+}
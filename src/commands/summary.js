@@ -1,5 +1,6 @@
 import { get_registered_client } from '../blackboard/methods.js';
-import { spread_fields_over_embeds } from '../utils.js';
+import { reply_with_pagination } from '../paginator.js';
+import { get_calendar_day, spread_fields_over_embeds } from '../utils.js';
 
 export const SUMMARY_TYPES = {
     UPCOMING_ASSIGNMENTS: 'Upcoming To-Do Assignments',
@@ -56,21 +57,33 @@ export async function on_summary_command(interaction) {
     if (!client) throw new Error('NO_CLIENT');
 
     // Generate the summary embed based on the summary type
-    const embeds = await generate_summary_embeds(client, summary_type, 1000 * 60 * 60 * 24 * 30 * max_courses_age);
+    const embed = await generate_summary_embed(client, summary_type, 1000 * 60 * 60 * 24 * 30 * max_courses_age);
 
-    // Send the embed to the user
-    await interaction.safe_reply({ embeds, ephemeral: true });
+    // Send the embed to the user spread over pages
+    await reply_with_pagination(interaction, embed);
 }
 
 /**
- * Returns an up-to-date summary embed for the specified type.
+ * Returns up-to-date summary embeds for the specified type with the assignments spread over multiple embeds.
  *
  * @param {import('../blackboard/client.js').BlackboardClient} client
  * @param {('UPCOMING_ASSIGNMENTS'|'RECENTLY_GRADED_ASSIGNMENTS')} type
  * @param {number=} max_courses_age - Maximum age in milliseconds to filter out past courses
- * @returns {Promise<Object>}
+ * @returns {Promise<Array<Object>>}
  */
 export async function generate_summary_embeds(client, type, max_courses_age = Infinity) {
+    return spread_fields_over_embeds(await generate_summary_embed(client, type, max_courses_age));
+}
+
+/**
+ * Returns an up-to-date summary embed for the specified type with a field for each assignment.
+ *
+ * @param {import('../blackboard/client.js').BlackboardClient} client
+ * @param {('UPCOMING_ASSIGNMENTS'|'RECENTLY_GRADED_ASSIGNMENTS')} type
+ * @param {number=} max_courses_age - Maximum age in milliseconds to filter out past courses
+ * @returns {Promise<Object>}
+ */
+export async function generate_summary_embed(client, type, max_courses_age = Infinity) {
     // Convert the type to the appropriate value for filtering summary data
     type = SUMMARY_TYPES[type];
 
@@ -127,6 +140,7 @@ export async function generate_summary_embeds(client, type, max_courses_age = In
         if (cached_scores) {
             // Filter the assignments based on the specified type
             const filtered = results[i]
+                .filter((assignment) => !client.ignored_assignment(course, assignment))
                 .filter(({ id, status, deadline_at, grade: { score } }) => {
                     switch (type) {
                         case SUMMARY_TYPES.UPCOMING_ASSIGNMENTS:
@@ -186,33 +200,33 @@ export async function generate_summary_embeds(client, type, max_courses_age = In
         case SUMMARY_TYPES.UPCOMING_ASSIGNMENTS:
             // Ensure there are assignments
             if (assignments.length) {
-                // Determine how near the first assignment's due date is
-                const hour = 1000 * 60 * 60;
-                const first_assignment = assignments[0];
-                const nearest_due_date = first_assignment.deadline_at;
-
-                // Determine the milliseconds span interval and time unit between now and the first assignment's due date
-                let interval,
-                    deadline,
-                    count = 0;
-                if (nearest_due_date - Date.now() < hour * 24) {
-                    interval = hour * 24;
-                    deadline = 'over next the 24 hours';
-                } else if (nearest_due_date - Date.now() < hour * 24 * 7) {
-                    interval = hour * 24 * 7;
+                // Determine the calendar days until each deadline in the timezone of the user
+                const timezone = client.timezone;
+                const today = get_calendar_day(Date.now(), timezone);
+                const days_until = ({ deadline_at }) => get_calendar_day(deadline_at, timezone).day - today.day;
+
+                // Determine the last day and name of the period the first assignment is due in (Weeks start on Monday)
+                const nearest = days_until(assignments[0]);
+                let last_day = Infinity;
+                let deadline = 'in the future';
+                if (nearest <= 0) {
+                    last_day = 0;
+                    deadline = 'today';
+                } else if (nearest === 1) {
+                    last_day = 1;
+                    deadline = 'tomorrow';
+                } else if (nearest <= 6 - today.weekday) {
+                    last_day = 6 - today.weekday;
                     deadline = 'this week';
-                } else if (nearest_due_date - Date.now() < hour * 24 * 14) {
-                    interval = hour * 24 * 7 * 14;
+                } else if (nearest <= 13 - today.weekday) {
+                    last_day = 13 - today.weekday;
                     deadline = 'next week';
-                } else {
-                    interval = Infinity;
-                    deadline = 'in the future';
                 }
 
-                // Count the number of assignments due within the specified interval
-                count = assignments.filter((assignment) => assignment.deadline_at - Date.now() < interval).length;
+                // Count the number of assignments due within the period
+                const count = assignments.filter((assignment) => days_until(assignment) <= last_day).length;
 
-                // Determine the description based on the number of assignments due within the specified interval
+                // Determine the description based on the number of assignments due within the period
                 description = `You have **${count}** upcoming assignment(s) due **${deadline}**.`;
             }
             break;
@@ -225,10 +239,10 @@ export async function generate_summary_embeds(client, type, max_courses_age = In
     }
 
     // Convert the summary into an embed
-    return spread_fields_over_embeds({
+    return {
         title: type,
         description,
-        fields: assignments.slice(0, 10).map(({ name, course, deadline_at, grade }) => ({
+        fields: assignments.map(({ name, course, deadline_at, grade }) => ({
             name,
             value: [
                 grade?.score
@@ -240,5 +254,5 @@ export async function generate_summary_embeds(client, type, max_courses_age = In
                 .filter((line) => line.length > 0)
                 .join('\n'),
         })),
-    });
+    };
 }
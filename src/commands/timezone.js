@@ -0,0 +1,64 @@
+import { get_registered_client, list_user_accounts } from '../blackboard/methods.js';
+import { get_timezone_offset, resolve_timezone } from '../utils.js';
+
+/**
+ * Builds and returns the `timezone` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_timezone_command(builder) {
+    return builder
+        .setName('timezone')
+        .setDescription('Sets your timezone which your alerts and summaries follow.')
+        .addStringOption((option) =>
+            option
+                .setName('timezone')
+                .setDescription('Your timezone such as "Europe/Berlin". (Leave empty to display your current timezone)')
+                .setRequired(false)
+                .setMaxLength(64)
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * Handles interactions for the `timezone` command.
+ * Note! The timezone is applied to all accounts of the caller as it belongs to the Discord user.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_timezone_command(interaction) {
+    // Retrieve the command options
+    const query = interaction.options.getString('timezone');
+
+    // Retrieve the accounts of the caller
+    const accounts = list_user_accounts(interaction.user.id);
+    if (!accounts.length) throw new Error('NO_CLIENT');
+
+    // Reply with the current timezone of the active account if no timezone was provided
+    const describe = (timezone) => `**${timezone}** (${get_timezone_offset(timezone)})`;
+    if (!query) {
+        const { timezone } = get_registered_client(interaction) || accounts[0].client;
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Your timezone is ${describe(timezone)}. Provide a **timezone** to change it.`,
+        });
+    }
+
+    // Ensure the timezone is a supported IANA timezone
+    const timezone = resolve_timezone(query);
+    if (!timezone)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `The \`${query}\` timezone is not supported. Please choose one of the suggested timezones such as \`America/New_York\`.`,
+        });
+
+    // Set the timezone of every account which re-schedules their alerts
+    accounts.forEach(({ client }) => client.set_timezone(timezone));
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `Your timezone is now ${describe(
+            timezone
+        )}. Your alerts will be posted at their scheduled times and your summaries will refer to days in this timezone.`,
+    });
+}
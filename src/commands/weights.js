@@ -0,0 +1,145 @@
+import { get_registered_client } from '../blackboard/methods.js';
+import { find_course } from './courses.js';
+
+export const WEIGHT_ACTIONS = {
+    LIST: 'List Category Weights',
+    SET: 'Set a Category Weight',
+    REMOVE: 'Remove a Category Weight',
+};
+
+/**
+ * Builds and returns the `weights` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_weights_command(builder) {
+    return builder
+        .setName('weights')
+        .setDescription('Manage the weights of the assignment categories of a course for grade calculations.')
+        .addStringOption((option) =>
+            option
+                .setName('action')
+                .setDescription('The action to perform on the category weights.')
+                .setRequired(true)
+                .addChoices(
+                    ...Object.keys(WEIGHT_ACTIONS).map((key) => ({
+                        name: WEIGHT_ACTIONS[key],
+                        value: key,
+                    }))
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName('course')
+                .setDescription('The course of the category weights. (Start typing to search your courses)')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('category')
+                .setDescription('The assignment category to set/remove the weight of. (Example: "Exam")')
+                .setRequired(false)
+                .setMaxLength(256)
+                .setAutocomplete(true)
+        )
+        .addNumberOption((option) =>
+            option
+                .setName('weight')
+                .setDescription('The weight of the category in percent as listed in the syllabus. (Example: 40)')
+                .setMinValue(0)
+                .setMaxValue(100)
+                .setRequired(false)
+        );
+}
+
+/**
+ * Handles interactions for the `weights` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_weights_command(interaction) {
+    // Retrieve the command options
+    const action = interaction.options.getString('action');
+    const course_query = interaction.options.getString('course');
+    const category_query = interaction.options.getString('category')?.trim();
+    const weight = interaction.options.getNumber('weight');
+
+    // Retrieve the Blackboard client from the database
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Retrieve the course from the cache
+    const course = find_course(await client.get_all_courses(Infinity), course_query);
+    if (!course) throw new Error('NO_COURSE');
+
+    // Reply with the category weights of the course if the action is to list them
+    const weights = client.get_category_weights(course.id);
+    if (WEIGHT_ACTIONS[action] === WEIGHT_ACTIONS.LIST) {
+        const categories = Object.keys(weights).sort();
+        const total = categories.reduce((sum, category) => sum + weights[category], 0);
+        return await interaction.safe_reply({
+            ephemeral: true,
+            embeds: [
+                {
+                    title: 'Category Weights',
+                    description: categories.length
+                        ? `Below are the category weights for **${course.name}** which add up to **${total}%**.`
+                        : `You have not set any category weights for **${course.name}** yet, thus grades are calculated by points.`,
+                    fields: categories.map((category) => ({
+                        name: category.substring(0, 256),
+                        value: `\`${weights[category]}%\``,
+                        inline: true,
+                    })),
+                },
+            ],
+        });
+    }
+
+    // Ensure the user has specified a category for the set/remove actions
+    if (!category_query)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide a **category** for this action.`,
+        });
+
+    // Determine the category as spelled in the existing weights or on Blackboard
+    const normalized = category_query.toLowerCase();
+    let category = Object.keys(weights).find((name) => name.toLowerCase() === normalized);
+    if (!category) {
+        const assignments = await client.get_all_assignments(course, { status: 'UPCOMING' });
+        category = assignments.find(({ category }) => category?.toLowerCase() === normalized)?.category;
+    }
+
+    // Remove the weight of the category if the action is to remove it
+    if (WEIGHT_ACTIONS[action] === WEIGHT_ACTIONS.REMOVE) {
+        const removed = category && client.set_category_weight(course.id, category, null);
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: removed
+                ? `Successfully **removed** the weight of the \`${category}\` category.`
+                : `The \`${category_query}\` category does not have a weight in \`${course.name}\`.`,
+        });
+    }
+
+    // Ensure the category exists in the course and a weight was provided
+    if (!category)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `The \`${category_query}\` category does not exist in \`${course.name}\`. Please choose one of the suggested categories.`,
+        });
+    if (weight === null)
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide a **weight** between **0** and **100** percent for this action.`,
+        });
+
+    // Set the weight of the category
+    client.set_category_weight(course.id, category, weight);
+    const total = Object.values(client.get_category_weights(course.id)).reduce((sum, weight) => sum + weight, 0);
+    return await interaction.safe_reply({
+        ephemeral: true,
+        content: `The \`${category}\` category now weighs **${weight}%** in \`${course.name}\`. All weights of this course add up to **${total}%**.`,
+    });
+}
@@ -0,0 +1,226 @@
+import { get_registered_client } from '../blackboard/methods.js';
+import { find_course } from './courses.js';
+import { find_assignment } from './assignment.js';
+import { compute_grade_stats, compute_weighted_percentage, format_percentage } from './grades.js';
+import { truncate } from '../utils.js';
+
+/**
+ * Builds and returns the `whatif` command.
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+export function build_whatif_command(builder) {
+    return builder
+        .setName('whatif')
+        .setDescription('Calculates your projected course grade and the scores you need to reach a target grade.')
+        .addStringOption((option) =>
+            option
+                .setName('course')
+                .setDescription('The course to calculate the grade for. (Start typing to search your courses)')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName('scores')
+                .setDescription(
+                    'Hypothetical scores for ungraded assignments. (Example: "Final Exam=85%; Quiz 3=9/10; Homework 4=8")'
+                )
+                .setRequired(false)
+                .setMaxLength(1000)
+        )
+        .addNumberOption((option) =>
+            option
+                .setName('target')
+                .setDescription('The target course grade in percent to calculate the minimum required scores for.')
+                .setMinValue(0)
+                .setMaxValue(200)
+                .setRequired(false)
+        );
+}
+
+/**
+ * Parses hypothetical scores in the `Assignment=Score` format separated by semicolons or new lines.
+ * Note! Scores may be points such as `8`, points out of the possible points such as `9/10` or a percentage such as `85%`.
+ *
+ * @param {String} input
+ * @returns {Array<{ query: String, value: Number, unit: ('POINTS'|'FRACTION'|'PERCENT'), possible?: Number }>}
+ * @throws {Error} Throws an `INVALID_SCORES` error if any score is not in the expected format.
+ */
+export function parse_hypothetical_scores(input) {
+    return input
+        .split(/[;\n]/)
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.length > 0)
+        .map((entry) => {
+            const match = entry.match(/^(.+?)\s*[=:]\s*(\d+(?:\.\d+)?)\s*(?:(%)|\/\s*(\d+(?:\.\d+)?))?$/);
+            if (!match) throw new Error('INVALID_SCORES');
+            const [, query, value, percent, possible] = match;
+            if (percent) return { query, value: Number(value), unit: 'PERCENT' };
+            if (possible) return { query, value: Number(value), unit: 'FRACTION', possible: Number(possible) };
+            return { query, value: Number(value), unit: 'POINTS' };
+        });
+}
+
+/**
+ * Returns the minimum average percentage required on the remaining assignments to reach the target percentage.
+ * Note! Returns `null` if the target is not reachable even with full marks on all remaining assignments.
+ *
+ * @param {Array<import('../blackboard/client.js').SimpleAssignment>} assignments The graded and hypothetical assignments.
+ * @param {Array<import('../blackboard/client.js').SimpleAssignment>} remaining The remaining ungraded assignments.
+ * @param {Object<string, number>} weights
+ * @param {Number} target
+ * @returns {Number|null}
+ */
+export function compute_required_percentage(assignments, remaining, weights, target) {
+    // Projects the course percentage with the same percentage on every remaining assignment
+    const project = (percentage) =>
+        compute_weighted_percentage(
+            compute_grade_stats([
+                ...assignments,
+                ...remaining.map((assignment) => ({
+                    ...assignment,
+                    grade: {
+                        score: (assignment.grade.possible * percentage) / 100,
+                        possible: assignment.grade.possible,
+                    },
+                })),
+            ]),
+            weights
+        );
+
+    // Search for the minimum percentage as the projection only grows with the percentage
+    if (project(0) >= target) return 0;
+    if (project(100) < target) return null;
+    let low = 0;
+    let high = 100;
+    while (high - low > 0.01) {
+        const middle = (low + high) / 2;
+        if (project(middle) >= target) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+    return high;
+}
+
+/**
+ * Handles interactions for the `whatif` command.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_whatif_command(interaction) {
+    // Retrieve the command options
+    const course_query = interaction.options.getString('course');
+    const scores_input = interaction.options.getString('scores') || '';
+    const target = interaction.options.getNumber('target');
+
+    // Parse the hypothetical scores
+    let hypotheticals;
+    try {
+        hypotheticals = parse_hypothetical_scores(scores_input);
+    } catch (error) {
+        return await interaction.safe_reply({
+            ephemeral: true,
+            content: `Please provide the **scores** as \`Assignment=Score\` separated by semicolons where the score may be points such as \`8\`, \`9/10\` or a percentage such as \`85%\`.`,
+        });
+    }
+
+    // Retrieve the client associated with the interaction
+    const client = get_registered_client(interaction);
+    if (!client) throw new Error('NO_CLIENT');
+
+    // Retrieve the course from the cache
+    const course = find_course(await client.get_all_courses(Infinity), course_query);
+    if (!course) throw new Error('NO_COURSE');
+
+    // Retrieve the non-ignored assignments of the course
+    // Note! The graded status filter avoids fetching the details of each assignment as only the grades are needed
+    const assignments = (await client.get_all_assignments(course, { status: 'GRADED' })).filter(
+        (assignment) => !client.ignored_assignment(course, assignment)
+    );
+    const graded = assignments.filter(({ grade }) => typeof grade.score === 'number');
+    const ungraded = assignments.filter(({ grade }) => grade.score === null && grade.possible);
+
+    // Apply each hypothetical score to its ungraded assignment
+    const applied = [];
+    for (const { query, value, unit, possible } of hypotheticals) {
+        const assignment = find_assignment(ungraded, query);
+        if (!assignment)
+            return await interaction.safe_reply({
+                ephemeral: true,
+                content: `The \`${query}\` assignment is not an ungraded assignment of \`${course.name}\`. Please check its name with the \`${process.env['COMMAND_PREFIX']} assignments\` command.`,
+            });
+
+        // Convert the score to points out of the possible points of the assignment
+        let score = value;
+        if (unit === 'PERCENT') score = (assignment.grade.possible * value) / 100;
+        if (unit === 'FRACTION') score = (assignment.grade.possible * value) / possible;
+        applied.push({ ...assignment, grade: { score, possible: assignment.grade.possible } });
+    }
+
+    // Project the course percentage with the graded and hypothetical scores
+    const weights = client.get_category_weights(course.id);
+    const known = [...graded, ...applied];
+    const remaining = ungraded.filter(({ id }) => !applied.find((assignment) => assignment.id === id));
+    const stats = compute_grade_stats(known);
+    const projected = compute_weighted_percentage(stats, weights);
+    const has_weights = Object.keys(weights).length > 0;
+
+    // Describe the minimum average required on the remaining assignments to reach the target
+    let requirement;
+    if (target !== null) {
+        const required = compute_required_percentage(known, remaining, weights, target);
+        const goal = `To reach **${format_percentage(target)}**`;
+        if (!remaining.length) {
+            requirement = `${goal} no assignments are left, your final grade would be **${format_percentage(
+                projected
+            )}**.`;
+        } else if (required === null) {
+            requirement = `${goal} is not possible even with full marks on the remaining **${remaining.length}** assignment(s).`;
+        } else if (required === 0) {
+            requirement = `${goal} is already guaranteed regardless of the remaining **${remaining.length}** assignment(s).`;
+        } else {
+            requirement = `${goal} you need an average of at least **${format_percentage(
+                Math.ceil(required * 100) / 100
+            )}** on the remaining **${remaining.length}** assignment(s).`;
+        }
+    }
+
+    // Reply with the projection
+    await interaction.safe_reply({
+        ephemeral: true,
+        embeds: [
+            {
+                title: 'What-If Calculator',
+                description: [
+                    stats.count
+                        ? `Your projected grade for **${course.name}** is **${format_percentage(projected)}**.`
+                        : `You do not have any graded or hypothetical scores for **${course.name}** yet.`,
+                    has_weights
+                        ? '*The grade is calculated with your category weights.*'
+                        : `*The grade is calculated by points, use the \`${process.env['COMMAND_PREFIX']} weights\` command to set category weights.*`,
+                ].join('\n'),
+                fields: [
+                    applied.length
+                        ? {
+                              name: 'Hypothetical Scores',
+                              value: truncate(
+                                  applied
+                                      .map(
+                                          ({ name, grade }) =>
+                                              `${name}: \`${Math.round(grade.score * 100) / 100} / ${grade.possible}\``
+                                      )
+                                      .join('\n'),
+                                  1024
+                              ),
+                          }
+                        : null,
+                    requirement ? { name: 'Target Grade', value: requirement } : null,
+                ].filter((field) => field !== null),
+            },
+        ],
+    });
+}
@@ -0,0 +1,721 @@
+import Database from 'better-sqlite3';
+import { copyFileSync, existsSync, readFileSync, renameSync, rmSync } from 'fs';
+import { log } from './utils.js';
+import { encrypt, decrypt, is_encrypted, load_encryption_keys, needs_rotation } from './encryption.js';
+
+/**
+ * The encrypted columns of each table which hold sensitive user data.
+ * Note! Key columns are never encrypted as they must remain queryable.
+ */
+const ENCRYPTED_COLUMNS = {
+    accounts: { key: ['identifier'], columns: ['name', 'token'] },
+    alerts: { key: ['account', 'identifier'], columns: ['data'] },
+    cache: { key: ['account', 'key'], columns: ['value'] },
+    settings: { key: ['account', 'key'], columns: ['value'] },
+};
+
+/**
+ * Encrypts a nullable column value.
+ *
+ * @param {String=} value
+ * @returns {String|null}
+ */
+function seal(value) {
+    return value === null || value === undefined ? null : encrypt(value);
+}
+
+/**
+ * Decrypts a nullable column value.
+ *
+ * @param {String=} value
+ * @returns {String|null}
+ */
+function unseal(value) {
+    return value === null || value === undefined ? null : decrypt(value);
+}
+
+/**
+ * Re-encrypts every encrypted column value which is not yet encrypted with the current encryption key.
+ *
+ * @param {Database.Database} db
+ * @returns {Number} The number of rows which were re-encrypted.
+ */
+function reseal_columns(db) {
+    let count = 0;
+    for (const table in ENCRYPTED_COLUMNS) {
+        // Skip tables which do not exist yet in the current schema version
+        if (!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)) continue;
+
+        const { key, columns } = ENCRYPTED_COLUMNS[table];
+        const update = db.prepare(
+            `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE ${key
+                .map((column) => `${column} = ?`)
+                .join(' AND ')}`
+        );
+        for (const row of db.prepare(`SELECT ${[...key, ...columns].join(', ')} FROM ${table}`).all()) {
+            // Skip rows whose columns are all already encrypted with the current key
+            if (columns.every((column) => row[column] === null || !needs_rotation(row[column]))) continue;
+
+            // Decrypt any previously encrypted values and encrypt all values with the current key
+            const values = columns.map((column) => seal(is_encrypted(row[column]) ? unseal(row[column]) : row[column]));
+            update.run(...values, ...key.map((column) => row[column]));
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * The ordered schema migrations for the database.
+ * Each migration is applied exactly once and the index of the last applied migration is stored in the `user_version` pragma.
+ * Note! Never modify or re-order an existing migration, always append a new one instead.
+ * @type {Array<function(Database.Database):void>}
+ */
+const MIGRATIONS = [
+    // 1 - Initial schema with accounts, alerts, ignore lists and cache entries
+    (db) =>
+        db.exec(`
+            CREATE TABLE accounts (
+                identifier TEXT PRIMARY KEY,
+                name TEXT,
+                token TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE alerts (
+                account TEXT NOT NULL REFERENCES accounts(identifier) ON DELETE CASCADE ON UPDATE CASCADE,
+                identifier TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (account, identifier)
+            );
+
+            CREATE TABLE ignores (
+                account TEXT NOT NULL REFERENCES accounts(identifier) ON DELETE CASCADE ON UPDATE CASCADE,
+                type TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (account, type, value)
+            );
+
+            CREATE TABLE cache (
+                account TEXT NOT NULL REFERENCES accounts(identifier) ON DELETE CASCADE ON UPDATE CASCADE,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                PRIMARY KEY (account, key)
+            );
+
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `),
+
+    // 2 - Encrypt all existing plain text user data at rest
+    (db) => reseal_columns(db),
+
+    // 3 - Per account settings such as the calendar feed token
+    (db) =>
+        db.exec(`
+            CREATE TABLE settings (
+                account TEXT NOT NULL REFERENCES accounts(identifier) ON DELETE CASCADE ON UPDATE CASCADE,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (account, key)
+            );
+        `),
+
+    // 4 - Hashed API keys for the REST API
+    (db) =>
+        db.exec(`
+            CREATE TABLE api_keys (
+                hash TEXT PRIMARY KEY,
+                account TEXT NOT NULL REFERENCES accounts(identifier) ON DELETE CASCADE ON UPDATE CASCADE,
+                created_at INTEGER NOT NULL,
+                used_at INTEGER
+            );
+
+            CREATE INDEX api_keys_account ON api_keys (account);
+        `),
+
+    // 5 - The active account of each Discord user who may own multiple accounts
+    (db) =>
+        db.exec(`
+            CREATE TABLE users (
+                user TEXT PRIMARY KEY,
+                active_account TEXT REFERENCES accounts(identifier) ON DELETE SET NULL ON UPDATE CASCADE
+            );
+        `),
+
+    // 6 - The permission settings of each Discord guild configured by its admins
+    (db) =>
+        db.exec(`
+            CREATE TABLE guilds (
+                guild TEXT PRIMARY KEY,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                roles TEXT NOT NULL DEFAULT '[]',
+                channels TEXT NOT NULL DEFAULT '[]',
+                updated_at INTEGER NOT NULL
+            );
+        `),
+];
+
+/**
+ * Returns the number of rotating database backups to keep.
+ * Note! The environment is read on each call as it is only loaded after all modules have been imported.
+ *
+ * @returns {Number}
+ */
+function get_backup_count() {
+    return Number(process.env['DATABASE_BACKUPS']) || 5;
+}
+
+/**
+ * The currently opened database connection.
+ * @type {Database.Database=}
+ */
+let database;
+
+/**
+ * The path of the currently opened database.
+ * @type {String=}
+ */
+let database_path;
+
+/**
+ * The pending backup operation if one is in progress.
+ * @type {Promise<String>=}
+ */
+let pending_backup;
+
+/**
+ * Opens a connection to the database at the given path and ensures the database file is not corrupted.
+ *
+ * @param {String} path
+ * @param {Database.Options=} options
+ * @returns {Database.Database}
+ */
+function connect(path, options) {
+    const db = new Database(path, options);
+    try {
+        // Enable write-ahead logging for safe concurrent access
+        if (!options?.readonly) db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+
+        // Ensure the database file passes an integrity check
+        const result = db.pragma('quick_check', { simple: true });
+        if (result !== 'ok') throw new Error(`The database failed an integrity check: ${result}`);
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+    return db;
+}
+
+/**
+ * Returns the path of the backup at the given position where `1` is the newest backup.
+ *
+ * @param {String} path
+ * @param {Number} position
+ * @returns {String}
+ */
+function backup_path(path, position) {
+    return `${path}.backup.${position}`;
+}
+
+/**
+ * Replaces the database at the given path with the newest valid backup.
+ * Note! The unusable database file is kept with a `.corrupted` suffix for manual inspection.
+ *
+ * @param {String} path
+ * @returns {String=} The path of the restored backup if one was found.
+ */
+function restore_database_backup(path) {
+    const count = get_backup_count();
+    for (let position = 1; position <= count; position++) {
+        // Ensure the backup exists and is a valid database
+        const candidate = backup_path(path, position);
+        if (!existsSync(candidate)) continue;
+        try {
+            connect(candidate, { readonly: true, fileMustExist: true }).close();
+        } catch (error) {
+            log('DATABASE', `Skipping unusable backup ${candidate}: ${error.message}`);
+            continue;
+        }
+
+        // Move the unusable database aside along with any stale write-ahead log files
+        const suffix = `.corrupted.${Date.now()}`;
+        if (existsSync(path)) renameSync(path, `${path}${suffix}`);
+        ['-wal', '-shm'].forEach((extension) => rmSync(`${path}${extension}`, { force: true }));
+
+        // Restore the backup in place of the database
+        copyFileSync(candidate, path);
+        return candidate;
+    }
+}
+
+/**
+ * Opens the database at the given path and applies all pending schema migrations.
+ * Note! Subsequent calls will return the already opened database.
+ *
+ * @param {String=} path The path to the SQLite database file.
+ * @returns {Database.Database}
+ */
+export function open_database(path = process.env['DATABASE_FILE']) {
+    // Return the already opened database if one exists
+    if (database) return database;
+
+    // Load the encryption keys before touching any user data
+    load_encryption_keys();
+
+    // Open the database and fall back to the newest valid backup if the database is unusable
+    let db;
+    try {
+        db = connect(path);
+    } catch (error) {
+        const restored = restore_database_backup(path);
+        if (!restored) throw error;
+        log('DATABASE', `The database could not be opened (${error.message}), restored the backup ${restored}`);
+        db = connect(path);
+    }
+
+    // Apply all pending migrations and ensure the encryption key matches the stored data
+    try {
+        migrate_database(db);
+        verify_encryption_key(db);
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+
+    // Re-encrypt any data which is still encrypted with a previous key
+    const rotated = db.transaction(() => reseal_columns(db))();
+    if (rotated) log('DATABASE', `Re-encrypted ${rotated} record(s) with the current ENCRYPTION_KEY`);
+
+    // Return the opened database
+    database = db;
+    database_path = path;
+    return database;
+}
+
+/**
+ * Writes a consistent snapshot of the database to a temporary file and atomically renames it into the newest backup.
+ * Note! Older backups are rotated and only the newest `DATABASE_BACKUPS` backups are kept.
+ *
+ * @returns {Promise<String>} The path of the newest backup.
+ */
+export function backup_database() {
+    // Re-use the pending backup to prevent overlapping backups
+    if (pending_backup) return pending_backup;
+
+    const db = get_database();
+    const path = database_path;
+    pending_backup = (async () => {
+        // Write the snapshot to a temporary file first so a partial backup never replaces a valid one
+        const temporary = `${path}.backup.tmp`;
+        await db.backup(temporary);
+
+        // Switch the snapshot to a rollback journal so it remains a single self-contained file
+        const snapshot = new Database(temporary);
+        snapshot.pragma('journal_mode = DELETE');
+        snapshot.close();
+
+        // Rotate the existing backups and move the snapshot into place
+        for (let position = get_backup_count(); position > 1; position--) {
+            const previous = backup_path(path, position - 1);
+            if (existsSync(previous)) renameSync(previous, backup_path(path, position));
+        }
+        renameSync(temporary, backup_path(path, 1));
+
+        return backup_path(path, 1);
+    })().finally(() => (pending_backup = undefined));
+
+    return pending_backup;
+}
+
+/**
+ * Ensures the current encryption keys are able to decrypt the data stored in the given database.
+ * Note! A known canary value is encrypted and stored on first use to detect a wrong key before any user data is read.
+ *
+ * @param {Database.Database} db
+ */
+function verify_encryption_key(db) {
+    const canary = db.prepare("SELECT value FROM meta WHERE key = 'encryption_canary'").get()?.value;
+    if (canary) {
+        // Decrypt the canary which throws a descriptive error if no key matches
+        if (decrypt(canary) !== 'canary') throw new Error('The ENCRYPTION_KEY does not match the stored data.');
+
+        // Rotate the canary to the current key
+        if (needs_rotation(canary))
+            db.prepare("UPDATE meta SET value = ? WHERE key = 'encryption_canary'").run(encrypt('canary'));
+    } else {
+        db.prepare("INSERT INTO meta (key, value) VALUES ('encryption_canary', ?)").run(encrypt('canary'));
+    }
+}
+
+/**
+ * Closes the currently opened database if one exists.
+ */
+export function close_database() {
+    if (database) database.close();
+    database = undefined;
+    database_path = undefined;
+}
+
+/**
+ * Returns the currently opened database.
+ * @returns {Database.Database}
+ */
+function get_database() {
+    // Ensure the database has been opened
+    if (!database) throw new Error('The database must be opened with open_database() before it can be used.');
+    return database;
+}
+
+/**
+ * Applies all pending schema migrations to the given database.
+ *
+ * @param {Database.Database} db
+ * @returns {Number} The number of migrations that were applied.
+ */
+export function migrate_database(db) {
+    // Determine the current schema version of the database
+    const version = db.pragma('user_version', { simple: true });
+
+    // Apply each pending migration inside of its own transaction
+    let applied = 0;
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            MIGRATIONS[i](db);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+        applied++;
+    }
+
+    // Log the number of migrations that were applied
+    if (applied) log('DATABASE', `Applied ${applied} schema migration(s), now at version ${MIGRATIONS.length}`);
+    return applied;
+}
+
+/**
+ * Returns a value from the meta table.
+ *
+ * @param {String} key
+ * @returns {String=}
+ */
+export function get_meta(key) {
+    return get_database().prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value;
+}
+
+/**
+ * Sets a value in the meta table.
+ *
+ * @param {String} key
+ * @param {String} value
+ */
+export function set_meta(key, value) {
+    get_database()
+        .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        .run(key, value);
+}
+
+/**
+ * Loads a single account from the database as a client object.
+ *
+ * @param {String} identifier
+ * @returns {import('./blackboard/client.js').Client=}
+ */
+export function load_account(identifier) {
+    const db = get_database();
+
+    // Retrieve the account row
+    const account = db.prepare('SELECT name, token FROM accounts WHERE identifier = ?').get(identifier);
+    if (!account) return;
+
+    // Build the client object from the account and its related rows
+    const client = {
+        name: unseal(account.name),
+        token: unseal(account.token),
+        ignore: {},
+        alerts: {},
+        cache: {},
+        settings: {},
+    };
+
+    // Populate the alerts of the client
+    for (const { identifier: id, data } of db
+        .prepare('SELECT identifier, data FROM alerts WHERE account = ?')
+        .iterate(identifier))
+        client.alerts[id] = JSON.parse(unseal(data));
+
+    // Populate the ignore lists of the client
+    for (const { type, value } of db.prepare('SELECT type, value FROM ignores WHERE account = ?').iterate(identifier)) {
+        if (!client.ignore[type]) client.ignore[type] = [];
+        client.ignore[type].push(value);
+    }
+
+    // Populate the cache entries of the client
+    for (const { key, value, expires_at } of db
+        .prepare('SELECT key, value, expires_at FROM cache WHERE account = ?')
+        .iterate(identifier))
+        client.cache[key] = { value: JSON.parse(unseal(value)), expires_at };
+
+    // Populate the settings of the client
+    for (const { key, value } of db.prepare('SELECT key, value FROM settings WHERE account = ?').iterate(identifier))
+        client.settings[key] = JSON.parse(unseal(value));
+
+    return client;
+}
+
+/**
+ * Returns the identifiers of all accounts in the database.
+ * @returns {Array<String>}
+ */
+export function list_accounts() {
+    return get_database()
+        .prepare('SELECT identifier FROM accounts')
+        .all()
+        .map(({ identifier }) => identifier);
+}
+
+/**
+ * Loads all accounts from the database as client objects.
+ * @returns {Object<string, import('./blackboard/client.js').Client>}
+ */
+export function load_accounts() {
+    const accounts = {};
+    for (const identifier of list_accounts()) accounts[identifier] = load_account(identifier);
+    return accounts;
+}
+
+/**
+ * Saves a single account to the database.
+ * Note! All of the account's rows are written inside of a single transaction thus a failed write will never leave the account partially updated.
+ *
+ * @param {String} identifier
+ * @param {import('./blackboard/client.js').Client} client
+ */
+export function save_account(identifier, client) {
+    const db = get_database();
+    db.transaction(() => {
+        // Upsert the account row
+        const now = Date.now();
+        db.prepare(
+            `INSERT INTO accounts (identifier, name, token, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (identifier) DO UPDATE SET name = excluded.name, token = excluded.token, updated_at = excluded.updated_at`
+        ).run(identifier, seal(client.name || null), seal(client.token || null), now, now);
+
+        // Replace the alerts of the account
+        db.prepare('DELETE FROM alerts WHERE account = ?').run(identifier);
+        const insert_alert = db.prepare('INSERT INTO alerts (account, identifier, data) VALUES (?, ?, ?)');
+        for (const id in client.alerts || {}) insert_alert.run(identifier, id, seal(JSON.stringify(client.alerts[id])));
+
+        // Replace the ignore lists of the account
+        db.prepare('DELETE FROM ignores WHERE account = ?').run(identifier);
+        const insert_ignore = db.prepare('INSERT OR IGNORE INTO ignores (account, type, value) VALUES (?, ?, ?)');
+        for (const type in client.ignore || {})
+            for (const value of client.ignore[type]) insert_ignore.run(identifier, type, String(value));
+
+        // Replace the cache entries of the account
+        db.prepare('DELETE FROM cache WHERE account = ?').run(identifier);
+        const insert_cache = db.prepare('INSERT INTO cache (account, key, value, expires_at) VALUES (?, ?, ?, ?)');
+        for (const key in client.cache || {}) {
+            const { value, expires_at } = client.cache[key];
+            insert_cache.run(identifier, key, seal(JSON.stringify(value ?? null)), expires_at);
+        }
+
+        // Replace the settings of the account
+        db.prepare('DELETE FROM settings WHERE account = ?').run(identifier);
+        const insert_setting = db.prepare('INSERT INTO settings (account, key, value) VALUES (?, ?, ?)');
+        for (const key in client.settings || {})
+            insert_setting.run(identifier, key, seal(JSON.stringify(client.settings[key])));
+    })();
+}
+
+/**
+ * Deletes a single account and all of its related rows from the database.
+ *
+ * @param {String} identifier
+ * @returns {Boolean} Whether or not an account was deleted.
+ */
+export function delete_account(identifier) {
+    return get_database().prepare('DELETE FROM accounts WHERE identifier = ?').run(identifier).changes > 0;
+}
+
+/**
+ * Renames an account along with all of its related rows.
+ * Note! Related rows follow the new identifier through the `ON UPDATE CASCADE` foreign keys.
+ *
+ * @param {String} identifier
+ * @param {String} new_identifier
+ * @returns {Boolean} Whether or not an account was renamed.
+ */
+export function rename_account(identifier, new_identifier) {
+    return (
+        get_database()
+            .prepare('UPDATE accounts SET identifier = ? WHERE identifier = ?')
+            .run(new_identifier, identifier).changes > 0
+    );
+}
+
+/**
+ * Returns the identifier of the active account of each Discord user.
+ *
+ * @returns {Object<string, string>}
+ */
+export function list_active_accounts() {
+    const accounts = {};
+    for (const { user, active_account } of get_database()
+        .prepare('SELECT user, active_account FROM users WHERE active_account IS NOT NULL')
+        .iterate())
+        accounts[user] = active_account;
+    return accounts;
+}
+
+/**
+ * Sets the active account of a Discord user.
+ *
+ * @param {String} user
+ * @param {String|null} identifier The identifier of the account or `null` to clear the active account.
+ */
+export function set_active_account(user, identifier) {
+    get_database()
+        .prepare(
+            `INSERT INTO users (user, active_account) VALUES (?, ?)
+             ON CONFLICT (user) DO UPDATE SET active_account = excluded.active_account`
+        )
+        .run(user, identifier);
+}
+
+/**
+ * @typedef {Object} GuildSettings
+ * @property {Boolean} enabled Whether or not the bot may be used in the guild.
+ * @property {Array<String>} roles The roles allowed to use the bot or none to allow everyone.
+ * @property {Array<String>} channels The channels alerts may be posted to or none to allow every channel.
+ */
+
+/**
+ * Returns the settings of each guild which has been configured by its admins.
+ *
+ * @returns {Object<string, GuildSettings>}
+ */
+export function load_guild_settings() {
+    const guilds = {};
+    for (const { guild, enabled, roles, channels } of get_database()
+        .prepare('SELECT guild, enabled, roles, channels FROM guilds')
+        .iterate())
+        guilds[guild] = { enabled: enabled === 1, roles: JSON.parse(roles), channels: JSON.parse(channels) };
+    return guilds;
+}
+
+/**
+ * Saves the settings of a guild.
+ *
+ * @param {String} guild
+ * @param {GuildSettings} settings
+ */
+export function save_guild_settings(guild, { enabled, roles, channels }) {
+    get_database()
+        .prepare(
+            `INSERT INTO guilds (guild, enabled, roles, channels, updated_at) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (guild) DO UPDATE SET enabled = excluded.enabled, roles = excluded.roles,
+             channels = excluded.channels, updated_at = excluded.updated_at`
+        )
+        .run(guild, enabled ? 1 : 0, JSON.stringify(roles), JSON.stringify(channels), Date.now());
+}
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {String} hash The SHA-256 hash of the API key.
+ * @property {Number} created_at The timestamp of when the API key was created.
+ * @property {Number|null} used_at The timestamp of when the API key was last used.
+ */
+
+/**
+ * Stores the hash of a new API key for the given account.
+ *
+ * @param {String} account
+ * @param {String} hash
+ */
+export function create_api_key(account, hash) {
+    get_database()
+        .prepare('INSERT INTO api_keys (hash, account, created_at) VALUES (?, ?, ?)')
+        .run(hash, account, Date.now());
+}
+
+/**
+ * Returns the account identifier which owns the API key with the given hash and marks the key as used.
+ *
+ * @param {String} hash
+ * @returns {String=}
+ */
+export function use_api_key(hash) {
+    const db = get_database();
+    const row = db.prepare('SELECT account FROM api_keys WHERE hash = ?').get(hash);
+    if (row) db.prepare('UPDATE api_keys SET used_at = ? WHERE hash = ?').run(Date.now(), hash);
+    return row?.account;
+}
+
+/**
+ * Returns all API keys of the given account.
+ *
+ * @param {String} account
+ * @returns {Array<ApiKey>}
+ */
+export function list_api_keys(account) {
+    return get_database()
+        .prepare('SELECT hash, created_at, used_at FROM api_keys WHERE account = ? ORDER BY created_at')
+        .all(account);
+}
+
+/**
+ * Deletes all API keys of the given account.
+ *
+ * @param {String} account
+ * @returns {Number} The number of API keys which were deleted.
+ */
+export function delete_api_keys(account) {
+    return get_database().prepare('DELETE FROM api_keys WHERE account = ?').run(account).changes;
+}
+
+/**
+ * Imports the clients from a legacy `clients.json` file into the database.
+ * Note! This is a one-time operation, the legacy file is renamed with an `.imported` suffix once it has been imported.
+ *
+ * @param {String=} path The path to the legacy `clients.json` file.
+ * @returns {Number} The number of clients that were imported.
+ */
+export function import_legacy_clients(path = process.env['CLIENTS_JSON']) {
+    // Ensure a legacy file exists and has not been imported already
+    if (!path || !existsSync(path) || get_meta('legacy_import')) return 0;
+
+    // Parse the legacy clients and leave the file untouched if it is unreadable
+    let clients;
+    try {
+        clients = JSON.parse(readFileSync(path));
+    } catch (error) {
+        log('DATABASE', `Failed to import the legacy clients from ${path}: ${error.message}`);
+        return 0;
+    }
+
+    // Import each client that does not already exist in the database
+    let imported = 0;
+    get_database().transaction(() => {
+        for (const identifier in clients) {
+            if (load_account(identifier)) continue;
+
+            // Decrypt clients which were exported as encrypted records
+            const client = clients[identifier];
+            save_account(identifier, is_encrypted(client) ? JSON.parse(decrypt(client)) : client);
+            imported++;
+        }
+
+        // Mark the legacy import as complete
+        set_meta('legacy_import', String(Date.now()));
+    })();
+
+    // Rename the legacy file to prevent it from being used again
+    renameSync(path, `${path}.imported`);
+
+    return imported;
+}
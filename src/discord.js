@@ -2,27 +2,77 @@ import { SlashCommandBuilder, REST as RestClient, Routes as RestRoutes } from 'd
 
 // Import the slash commands and their handlers
 import { build_login_command, on_login_command } from './commands/login.js';
+import { build_accounts_command, on_accounts_command } from './commands/accounts.js';
+import {
+    build_logout_command,
+    is_logout_interaction,
+    on_logout_command,
+    on_logout_interaction,
+} from './commands/logout.js';
+import { build_export_command, on_export_command } from './commands/export.js';
 import { build_courses_command, on_courses_command } from './commands/courses.js';
 import { build_assignments_command, on_assignments_command } from './commands/assignments.js';
+import { build_assignment_command, on_assignment_command } from './commands/assignment.js';
 import { build_summary_command, on_summary_command } from './commands/summary.js';
 import { build_alerts_command, on_alerts_command } from './commands/alerts.js';
+import { build_timezone_command, on_timezone_command } from './commands/timezone.js';
+import { build_preferences_command, on_preferences_command } from './commands/preferences.js';
+import { build_calendar_command, on_calendar_command } from './commands/calendar.js';
+import { build_apikey_command, on_apikey_command } from './commands/apikey.js';
+import { build_ignores_command, on_ignores_command } from './commands/ignores.js';
+import { build_grades_command, on_grades_command } from './commands/grades.js';
+import { build_weights_command, on_weights_command } from './commands/weights.js';
+import { build_whatif_command, on_whatif_command } from './commands/whatif.js';
+import { build_admin_command, on_admin_command } from './commands/admin.js';
+import { on_autocomplete_interaction } from './autocomplete.js';
+import { check_guild_access } from './guilds.js';
+import { is_paginator_interaction, on_paginator_interaction } from './paginator.js';
 
 /**
- * Registers all slash commands with the Discord client globally.
- * @returns {Promise<void>}
+ * The replies to callers who may not use the bot in a server by the reason returned from `check_guild_access()`.
  */
-export async function register_slash_commands() {
-    // Create a master command with all of the sub-commands
-    const master_command_json = new SlashCommandBuilder()
+const GUILD_ACCESS_MESSAGES = {
+    DISABLED: 'The bot has been **disabled** in this server by its admins.',
+    ROLE: 'You do not have a role which is allowed to use the bot in this server. You may still use it in a direct message to the bot.',
+};
+
+/**
+ * Builds and returns the JSON of the master command with all of the sub-commands.
+ * @returns {import('discord.js').RESTPostAPIChatInputApplicationCommandsJSONBody}
+ */
+export function build_slash_commands() {
+    return new SlashCommandBuilder()
         .setName(process.env['COMMAND_PREFIX'].replace('/', ''))
         .setDescription('Easily manage your CUNY Blackboard courses and assignments.')
-        .setDMPermission(false)
+        .setDMPermission(true)
         .addSubcommand(build_login_command)
+        .addSubcommand(build_accounts_command)
+        .addSubcommand(build_logout_command)
+        .addSubcommand(build_export_command)
         .addSubcommand(build_courses_command)
         .addSubcommand(build_assignments_command)
+        .addSubcommand(build_assignment_command)
         .addSubcommand(build_summary_command)
+        .addSubcommand(build_grades_command)
+        .addSubcommand(build_weights_command)
+        .addSubcommand(build_whatif_command)
         .addSubcommand(build_alerts_command)
+        .addSubcommand(build_timezone_command)
+        .addSubcommand(build_preferences_command)
+        .addSubcommand(build_calendar_command)
+        .addSubcommand(build_apikey_command)
+        .addSubcommand(build_ignores_command)
+        .addSubcommandGroup(build_admin_command)
         .toJSON();
+}
+
+/**
+ * Registers all slash commands with the Discord client globally.
+ * @returns {Promise<void>}
+ */
+export async function register_slash_commands() {
+    // Create a master command with all of the sub-commands
+    const master_command_json = build_slash_commands();
 
     // Create a new Discord REST client to make API requests to Discord
     const client = new RestClient({ version: '10' }).setToken(process.env['DISCORD_BOT_TOKEN']);
@@ -36,16 +86,57 @@ export async function register_slash_commands() {
 /**
  * Handles an interactionCreate event from the Discord client.
  *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {import('discord.js').Interaction} interaction
  * @returns {Promise<void>}
  */
 export async function on_client_interaction(interaction) {
-    // Ensure the interaction is a text input command from a guild
-    if (!interaction.isCommand() || !interaction.guild) return;
+    // Ensure the caller is still allowed to use the bot in this server before handling its buttons and modals
+    if (is_paginator_interaction(interaction) || is_logout_interaction(interaction)) {
+        const access = check_guild_access(interaction);
+        if (access) {
+            try {
+                return await interaction.reply({ ephemeral: true, content: GUILD_ACCESS_MESSAGES[access] });
+            } catch (error) {
+                return console.error(error);
+            }
+        }
+    }
+
+    // Handle the buttons and modals of paginated replies
+    if (is_paginator_interaction(interaction)) {
+        try {
+            return await on_paginator_interaction(interaction);
+        } catch (error) {
+            return console.error(error);
+        }
+    }
+
+    // Handle the confirmation buttons of logouts
+    if (is_logout_interaction(interaction)) {
+        try {
+            return await on_logout_interaction(interaction);
+        } catch (error) {
+            return console.error(error);
+        }
+    }
+
+    // Ensure the interaction is a text input command or an autocomplete request from a guild or direct message
+    if (!(interaction.isCommand() || interaction.isAutocomplete())) return;
 
     // Ensure the command name matches the prefix
     if (interaction.commandName !== process.env['COMMAND_PREFIX'].replace('/', '')) return;
 
+    // Respond with suggestions if this is an autocomplete request for a command option
+    // Note! Callers who may not use the bot in this server receive no suggestions
+    if (interaction.isAutocomplete()) {
+        try {
+            if (check_guild_access(interaction)) return await interaction.respond([]);
+            return await on_autocomplete_interaction(interaction);
+        } catch (error) {
+            return console.error(error);
+        }
+    }
+
     // Set a timeout to defer the interaction if no response is sent within 2 seconds
     let replied = false;
     let deferred = false;
@@ -87,18 +178,49 @@ export async function on_client_interaction(interaction) {
     };
 
     try {
+        // Handle the sub-commands of the admin group which are always available to server managers
+        if (interaction.options.getSubcommandGroup(false) === 'admin') return await on_admin_command(interaction);
+
+        // Ensure the caller is allowed to use the bot in this server
+        const access = check_guild_access(interaction);
+        if (access) return await interaction.safe_reply({ ephemeral: true, content: GUILD_ACCESS_MESSAGES[access] });
+
         // Handle the sub-command based on the name
         switch (interaction.options.getSubcommand()) {
             case 'login':
                 return await on_login_command(interaction);
+            case 'accounts':
+                return await on_accounts_command(interaction);
+            case 'logout':
+                return await on_logout_command(interaction);
+            case 'export-data':
+                return await on_export_command(interaction);
             case 'courses':
                 return await on_courses_command(interaction);
             case 'assignments':
                 return await on_assignments_command(interaction);
+            case 'assignment':
+                return await on_assignment_command(interaction);
             case 'summary':
                 return await on_summary_command(interaction);
+            case 'grades':
+                return await on_grades_command(interaction);
+            case 'weights':
+                return await on_weights_command(interaction);
+            case 'whatif':
+                return await on_whatif_command(interaction);
             case 'alerts':
                 return await on_alerts_command(interaction);
+            case 'timezone':
+                return await on_timezone_command(interaction);
+            case 'preferences':
+                return await on_preferences_command(interaction);
+            case 'calendar':
+                return await on_calendar_command(interaction);
+            case 'apikey':
+                return await on_apikey_command(interaction);
+            case 'ignores':
+                return await on_ignores_command(interaction);
             default:
                 // If the sub-command is not recognized, return an error message
                 return interaction.safe_reply({
@@ -119,6 +241,11 @@ export async function on_client_interaction(interaction) {
                     ephemeral: true,
                     content: `The course you have provided does not exist. Please run the \`${process.env['COMMAND_PREFIX']} courses\` command to view a list of your courses.`,
                 });
+            case 'NO_ASSIGNMENT':
+                return await interaction.safe_reply({
+                    ephemeral: true,
+                    content: `The assignment you have provided does not exist in this course. Please run the \`${process.env['COMMAND_PREFIX']} assignments\` command to view a list of its assignments.`,
+                });
             default:
                 // If the error is not known, log it to the console
                 console.error(error);
@@ -135,7 +262,7 @@ export async function on_client_interaction(interaction) {
  *
  * @param {Object} deliverables Deliverable Discord.js objects to resolve and send a DM to the caller.
  * @param {import('discord.js').BaseClient} deliverables.client The Discord client to use to send the DM.
- * @param {(String|import('discord.js').Guild)} deliverables.guild The Discord guild to use to send the DM.
+ * @param {(String|import('discord.js').Guild)=} deliverables.guild The Discord guild to use to send the DM or none to resolve the user directly.
  * @param {(String|import('discord.js').GuildMember)} deliverables.member The Discord guild member to use to send the DM.
  * @param {String} message The text message DM to send to the user.
  * @returns {Promise<void>}
@@ -147,6 +274,9 @@ export async function send_direct_message(deliverables, message) {
     // Throw if the client is not a Discord client is not provided
     if (!client) throw new Error('A Discord client is required to send a DM.');
 
+    // Attempt to resolve the user directly if no guild is provided
+    if (typeof member == 'string' && !guild) member = await client.users.fetch(member);
+
     // Attempt to resolve the member if it is not provided
     if (typeof member == 'string') {
         // Attempt to resolve the guild if it is not provided
@@ -0,0 +1,129 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+const KEY_HINT = `You may generate a new key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"`;
+
+/**
+ * @typedef {Object} EncryptionKey
+ * @property {String} id The short fingerprint of the key which is stored alongside the ciphertext.
+ * @property {Buffer} key The 32 byte AES-256 key.
+ */
+
+/**
+ * The loaded encryption keys, the first key is the current key used for all new encryptions.
+ * @type {Array<EncryptionKey>=}
+ */
+let keys;
+
+/**
+ * Parses a base64 or hex encoded 32 byte key into an encryption key.
+ *
+ * @param {String} raw
+ * @param {String} name The name of the environment variable for error messages.
+ * @returns {EncryptionKey}
+ */
+function parse_key(raw, name) {
+    raw = raw.trim();
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) throw new Error(`${name} must be a 32 byte key encoded as base64 or hex. ${KEY_HINT}`);
+    return {
+        id: createHash('sha256').update(key).digest('hex').substring(0, 8),
+        key,
+    };
+}
+
+/**
+ * Loads the encryption keys from the `ENCRYPTION_KEY` and `ENCRYPTION_PREVIOUS_KEYS` environment variables.
+ * Note! This method throws a descriptive error if the current key is missing or malformed.
+ *
+ * @returns {Array<EncryptionKey>}
+ */
+export function load_encryption_keys() {
+    // Ensure the current key has been provided
+    const current = process.env['ENCRYPTION_KEY'];
+    if (!current)
+        throw new Error(`The ENCRYPTION_KEY environment variable is required to encrypt user data. ${KEY_HINT}`);
+
+    // Parse the current key and any previous keys which are still used to decrypt older data
+    const previous = (process.env['ENCRYPTION_PREVIOUS_KEYS'] || '').split(',').filter((raw) => raw.trim().length);
+    keys = [parse_key(current, 'ENCRYPTION_KEY'), ...previous.map((raw) => parse_key(raw, 'ENCRYPTION_PREVIOUS_KEYS'))];
+
+    return keys;
+}
+
+/**
+ * Returns the loaded encryption keys, loading them from the environment if neccessary.
+ * @returns {Array<EncryptionKey>}
+ */
+function get_keys() {
+    return keys || load_encryption_keys();
+}
+
+/**
+ * Returns whether or not the given value is an encrypted payload.
+ *
+ * @param {any} value
+ * @returns {Boolean}
+ */
+export function is_encrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Returns whether or not the given encrypted payload was encrypted with a key other than the current key.
+ *
+ * @param {String} payload
+ * @returns {Boolean}
+ */
+export function needs_rotation(payload) {
+    return !is_encrypted(payload) || payload.split(':')[2] !== get_keys()[0].id;
+}
+
+/**
+ * Encrypts the given plain text with the current encryption key.
+ *
+ * @param {String} plaintext
+ * @returns {String} The encrypted payload in the `enc:v1:key_id:iv:tag:ciphertext` format.
+ */
+export function encrypt(plaintext) {
+    const { id, key } = get_keys()[0];
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [
+        PREFIX,
+        id,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64'),
+    ].join(':');
+}
+
+/**
+ * Decrypts the given encrypted payload with the matching current or previous encryption key.
+ *
+ * @param {String} payload
+ * @returns {String}
+ */
+export function decrypt(payload) {
+    // Ensure the payload is an encrypted payload
+    if (!is_encrypted(payload)) throw new Error('The provided value is not an encrypted payload.');
+
+    // Find the key which was used to encrypt the payload
+    const [, , id, iv, tag, ciphertext] = payload.split(':');
+    const match = get_keys().find((key) => key.id === id);
+    if (!match)
+        throw new Error(
+            `The stored data was encrypted with a key (${id}) which does not match ENCRYPTION_KEY or any of ENCRYPTION_PREVIOUS_KEYS. If you have rotated your key, add the old key to ENCRYPTION_PREVIOUS_KEYS.`
+        );
+
+    // Decrypt and authenticate the payload
+    try {
+        const decipher = createDecipheriv(ALGORITHM, match.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Failed to decrypt stored data with key (${id}), the data may have been tampered with.`);
+    }
+}
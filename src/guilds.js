@@ -0,0 +1,103 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { load_guild_settings, save_guild_settings } from './database.js';
+
+/**
+ * The settings of guilds which have not been configured by their admins.
+ * @type {import('./database.js').GuildSettings}
+ */
+export const DEFAULT_GUILD_SETTINGS = Object.freeze({ enabled: true, roles: [], channels: [] });
+
+/**
+ * The settings of each configured guild by guild ID.
+ * @type {Map<string, import('./database.js').GuildSettings>}
+ */
+const GuildSettings = new Map();
+
+/**
+ * Loads the settings of all configured guilds from the database.
+ * @returns {Number} The number of configured guilds.
+ */
+export function recover_guild_settings() {
+    const guilds = load_guild_settings();
+    for (const guild in guilds) GuildSettings.set(guild, guilds[guild]);
+    return GuildSettings.size;
+}
+
+/**
+ * Returns the settings of a guild.
+ *
+ * @param {String=} guild
+ * @returns {import('./database.js').GuildSettings}
+ */
+export function get_guild_settings(guild) {
+    return GuildSettings.get(guild) || DEFAULT_GUILD_SETTINGS;
+}
+
+/**
+ * Updates the settings of a guild and persists them to the database.
+ *
+ * @param {String} guild
+ * @param {Partial<import('./database.js').GuildSettings>} changes
+ * @returns {import('./database.js').GuildSettings} The updated settings.
+ */
+export function update_guild_settings(guild, changes) {
+    const settings = { ...get_guild_settings(guild), ...changes };
+    save_guild_settings(guild, settings);
+    GuildSettings.set(guild, settings);
+    return settings;
+}
+
+/**
+ * Returns whether or not the caller of the interaction may manage the settings of the guild.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {Boolean}
+ */
+export function can_manage_guild(interaction) {
+    return !!interaction.guild && !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+}
+
+/**
+ * Returns the reason the caller of the interaction may not use the bot in the guild or `null` if they may.
+ * Note! Direct messages are never restricted and members who can manage the guild bypass the role restriction.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {('DISABLED'|'ROLE')|null}
+ */
+export function check_guild_access(interaction) {
+    if (!interaction.guild) return null;
+    return check_member_access(interaction.guildId, interaction.member, interaction.memberPermissions);
+}
+
+/**
+ * Returns the reason a member may not use the bot in the guild or `null` if they may.
+ * Note! Members who can manage the guild bypass the role restriction.
+ *
+ * @param {String} guild
+ * @param {import('discord.js').GuildMember|import('discord.js').APIInteractionGuildMember} member
+ * @param {import('discord.js').PermissionsBitField=} permissions The permissions of the member in the guild.
+ * @returns {('DISABLED'|'ROLE')|null}
+ */
+export function check_member_access(guild, member, permissions = member?.permissions) {
+    const { enabled, roles } = get_guild_settings(guild);
+    if (!enabled) return 'DISABLED';
+    if (!roles.length || permissions?.has(PermissionFlagsBits.ManageGuild)) return null;
+
+    // Members of interactions hold either a role manager or the raw role IDs
+    const member_roles = member?.roles;
+    const ids = Array.isArray(member_roles) ? member_roles : [...(member_roles?.cache?.keys() || [])];
+    return ids.some((id) => roles.includes(id)) ? null : 'ROLE';
+}
+
+/**
+ * Returns whether or not alerts may be posted to the channel of a guild.
+ *
+ * @param {String|null} guild
+ * @param {String|null} channel
+ * @returns {Boolean}
+ */
+export function is_alert_channel_allowed(guild, channel) {
+    if (!guild) return true;
+    const { enabled, channels } = get_guild_settings(guild);
+    return enabled && (!channels.length || channels.includes(channel));
+}
@@ -0,0 +1,192 @@
+import { ButtonStyle, ComponentType, TextInputStyle } from 'discord.js';
+import { spread_fields_over_embeds } from './utils.js';
+
+/**
+ * The prefix of the custom IDs of all paginator buttons and modals.
+ */
+export const PAGINATOR_PREFIX = 'page';
+
+/**
+ * The time in milliseconds after the last interaction at which a paginated reply expires.
+ */
+export const PAGINATOR_TIMEOUT = 1000 * 60 * 5;
+
+/**
+ * The maximum number of fields to display on each page.
+ */
+export const FIELDS_PER_PAGE = 10;
+
+/**
+ * The maximum JSON length of each page to stay well within the 6000 character limit of Discord embeds.
+ */
+const MAX_PAGE_LENGTH = 5000;
+
+/**
+ * @typedef {Object} Paginator
+ * @property {Array<Object>} pages The embed of each page.
+ * @property {Number} page The index of the current page.
+ * @property {String} user The Discord user ID who may switch pages.
+ * @property {import('discord.js').ChatInputCommandInteraction} interaction The interaction which created the paginator.
+ * @property {NodeJS.Timeout} timeout The timeout which expires the paginator.
+ */
+
+/**
+ * The active paginators by the ID of the interaction which created them.
+ * @type {Map<string, Paginator>}
+ */
+const Paginators = new Map();
+
+/**
+ * Returns the message payload with the embed and navigation buttons for the current page of a paginator.
+ *
+ * @param {String} id
+ * @param {Paginator} paginator
+ * @returns {{ embeds: Array<Object>, components: Array<Object> }}
+ */
+function render_page(id, { pages, page }) {
+    const button = (action, label, disabled) => ({
+        type: ComponentType.Button,
+        style: ButtonStyle.Secondary,
+        custom_id: `${PAGINATOR_PREFIX}:${id}:${action}`,
+        label,
+        disabled,
+    });
+
+    // Append the page counter to the existing footer of the embed
+    const { footer } = pages[page];
+    const text = [footer?.text, `Page ${page + 1} of ${pages.length}`].filter(Boolean).join(' • ');
+
+    return {
+        embeds: [{ ...pages[page], footer: { ...footer, text } }],
+        components: [
+            {
+                type: ComponentType.ActionRow,
+                components: [
+                    button('prev', 'Previous', page === 0),
+                    button('jump', 'Jump to Page', false),
+                    button('next', 'Next', page === pages.length - 1),
+                ],
+            },
+        ],
+    };
+}
+
+/**
+ * Schedules the expiry of a paginator which removes its buttons from the reply.
+ *
+ * @param {String} id
+ * @param {Paginator} paginator
+ */
+function schedule_expiry(id, paginator) {
+    clearTimeout(paginator.timeout);
+    paginator.timeout = setTimeout(() => {
+        Paginators.delete(id);
+        paginator.interaction.editReply({ components: [] }).catch(() => {});
+    }, PAGINATOR_TIMEOUT);
+}
+
+/**
+ * Replies to an interaction with the fields of an embed spread over pages which can be switched with buttons.
+ * Note! Embeds which fit on a single page are sent as a regular reply without any buttons.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} embed
+ * @returns {Promise<void>}
+ */
+export async function reply_with_pagination(interaction, embed) {
+    // Reply without buttons if all fields fit on a single page
+    const pages = spread_fields_over_embeds(embed, FIELDS_PER_PAGE, MAX_PAGE_LENGTH);
+    if (pages.length === 1) return await interaction.safe_reply({ ephemeral: true, embeds: pages });
+
+    // Store the paginator and reply with the first page
+    const paginator = { pages, page: 0, user: interaction.user.id, interaction };
+    Paginators.set(interaction.id, paginator);
+    schedule_expiry(interaction.id, paginator);
+    await interaction.safe_reply({ ephemeral: true, ...render_page(interaction.id, paginator) });
+}
+
+/**
+ * Returns whether or not the interaction is a button press or modal submission of a paginator.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {Boolean}
+ */
+export function is_paginator_interaction(interaction) {
+    return (
+        (interaction.isButton() || interaction.isModalSubmit()) &&
+        interaction.customId.startsWith(`${PAGINATOR_PREFIX}:`)
+    );
+}
+
+/**
+ * Handles the button presses and jump modal submissions of paginators.
+ *
+ * @param {import('discord.js').ButtonInteraction|import('discord.js').ModalSubmitInteraction} interaction
+ * @returns {Promise<void>}
+ */
+export async function on_paginator_interaction(interaction) {
+    // Retrieve the paginator from the custom ID
+    const [, id, action] = interaction.customId.split(':');
+    const paginator = Paginators.get(id);
+    if (!paginator)
+        return await interaction.reply({
+            ephemeral: true,
+            content: 'These results have expired. Please run the command again to view them.',
+        });
+
+    // Ensure only the user who ran the command may switch pages
+    if (interaction.user.id !== paginator.user)
+        return await interaction.reply({
+            ephemeral: true,
+            content: 'Only the user who ran this command may switch its pages.',
+        });
+
+    // Show a modal to ask for the page number when the jump button is pressed
+    if (interaction.isButton() && action === 'jump')
+        return await interaction.showModal({
+            custom_id: `${PAGINATOR_PREFIX}:${id}:jump`,
+            title: 'Jump to Page',
+            components: [
+                {
+                    type: ComponentType.ActionRow,
+                    components: [
+                        {
+                            type: ComponentType.TextInput,
+                            custom_id: 'page',
+                            label: `Page Number (1 - ${paginator.pages.length})`,
+                            style: TextInputStyle.Short,
+                            required: true,
+                            min_length: 1,
+                            max_length: 4,
+                        },
+                    ],
+                },
+            ],
+        });
+
+    // Determine the new page based on the action
+    let page = paginator.page;
+    switch (action) {
+        case 'prev':
+            page--;
+            break;
+        case 'next':
+            page++;
+            break;
+        case 'jump':
+            page = Number(interaction.fields.getTextInputValue('page')) - 1;
+            break;
+    }
+
+    // Ensure the new page exists
+    if (!Number.isInteger(page) || page < 0 || page >= paginator.pages.length)
+        return await interaction.reply({
+            ephemeral: true,
+            content: `Please provide a page number between **1** and **${paginator.pages.length}**.`,
+        });
+
+    // Update the reply with the new page and extend the expiry
+    paginator.page = page;
+    schedule_expiry(id, paginator);
+    await interaction.update(render_page(id, paginator));
+}
@@ -0,0 +1,363 @@
+import { get_calendar_day, get_time_of_day, get_zoned_timestamp } from './utils.js';
+
+/**
+ * The names of the days of the week where `0` is Sunday like in cron expressions.
+ */
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * The maximum number of times of day a summary alert may be dispatched at.
+ */
+export const MAX_SCHEDULE_TIMES = 5;
+
+/**
+ * The maximum number of times per day a cron expression may dispatch a summary alert at.
+ */
+export const MAX_CRON_RUNS_PER_DAY = 24;
+
+/**
+ * The number of days searched for the next run of a schedule which covers leap days of cron expressions.
+ */
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * The fields of a cron expression in order with their allowed range of values and names.
+ */
+const CRON_FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { min: 0, max: 7, names: WEEKDAY_NAMES.map((name) => name.substring(0, 3).toLowerCase()), offset: 0 },
+];
+
+/**
+ * Parses a comma separated list of times of day in 24 hour format such as "8:30, 17:00".
+ *
+ * @param {String} value
+ * @returns {Array<String>=} The unique times in "HH:MM" format in ascending order or `undefined` if the value is invalid.
+ */
+export function parse_times(value) {
+    const times = [];
+    for (const part of value.split(',')) {
+        // Parse the hour and the optional minutes of each time
+        const match = part.trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+        if (!match) return;
+        const hour = Number(match[1]);
+        const minute = Number(match[2] || 0);
+        if (hour > 23 || minute > 59) return;
+        times.push(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
+    }
+
+    // Return the unique times in ascending order
+    const unique = [...new Set(times)].sort();
+    if (unique.length > MAX_SCHEDULE_TIMES) return;
+    return unique;
+}
+
+/**
+ * Parses a comma separated list of days of the week or ranges such as "Mon, Wed, Fri" or "Mon-Fri".
+ *
+ * @param {String} value
+ * @returns {Array<Number>=} The unique days of the week in ascending order where `0` is Sunday or `undefined` if the value is invalid.
+ */
+export function parse_weekdays(value) {
+    // Resolves a day of the week by at least its first 3 letters
+    const resolve = (name) => {
+        const lower = name.trim().toLowerCase();
+        if (lower.length < 3) return -1;
+        return WEEKDAY_NAMES.findIndex((weekday) => weekday.toLowerCase().startsWith(lower));
+    };
+
+    const weekdays = [];
+    for (const part of value.split(',')) {
+        // Expand ranges such as "Mon-Fri" which may wrap around the end of the week such as "Fri-Mon"
+        const [from, to = from, ...rest] = part.split('-').map(resolve);
+        if (rest.length || from < 0 || to < 0) return;
+        for (let day = from; ; day = (day + 1) % 7) {
+            weekdays.push(day);
+            if (day === to) break;
+        }
+    }
+
+    // Return the unique days of the week in ascending order
+    return [...new Set(weekdays)].sort((a, b) => a - b);
+}
+
+/**
+ * @typedef {Object} CronExpression
+ * @property {Array<Number>} minutes
+ * @property {Array<Number>} hours
+ * @property {Set<Number>} days The days of the month.
+ * @property {Set<Number>} months The months where `1` is January.
+ * @property {Set<Number>} weekdays The days of the week where `0` is Sunday.
+ * @property {Boolean} any_day Whether or not the day of the month is unrestricted.
+ * @property {Boolean} any_weekday Whether or not the day of the week is unrestricted.
+ */
+
+/**
+ * Parses a standard 5 field cron expression such as "0 8 * * 1-5".
+ * Note! Each field supports wildcards, lists, ranges, steps and the names of months and days of the week.
+ *
+ * @param {String} expression
+ * @returns {CronExpression=} The parsed expression or `undefined` if the expression is invalid.
+ */
+export function parse_cron_expression(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) return;
+
+    const fields = [];
+    for (let index = 0; index < CRON_FIELDS.length; index++) {
+        const { min, max, names, offset } = CRON_FIELDS[index];
+
+        // Resolves a value of the field by its number or name
+        const resolve = (value) => {
+            const position = names ? names.indexOf(value.toLowerCase()) : -1;
+            const number = position >= 0 ? position + offset : /^\d+$/.test(value) ? Number(value) : NaN;
+            return number >= min && number <= max ? number : undefined;
+        };
+
+        const values = new Set();
+        for (const item of parts[index].split(',')) {
+            // Parse the range and the optional step of each item
+            const [range, step_value, ...rest] = item.split('/');
+            const step = step_value === undefined ? 1 : Number(step_value);
+            if (rest.length || !Number.isInteger(step) || step < 1) return;
+
+            let from = min;
+            let to = max;
+            if (range !== '*') {
+                const [start, end, ...extra] = range.split('-');
+                from = resolve(start);
+                to = end === undefined ? (step_value === undefined ? from : max) : resolve(end);
+                if (extra.length || from === undefined || to === undefined || from > to) return;
+            }
+            for (let value = from; value <= to; value += step) values.add(value);
+        }
+        fields.push(values);
+    }
+
+    // Sunday may be written as both 0 and 7
+    const [minutes, hours, days, months, weekdays] = fields;
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        any_day: parts[2] === '*',
+        any_weekday: parts[4] === '*',
+    };
+}
+
+/**
+ * Returns the times of day a summary alert is dispatched at.
+ * Note! Alerts created before multiple times were supported only have an hour of the day.
+ *
+ * @param {import('./blackboard/client.js').SummaryAlert} alert
+ * @returns {Array<String>} The times in "HH:MM" format.
+ */
+export function get_alert_times(alert) {
+    return alert.times || [`${String(alert.hour_of_day).padStart(2, '0')}:00`];
+}
+
+/**
+ * Returns the days of the week a summary alert is dispatched on.
+ * Note! Weekly alerts stored before weekdays were supported are given their day of the week when loaded.
+ *
+ * @param {import('./blackboard/client.js').SummaryAlert} alert
+ * @returns {Array<Number>} The days of the week where `0` is Sunday.
+ */
+export function get_alert_weekdays(alert) {
+    if (alert.weekdays) return alert.weekdays;
+    return alert.interval === 'WEEKLY' ? [1] : [0, 1, 2, 3, 4, 5, 6];
+}
+
+/**
+ * Returns the day of the week of a weekly alert which was stored before weekdays were supported.
+ * Such alerts repeated a week after their first run since the bot started, which is the next time their hour of the day comes around.
+ *
+ * @param {import('./blackboard/client.js').SummaryAlert} alert
+ * @param {String} timezone The timezone of the user the alert is scheduled in.
+ * @param {Number=} now
+ * @returns {Array<Number>} The days of the week where `0` is Sunday.
+ */
+export function get_legacy_weekdays(alert, timezone, now = Date.now()) {
+    const first_run = get_next_run({ interval: 'DAILY', hour_of_day: alert.hour_of_day }, timezone, now);
+    return [(get_calendar_day(first_run, timezone).weekday + 1) % 7];
+}
+
+/**
+ * Validates the schedule options of a summary alert and returns the schedule properties of the alert.
+ * Note! Weekly alerts without weekdays are dispatched on the current day of the week in the timezone of the user.
+ *
+ * @param {Object} options
+ * @param {('DAILY'|'WEEKLY')} options.interval
+ * @param {Number} options.hour_of_day
+ * @param {String=} options.times A comma separated list of times of day such as "8:30, 17:00".
+ * @param {String=} options.weekdays A comma separated list of days of the week such as "Mon-Fri".
+ * @param {String=} options.cron A cron expression which takes precedence over all other options.
+ * @param {String} timezone The timezone of the user the alert is scheduled in.
+ * @returns {Partial<import('./blackboard/client.js').SummaryAlert>}
+ */
+export function parse_alert_schedule({ interval, hour_of_day, times, weekdays, cron }, timezone) {
+    const schedule = { interval, hour_of_day };
+
+    // Ensure the cron expression is valid and does not dispatch the alert too often
+    if (cron) {
+        const expression = parse_cron_expression(cron);
+        if (!expression) throw new Error('INVALID_CRON');
+        if (expression.minutes.length * expression.hours.length > MAX_CRON_RUNS_PER_DAY)
+            throw new Error('CRON_TOO_FREQUENT');
+        schedule.cron = cron.trim().split(/\s+/).join(' ');
+        if (get_next_run(schedule, timezone) === null) throw new Error('INVALID_CRON');
+        return schedule;
+    }
+
+    // Parse the times of day which take precedence over the hour of the day
+    if (times) {
+        schedule.times = parse_times(times);
+        if (!schedule.times) throw new Error('INVALID_TIMES');
+        schedule.hour_of_day = Number(schedule.times[0].split(':')[0]);
+    }
+
+    // Parse the days of the week or default weekly alerts to the current day of the week
+    if (weekdays) {
+        schedule.weekdays = parse_weekdays(weekdays);
+        if (!schedule.weekdays) throw new Error('INVALID_WEEKDAYS');
+    } else if (interval === 'WEEKLY') {
+        schedule.weekdays = [(get_calendar_day(Date.now(), timezone).weekday + 1) % 7];
+    }
+    return schedule;
+}
+
+/**
+ * Returns the timestamp of the next time a summary alert is dispatched after the given timestamp.
+ *
+ * @param {import('./blackboard/client.js').SummaryAlert} alert
+ * @param {String} timezone The timezone of the user the alert is scheduled in.
+ * @param {Number=} after
+ * @returns {Number|null} The timestamp of the next run or `null` if the alert never runs.
+ */
+export function get_next_run(alert, timezone, after = Date.now()) {
+    // Determine the times of day and the days the alert runs on
+    let slots;
+    let matches;
+    const cron = alert.cron ? parse_cron_expression(alert.cron) : undefined;
+    if (cron) {
+        slots = cron.hours.flatMap((hour) => cron.minutes.map((minute) => [hour, minute]));
+        matches = (date) => {
+            if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+            const day = cron.days.has(date.getUTCDate());
+            const weekday = cron.weekdays.has(date.getUTCDay());
+
+            // Cron expressions run on either day when both the day of the month and the day of the week are restricted
+            if (cron.any_day) return weekday;
+            if (cron.any_weekday) return day;
+            return day || weekday;
+        };
+    } else {
+        slots = get_alert_times(alert).map((time) => time.split(':').map(Number));
+        const weekdays = get_alert_weekdays(alert);
+        matches = (date) => weekdays.includes(date.getUTCDay());
+    }
+
+    // Search the calendar days in the timezone of the user starting today for the first run after the timestamp
+    const { day: today } = get_calendar_day(after, timezone);
+    for (let day = today; day <= today + MAX_SEARCH_DAYS; day++) {
+        const date = new Date(day * 1000 * 60 * 60 * 24);
+        if (!matches(date)) continue;
+        for (const [hour, minute] of slots) {
+            const timestamp = get_zoned_timestamp(
+                date.getUTCFullYear(),
+                date.getUTCMonth(),
+                date.getUTCDate(),
+                hour,
+                minute,
+                timezone
+            );
+            if (timestamp > after) return timestamp;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes when a summary alert is dispatched in a human readable format such as "Mon, Wed, Fri @ 08:30, 17:00".
+ *
+ * @param {import('./blackboard/client.js').SummaryAlert} alert
+ * @returns {String}
+ */
+export function describe_schedule(alert) {
+    if (alert.cron) return `Cron \`${alert.cron}\``;
+
+    // Describe the days of the week as either every day, a single day or the abbreviated days
+    const weekdays = get_alert_weekdays(alert);
+    let days;
+    if (weekdays.length === 7) days = 'Daily';
+    else if (weekdays.length === 1) days = `${WEEKDAY_NAMES[weekdays[0]]}s`;
+    else days = weekdays.map((day) => WEEKDAY_NAMES[day].substring(0, 3)).join(', ');
+    return `${days} @ ${get_alert_times(alert).join(', ')}`;
+}
+
+/**
+ * @typedef {Object} QuietHours
+ * @property {String} start The time of day in "HH:MM" format at which the quiet hours start.
+ * @property {String} end The time of day in "HH:MM" format at which the quiet hours end which may be on the next day.
+ */
+
+/**
+ * Parses quiet hours in the "HH:MM-HH:MM" format such as "22:00-07:00" which may span midnight.
+ *
+ * @param {String} value
+ * @returns {QuietHours=} The quiet hours or `undefined` if the value is invalid.
+ */
+export function parse_quiet_hours(value) {
+    const [start, end, ...rest] = value.split('-').map((time) => parse_times(time)?.[0]);
+    if (rest.length || !start || !end || start === end) return;
+    return { start, end };
+}
+
+/**
+ * Returns the timestamp at which the quiet hours end if the given timestamp falls within them.
+ *
+ * @param {QuietHours} quiet_hours
+ * @param {String} timezone The timezone of the user the quiet hours apply in.
+ * @param {Number=} timestamp
+ * @returns {Number|null} The end of the quiet hours or `null` if the timestamp does not fall within them.
+ */
+export function get_quiet_hours_end(quiet_hours, timezone, timestamp = Date.now()) {
+    // Determine whether the time of day falls within the quiet hours which may span midnight
+    const [start, end] = [quiet_hours.start, quiet_hours.end].map((time) => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    });
+    const now = get_time_of_day(timestamp, timezone);
+    const overnight = start > end;
+    if (overnight ? now < start && now >= end : now < start || now >= end) return null;
+
+    // Quiet hours spanning midnight which started today end tomorrow
+    const { day } = get_calendar_day(timestamp, timezone);
+    const date = new Date((overnight && now >= start ? day + 1 : day) * 1000 * 60 * 60 * 24);
+    return get_zoned_timestamp(
+        date.getUTCFullYear(),
+        date.getUTCMonth(),
+        date.getUTCDate(),
+        Math.floor(end / 60),
+        end % 60,
+        timezone
+    );
+}
+
+/**
+ * Describes quiet hours in a human readable format such as "22:00-07:00".
+ *
+ * @param {QuietHours} quiet_hours
+ * @returns {String}
+ */
+export function describe_quiet_hours({ start, end }) {
+    return `${start}-${end}`;
+}
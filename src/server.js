@@ -0,0 +1,162 @@
+import { createServer } from 'http';
+import { log } from './utils.js';
+
+/**
+ * @typedef {function(import('http').IncomingMessage, import('http').ServerResponse, Object<string, string>, URL):Promise<void>} RouteHandler
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {String} method The HTTP method of the route.
+ * @property {RegExp} pattern The compiled pattern of the route path.
+ * @property {Array<String>} params The names of the path parameters in order.
+ * @property {RouteHandler} handler The handler of the route.
+ */
+
+/**
+ * The registered routes of the HTTP server.
+ * @type {Array<Route>}
+ */
+const Routes = [];
+
+/**
+ * The running HTTP server if one has been started.
+ * @type {import('http').Server=}
+ */
+let server;
+
+/**
+ * Returns whether or not the HTTP server is enabled with the `HTTP_PORT` environment variable.
+ * @returns {Boolean}
+ */
+export function is_http_server_enabled() {
+    return !!process.env['HTTP_PORT'];
+}
+
+/**
+ * Returns the public URL for the given path on the HTTP server.
+ *
+ * @param {String} path
+ * @returns {String}
+ */
+export function get_public_url(path) {
+    const base = process.env['HTTP_BASE_URL'] || `http://localhost:${process.env['HTTP_PORT']}`;
+    return `${base.replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Registers a route on the HTTP server.
+ * Note! Path parameters are specified with a colon prefix such as `/calendar/:token.ics`.
+ *
+ * @param {String} method
+ * @param {String} path
+ * @param {RouteHandler} handler
+ */
+export function register_route(method, path, handler) {
+    // Compile the path into a pattern with a capture group for each parameter
+    const params = [];
+    const pattern = path
+        .split(/(:[a-z_]+)/i)
+        .map((chunk) => {
+            if (!chunk.startsWith(':')) return chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            params.push(chunk.substring(1));
+            return '([^/]+?)';
+        })
+        .join('');
+
+    Routes.push({ method: method.toUpperCase(), pattern: new RegExp(`^${pattern}$`), params, handler });
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {import('http').ServerResponse} response
+ * @param {Number} status
+ * @param {any} body
+ */
+export function send_json(response, status, body) {
+    response.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses the JSON body of a request.
+ * Note! Bodies larger than 64 KB are rejected with an `INVALID_BODY` error.
+ *
+ * @param {import('http').IncomingMessage} request
+ * @returns {Promise<any>}
+ */
+export async function read_json(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+        if (body.length > 1024 * 64) throw new Error('INVALID_BODY');
+    }
+    try {
+        return body.length ? JSON.parse(body) : {};
+    } catch (error) {
+        throw new Error('INVALID_BODY');
+    }
+}
+
+/**
+ * Handles a single request by dispatching it to the matching route.
+ *
+ * @param {import('http').IncomingMessage} request
+ * @param {import('http').ServerResponse} response
+ * @returns {Promise<void>}
+ */
+async function on_request(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    try {
+        // Find the route which matches the method and path
+        let path_matched = false;
+        for (const { method, pattern, params, handler } of Routes) {
+            const match = url.pathname.match(pattern);
+            if (!match) continue;
+            path_matched = true;
+            if (method !== request.method) continue;
+
+            // Decode the path parameters and handle the request
+            const values = {};
+            params.forEach((name, index) => (values[name] = decodeURIComponent(match[index + 1])));
+            return await handler(request, response, values, url);
+        }
+
+        // Respond with the appropriate error if no route matched
+        if (path_matched) return send_json(response, 405, { error: 'METHOD_NOT_ALLOWED' });
+        return send_json(response, 404, { error: 'NOT_FOUND' });
+    } catch (error) {
+        console.error(error);
+        if (!response.headersSent) send_json(response, 500, { error: 'INTERNAL_ERROR' });
+    }
+}
+
+/**
+ * Starts the HTTP server on the given port.
+ *
+ * @param {Number|String=} port
+ * @returns {Promise<import('http').Server>}
+ */
+export function start_http_server(port = process.env['HTTP_PORT']) {
+    return new Promise((resolve, reject) => {
+        server = createServer(on_request);
+        server.once('error', reject);
+        server.listen(Number(port), () => {
+            log('HTTP', `Listening for requests on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Stops the HTTP server if it is running.
+ * @returns {Promise<void>}
+ */
+export function stop_http_server() {
+    return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server = undefined;
+    });
+}
@@ -8,6 +8,16 @@ export function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Returns the timezone used for log timestamps and for users who have not chosen a timezone.
+ * Note! This is a function so a `TIMEZONE` loaded from the `.env` file after startup imports is respected.
+ *
+ * @returns {String}
+ */
+export function get_default_timezone() {
+    return process.env['TIMEZONE'] || 'America/New_York';
+}
+
 /**
  * Logs specified message to console in an organized log message
  *
@@ -16,7 +26,10 @@ export function sleep(ms) {
  */
 export function log(category = 'SYSTEM', message) {
     let dt = new Date();
-    let timeStamp = dt.toLocaleString([], { hour12: true, timeZone: 'America/New_York' }).replace(', ', ' ').split(' ');
+    let timeStamp = dt
+        .toLocaleString([], { hour12: true, timeZone: get_default_timezone() })
+        .replace(', ', ' ')
+        .split(' ');
     timeStamp[1] += ':' + dt.getMilliseconds().toString().padStart(3, '0') + 'ms';
     timeStamp = timeStamp.join(' ');
     console.log(`[${timeStamp}][${category}] ${message}`);
@@ -53,41 +66,269 @@ export async function with_retries(amount, delay, operation, onError) {
 /**
  * Spreads fields from provided embed JSON over multiple embeds if the numer of fields exceeds the 25 field limit per embed.
  * @param {Object} embed
+ * @param {Number=} max_fields The maximum number of fields per embed.
+ * @param {Number=} max_length The maximum JSON length of each embed.
  * @returns {Object[]}
  */
-export function spread_fields_over_embeds(embed) {
+export function spread_fields_over_embeds(embed, max_fields = 25, max_length = 6000) {
     const results = [];
     if (Array.isArray(embed.fields) && embed.fields.length) {
-        // Define limits for each embed
-        const max_fields = 25;
-        const max_length = 6000;
-
         // Begin splitting the embed's fields into multiple embed containers
         let container = { ...embed };
         container.fields = [];
         let container_fields = 0;
         let container_length = JSON.stringify(container).length;
         for (let i = 0; i < embed.fields.length; i++) {
-            // Add the field to the current container
-            container.fields.push(embed.fields[i]);
-            container_fields++;
-            container_length += JSON.stringify(embed.fields[i]).length;
-
-            // If the container is full, create a new one
-            if (container_fields >= max_fields || container_length >= max_length) {
+            // If the field does not fit into the current container, create a new one
+            const field_length = JSON.stringify(embed.fields[i]).length;
+            if (container_fields >= max_fields || (container_fields && container_length + field_length > max_length)) {
                 results.push(container);
                 container = { ...embed };
                 container.fields = [];
                 container_fields = 0;
                 container_length = JSON.stringify(container).length;
             }
+
+            // Add the field to the current container
+            container.fields.push(embed.fields[i]);
+            container_fields++;
+            container_length += field_length;
         }
 
-        // Push container to results if we have no results aka. no limits were reached
-        if (!results.length) results.push(container);
+        // Push the last container to results
+        results.push(container);
     } else {
         results.push(embed);
     }
 
     return results;
 }
+
+/**
+ * Groups embeds into messages which stay within the Discord limits of 10 embeds and 6000 characters per message.
+ *
+ * @param {Array<Object>} embeds
+ * @returns {Array<Array<Object>>}
+ */
+export function group_embeds_into_messages(embeds = []) {
+    const messages = [];
+    let message = [];
+    let message_length = 0;
+    for (const embed of embeds) {
+        // Start a new message if the embed does not fit into the current message
+        const embed_length = JSON.stringify(embed).length;
+        if (message.length >= 10 || (message.length && message_length + embed_length > 6000)) {
+            messages.push(message);
+            message = [];
+            message_length = 0;
+        }
+
+        // Add the embed to the current message
+        message.push(embed);
+        message_length += embed_length;
+    }
+
+    // Push the last message if it has any embeds
+    if (message.length) messages.push(message);
+    return messages;
+}
+
+/**
+ * Decodes the common named and numeric HTML entities in the provided text.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function decode_html_entities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code =
+                entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : Number(entity.substring(1));
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Converts the HTML content from Blackboard such as assignment descriptions or feedback into Discord markdown.
+ * Note! Unsupported tags are stripped while their text content is kept.
+ *
+ * @param {String} html
+ * @returns {String}
+ */
+export function html_to_markdown(html) {
+    if (!html) return '';
+    return (
+        decode_html_entities(
+            String(html)
+                // Remove content which is never displayed
+                .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+                .replace(/<!--[\s\S]*?-->/g, '')
+                // Collapse the source formatting whitespace as HTML does
+                .replace(/\s+/g, ' ')
+                // Convert the inline formatting tags
+                .replace(/<(b|strong)\b[^>]*>([\s\S]*?)<\/\1>/gi, '**$2**')
+                .replace(/<(i|em)\b[^>]*>([\s\S]*?)<\/\1>/gi, '*$2*')
+                .replace(/<u\b[^>]*>([\s\S]*?)<\/u>/gi, '__$1__')
+                .replace(/<(s|strike|del)\b[^>]*>([\s\S]*?)<\/\1>/gi, '~~$2~~')
+                .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+                .replace(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, text) =>
+                    text.trim() && text.trim() !== href ? `[${text.trim()}](${href})` : href
+                )
+                .replace(/<img\b[^>]*src=["']([^"']+)["'][^>]*>/gi, '[Image]($1)')
+                // Convert the block level tags into line breaks
+                .replace(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi, '\n**$1**\n')
+                .replace(/<li\b[^>]*>/gi, '\n- ')
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<\/?(p|div|ul|ol|table|tr|blockquote|pre|section)\b[^>]*>/gi, '\n')
+                // Strip all remaining tags
+                .replace(/<[^>]+>/g, '')
+        )
+            // Clean up the whitespace around line breaks and limit consecutive empty lines
+            .replace(/[ \t]*\n[ \t]*/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim()
+    );
+}
+
+/**
+ * Truncates text to the provided maximum length with an ellipsis.
+ * Note! Text is preferably cut at a whitespace and unclosed code blocks are closed to keep the markdown intact.
+ *
+ * @param {String} text
+ * @param {Number} length
+ * @returns {String}
+ */
+export function truncate(text, length) {
+    if (!text || text.length <= length) return text || '';
+
+    // Reserve space for the ellipsis and a closing code block
+    const suffix = '…';
+    let result = text.substring(0, length - suffix.length - 4);
+
+    // Avoid splitting a surrogate pair which would produce an invalid character
+    if (/[\ud800-\udbff]$/.test(result)) result = result.slice(0, -1);
+
+    // Prefer cutting at a whitespace if one exists near the end
+    const whitespace = Math.max(result.lastIndexOf(' '), result.lastIndexOf('\n'));
+    if (whitespace > result.length * 0.8) result = result.substring(0, whitespace);
+
+    // Close any unclosed code block
+    result = result.trimEnd() + suffix;
+    if ((result.match(/```/g) || []).length % 2) result += '\n```';
+    return result;
+}
+
+/**
+ * Returns all supported IANA timezones.
+ * @returns {Array<String>}
+ */
+export function list_timezones() {
+    return ['UTC', ...Intl.supportedValuesOf('timeZone')];
+}
+
+/**
+ * Returns the canonical name of a supported IANA timezone regardless of its case or `undefined` if it is not supported.
+ *
+ * @param {String} timezone
+ * @returns {String=}
+ */
+export function resolve_timezone(timezone) {
+    const normalized = timezone.trim().toLowerCase();
+    const known = list_timezones().find((name) => name.toLowerCase() === normalized);
+    if (known) return known;
+
+    // Accept aliases of supported timezones such as "US/Eastern"
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Returns the current UTC offset of a timezone such as `UTC+02:00`.
+ *
+ * @param {String} timezone
+ * @param {Number=} timestamp
+ * @returns {String}
+ */
+export function get_timezone_offset(timezone, timestamp = Date.now()) {
+    const offset = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+        .formatToParts(new Date(timestamp))
+        .find(({ type }) => type === 'timeZoneName').value;
+    return offset === 'GMT' ? 'UTC+00:00' : offset.replace('GMT', 'UTC');
+}
+
+/**
+ * Returns the calendar day of a timestamp within a timezone.
+ *
+ * @param {Number} timestamp
+ * @param {String} timezone
+ * @returns {{ day: Number, weekday: Number }} The number of days since the epoch and the weekday where `0` is Monday.
+ */
+export function get_calendar_day(timestamp, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' })
+        .formatToParts(new Date(timestamp))
+        .forEach(({ type, value }) => (parts[type] = Number(value)));
+    const day = Date.UTC(parts.year, parts.month - 1, parts.day) / (1000 * 60 * 60 * 24);
+    return { day, weekday: (new Date(day * 1000 * 60 * 60 * 24).getUTCDay() + 6) % 7 };
+}
+
+/**
+ * Returns the wall clock time of a timestamp within a timezone in minutes since midnight.
+ *
+ * @param {Number} timestamp
+ * @param {String} timezone
+ * @returns {Number}
+ */
+export function get_time_of_day(timestamp, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, hourCycle: 'h23', hour: 'numeric', minute: 'numeric' })
+        .formatToParts(new Date(timestamp))
+        .forEach(({ type, value }) => (parts[type] = Number(value)));
+    return parts.hour * 60 + parts.minute;
+}
+
+/**
+ * Returns the timestamp of a wall clock time within a timezone.
+ * Note! Wall clock times skipped by a daylight saving change resolve to the time after the change.
+ *
+ * @param {Number} year
+ * @param {Number} month The month where `0` is January.
+ * @param {Number} day
+ * @param {Number} hour
+ * @param {Number} minute
+ * @param {String} timezone
+ * @returns {Number}
+ */
+export function get_zoned_timestamp(year, month, day, hour, minute, timezone) {
+    // Returns the offset in milliseconds of the timezone from UTC at the given timestamp
+    const offset = (timestamp) => {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+        })
+            .formatToParts(new Date(timestamp))
+            .forEach(({ type, value }) => (parts[type] = Number(value)));
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        return local - Math.floor(timestamp / (1000 * 60)) * 1000 * 60;
+    };
+
+    // Correct the guess with the offset at the guessed time in case a daylight saving change lies in between
+    const wall = Date.UTC(year, month, day, hour, minute);
+    const guess = wall - offset(wall);
+    const corrected = wall - offset(guess);
+
+    // Wall clock times skipped by a daylight saving change do not map back to themselves
+    return offset(corrected) === wall - corrected ? corrected : Math.max(guess, corrected);
+}
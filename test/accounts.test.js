@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import {
+    create_autocomplete_interaction,
+    create_interaction,
+    last_response,
+    register_stub_client,
+    reset_clients,
+} from './helpers.js';
+import { create_mock_server } from '../mock/server.js';
+import { generate_fixtures } from '../mock/fixtures.js';
+import { close_database, list_accounts, open_database, save_account } from '../src/database.js';
+import { perform_blackboard_login } from '../src/blackboard/auth.js';
+import { RegisteredClients } from '../src/blackboard/client.js';
+import { get_active_account_label, get_registered_client, recover_clients } from '../src/blackboard/methods.js';
+import { on_accounts_command } from '../src/commands/accounts.js';
+import { on_client_interaction } from '../src/discord.js';
+
+describe('on_accounts_command', () => {
+    before(() => open_database(':memory:'));
+    after(() => close_database());
+    afterEach(() => reset_clients());
+
+    it('lists and switches between the accounts of the caller', async () => {
+        // Register a default and a work account for the caller
+        const interaction = create_interaction('accounts', { action: 'LIST' });
+        await register_stub_client(interaction);
+        const work = await register_stub_client(interaction, generate_fixtures({ seed: 2, courses: 1 }), 'work');
+        for (const [identifier, client] of RegisteredClients) save_account(identifier, await client.export());
+        await on_accounts_command(interaction);
+
+        const [embed] = last_response(interaction).embeds;
+        assert.deepEqual(
+            embed.fields.map(({ name }) => name),
+            ['default **(Active)**', 'work']
+        );
+
+        // Switch to the work account which is then used in every guild
+        const change = create_interaction('accounts', { action: 'SWITCH', account: 'work' });
+        await on_accounts_command(change);
+        assert.match(last_response(change).content, /`work` account will now be used/);
+        assert.equal(get_registered_client(create_interaction('courses', {}, { guild: '999' })), work);
+
+        // Switch back to the default account
+        await on_accounts_command(create_interaction('accounts', { action: 'SWITCH', account: 'default' }));
+        assert.equal(get_active_account_label('200'), 'default');
+    });
+
+    it('suggests the accounts of the caller', async () => {
+        const interaction = create_autocomplete_interaction('accounts', 'account', { account: '' });
+        await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+
+        assert.deepEqual(interaction.calls[0].payload, [{ name: 'default - Test Student', value: 'default' }]);
+    });
+
+    it('rejects accounts which do not exist', async () => {
+        const interaction = create_interaction('accounts', { action: 'SWITCH', account: 'school' });
+        await register_stub_client(interaction);
+        await on_accounts_command(interaction);
+
+        assert.match(last_response(interaction).content, /existing \*\*account\*\* names: `default`/);
+    });
+});
+
+describe('recover_clients', () => {
+    const server = create_mock_server({ seed: 1 });
+
+    before(async () => {
+        open_database(':memory:');
+        process.env['BLACKBOARD_API_BASE'] = `http://localhost:${await server.listen()}`;
+    });
+
+    after(async () => {
+        await server.close();
+        close_database();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('migrates legacy guild accounts to accounts owned by the user', async () => {
+        const token = await perform_blackboard_login('student', 'password');
+        save_account('100:300', { token, settings: { calendar_token: 'first' } });
+        save_account('101:300', { token, settings: { calendar_token: 'second' } });
+        mock.method(console, 'log', () => {});
+
+        await recover_clients({ users: { fetch: async () => ({ send: async () => {} }) } });
+
+        assert.deepEqual(list_accounts().sort(), ['300:default', '300:guild-101']);
+        const client = get_registered_client(create_interaction('courses', {}, { guild: '555', user: '300' }));
+        assert.equal(client.get_setting('calendar_token'), 'first');
+        assert.equal(client.name, 'Test Student');
+    });
+});
@@ -0,0 +1,139 @@
+import assert from 'assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+    create_autocomplete_interaction,
+    create_channel,
+    create_component_interaction,
+    create_interaction,
+    last_response,
+    register_stub_client,
+    reset_clients,
+} from './helpers.js';
+import { close_database, load_guild_settings, open_database } from '../src/database.js';
+import { get_guild_settings, is_alert_channel_allowed, recover_guild_settings } from '../src/guilds.js';
+import { on_client_interaction } from '../src/discord.js';
+
+/**
+ * Runs an admin sub-command through the interaction handler as a server manager of the given guild.
+ *
+ * @param {String} subcommand
+ * @param {Object<string, any>} options
+ * @param {String} guild
+ * @returns {Promise<ReturnType<typeof create_interaction>>}
+ */
+async function run_admin_command(subcommand, options, guild) {
+    const interaction = create_interaction(subcommand, options, { guild, group: 'admin', manager: true });
+    await on_client_interaction(interaction);
+    return interaction;
+}
+
+describe('on_admin_command', () => {
+    before(() => open_database(':memory:'));
+    after(() => close_database());
+    afterEach(() => reset_clients());
+
+    it('requires the Manage Server permission within a server', async () => {
+        const member = create_interaction('toggle', { enabled: false }, { guild: '101', group: 'admin' });
+        await on_client_interaction(member);
+        assert.match(last_response(member).content, /Manage Server/);
+
+        const direct = create_interaction('settings', {}, { guild: null, group: 'admin', manager: true });
+        await on_client_interaction(direct);
+        assert.match(last_response(direct).content, /only be managed within a server/);
+        assert.equal(get_guild_settings('101').enabled, true);
+    });
+
+    it('restricts the bot to the allowed roles except for server managers', async () => {
+        const added = await run_admin_command('roles', { action: 'ADD', role: { id: '500' } }, '102');
+        assert.match(last_response(added).content, /Successfully \*\*added\*\* the <@&500> role/);
+
+        // Members without an allowed role are refused
+        const member = create_interaction('courses', { action: 'LIST' }, { guild: '102' });
+        const client = await register_stub_client(member);
+        await on_client_interaction(member);
+        assert.match(last_response(member).content, /do not have a role which is allowed/);
+
+        // Members with an allowed role, managers and direct messages are not restricted
+        for (const context of [{ guild: '102', roles: ['500'] }, { guild: '102', manager: true }, { guild: null }]) {
+            const interaction = create_interaction('courses', { action: 'LIST' }, context);
+            await on_client_interaction(interaction);
+            assert.equal(last_response(interaction).embeds[0].fields.length, client.fixtures.courses.length);
+        }
+
+        // Clearing the roles allows everyone again
+        await run_admin_command('roles', { action: 'CLEAR' }, '102');
+        const cleared = create_interaction('courses', { action: 'LIST' }, { guild: '102' });
+        await on_client_interaction(cleared);
+        assert.ok(last_response(cleared).embeds);
+    });
+
+    it('disables all commands and alerts with the kill switch', async () => {
+        await run_admin_command('toggle', { enabled: false }, '103');
+
+        const interaction = create_interaction('courses', { action: 'LIST' }, { guild: '103', manager: true });
+        await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+        assert.match(last_response(interaction).content, /has been \*\*disabled\*\* in this server/);
+        assert.equal(is_alert_channel_allowed('103', '300'), false);
+
+        // The settings remain available to server managers
+        const settings = await run_admin_command('settings', {}, '103');
+        assert.match(last_response(settings).embeds[0].description, /\*\*disabled\*\*/);
+
+        await run_admin_command('toggle', { enabled: true }, '103');
+        assert.equal(is_alert_channel_allowed('103', '300'), true);
+    });
+
+    it('applies the kill switch and role restriction to buttons, modals and suggestions', async () => {
+        await run_admin_command('roles', { action: 'ADD', role: { id: '500' } }, '106');
+        await register_stub_client(create_interaction('courses', {}, { guild: '106' }));
+
+        for (const custom_id of ['page:1:next', 'logout:default:confirm']) {
+            const interaction = create_component_interaction(custom_id, { guild: '106' });
+            await on_client_interaction(interaction);
+            assert.match(last_response(interaction).content, /do not have a role which is allowed/);
+            assert.equal(interaction.calls.length, 1);
+        }
+
+        const autocomplete = create_autocomplete_interaction('assignments', 'course', { course: '' }, { guild: '106' });
+        await on_client_interaction(autocomplete);
+        assert.deepEqual(autocomplete.calls, [{ method: 'respond', payload: [] }]);
+
+        // Members with an allowed role still receive suggestions
+        const allowed = create_autocomplete_interaction(
+            'assignments',
+            'course',
+            { course: '' },
+            { guild: '106', roles: ['500'] }
+        );
+        await on_client_interaction(allowed);
+        assert.ok(allowed.calls[0].payload.length > 0);
+    });
+
+    it('only creates alerts in the allowed channels', async () => {
+        await run_admin_command('channels', { action: 'ADD', channel: create_channel('301') }, '104');
+
+        const options = { action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS', channel: create_channel('300') };
+        const refused = create_interaction('alerts', options, { guild: '104' });
+        const client = await register_stub_client(refused);
+        await on_client_interaction(refused);
+        assert.match(last_response(refused).content, /only allow alerts to be posted to <#301>/);
+        assert.equal(Object.keys(client.alerts).length, 0);
+
+        const allowed = create_interaction('alerts', { ...options, channel: create_channel('301') }, { guild: '104' });
+        await on_client_interaction(allowed);
+        assert.match(last_response(allowed).content, /Successfully \*\*created a new\*\* alert/);
+        assert.equal(is_alert_channel_allowed('104', '300'), false);
+        assert.equal(is_alert_channel_allowed(null, null), true);
+    });
+
+    it('persists the settings of each server', async () => {
+        await run_admin_command('channels', { action: 'ADD', channel: create_channel('302') }, '105');
+        const duplicate = await run_admin_command('channels', { action: 'ADD', channel: create_channel('302') }, '105');
+        assert.match(last_response(duplicate).content, /already on the allowed list/);
+
+        assert.deepEqual(load_guild_settings()['105'], { enabled: true, roles: [], channels: ['302'] });
+        assert.ok(recover_guild_settings() >= 1);
+        assert.deepEqual(get_guild_settings('105').channels, ['302']);
+    });
+});
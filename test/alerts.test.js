@@ -0,0 +1,874 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import {
+    StubBlackboardClient,
+    create_channel,
+    create_interaction,
+    last_response,
+    register_stub_client,
+    reset_clients,
+} from './helpers.js';
+import { generate_fixtures } from '../mock/fixtures.js';
+import { get_zoned_timestamp } from '../src/utils.js';
+import { on_alerts_command, parse_reminder_hours } from '../src/commands/alerts.js';
+import { ALERT_DELIVERY_RETRIES, ALERT_RETRY_DELAY, MAX_ALERT_FAILURES } from '../src/blackboard/client.js';
+
+describe('on_alerts_command', () => {
+    afterEach(() => reset_clients());
+
+    it('creates, lists and deletes a summary alert', async () => {
+        const channel = create_channel('300');
+        const create = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel,
+            interval: 'DAILY',
+            hour_of_day: 9,
+        });
+        const client = await register_stub_client(create);
+        await on_alerts_command(create);
+        assert.match(last_response(create).content, /Successfully \*\*created a new\*\* alert/);
+        assert.deepEqual(client.alerts['300:UPCOMING_ASSIGNMENTS'], {
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: '300',
+            guild: '100',
+            interval: 'DAILY',
+            hour_of_day: 9,
+            max_courses_age: 6,
+            id: 1,
+        });
+
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        const [embed] = last_response(list).embeds;
+        assert.equal(embed.description, 'You currently have **1** alert(s).');
+        assert.match(embed.fields[0].value, /Upcoming To-Do Assignments/);
+
+        const remove = create_interaction('alerts', { action: 'DELETE', summary: 'UPCOMING_ASSIGNMENTS', channel });
+        await on_alerts_command(remove);
+        assert.match(last_response(remove).content, /No longer sending/);
+        assert.equal(Object.keys(client.alerts).length, 0);
+    });
+
+    it('sends grade notifications as direct messages without a channel', async () => {
+        const interaction = create_interaction('alerts', { action: 'CREATE', summary: 'GRADE_NOTIFICATIONS' });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+
+        assert.equal(client.alerts['DM:GRADE_NOTIFICATIONS'].channel, null);
+        assert.equal(client.alerts['DM:GRADE_NOTIFICATIONS'].guild, null);
+    });
+
+    it('sends summary alerts managed from direct messages back to the direct messages', async () => {
+        const interaction = create_interaction(
+            'alerts',
+            { action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS', interval: 'DAILY' },
+            { guild: null }
+        );
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+
+        assert.match(last_response(interaction).content, /in your direct messages/);
+        assert.equal(client.alerts['DM:UPCOMING_ASSIGNMENTS'].channel, null);
+        assert.equal(client.alerts['DM:UPCOMING_ASSIGNMENTS'].guild, null);
+    });
+
+    it('rejects summary alerts without a text channel', async () => {
+        const interaction = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: create_channel('300', false),
+        });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+
+        assert.match(last_response(interaction).content, /valid text \*\*channel\*\*/);
+        assert.equal(Object.keys(client.alerts).length, 0);
+    });
+
+    it('rejects channels the bot can not post to', async () => {
+        const channel = { ...create_channel('300'), permissionsFor: () => ({ has: () => false }) };
+        const interaction = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel,
+        });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+
+        assert.match(last_response(interaction).content, /can not post alerts to <#300>/);
+        assert.equal(Object.keys(client.alerts).length, 0);
+    });
+
+    it('schedules summary alerts on weekdays at exact times and lists their next run', async () => {
+        const interaction = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: create_channel('300'),
+            times: '17:00, 8:30',
+            weekdays: 'Mon-Fri',
+        });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+
+        assert.match(last_response(interaction).content, /\*\*Mon, Tue, Wed, Thu, Fri @ 08:30, 17:00\*\*/);
+        const alert = client.alerts['300:UPCOMING_ASSIGNMENTS'];
+        assert.deepEqual(alert.times, ['08:30', '17:00']);
+        assert.deepEqual(alert.weekdays, [1, 2, 3, 4, 5]);
+        assert.equal(alert.hour_of_day, 8);
+
+        const next_run = client.get_next_alert_run('300:UPCOMING_ASSIGNMENTS');
+        assert.ok(next_run > Date.now());
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        assert.match(
+            last_response(list).embeds[0].fields[0].value,
+            new RegExp(`Next Run: <t:${Math.floor(next_run / 1000)}:F>`)
+        );
+    });
+
+    it('rejects invalid schedule options', async () => {
+        const options = { action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS', channel: create_channel('300') };
+        const interaction = create_interaction('alerts', { ...options, cron: '0 8 * *' });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+        assert.match(last_response(interaction).content, /valid \*\*cron\*\* expression/);
+
+        const frequent = create_interaction('alerts', { ...options, cron: '* * * * *' });
+        await on_alerts_command(frequent);
+        assert.match(last_response(frequent).content, /at most 24 times per day/);
+        assert.equal(Object.keys(client.alerts).length, 0);
+    });
+
+    it('rejects invalid reminder hours', async () => {
+        const interaction = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'DEADLINE_REMINDERS',
+            channel: create_channel(),
+            reminder_hours: 'soon',
+        });
+        const client = await register_stub_client(interaction);
+        await on_alerts_command(interaction);
+        assert.match(last_response(interaction).content, /valid \*\*reminder_hours\*\*/);
+
+        // Reminder hours are ignored by every other alert
+        const other = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: create_channel('300'),
+            reminder_hours: 'soon',
+        });
+        await on_alerts_command(other);
+        assert.deepEqual(Object.keys(client.alerts), ['300:UPCOMING_ASSIGNMENTS']);
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].reminder_hours, undefined);
+    });
+});
+
+describe('alert delivery', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    /**
+     * Delivers an alert of the client while advancing the fake timers through every retry.
+     *
+     * @param {import('../src/blackboard/client.js').BlackboardClient} client
+     * @param {String} identifier
+     * @returns {Promise<Boolean>}
+     */
+    async function deliver(client, identifier) {
+        const delivery = client._deliver_alert(identifier, client.alerts[identifier], 'Summary', []);
+        for (let i = 0; i < ALERT_DELIVERY_RETRIES; i++) {
+            await new Promise((resolve) => setImmediate(resolve));
+            mock.timers.tick(ALERT_RETRY_DELAY);
+        }
+        return await delivery;
+    }
+
+    it('retries failed deliveries and pauses the alert after repeated failures', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const interaction = create_interaction('alerts');
+        const client = await register_stub_client(interaction);
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+
+        // Fail every delivery attempt of the alert
+        const dispatch = mock.fn(async () => {
+            throw new Error('Missing Permissions');
+        });
+        const paused = mock.fn();
+        client.on('dispatch', dispatch);
+        client.on('alert_paused', paused);
+
+        for (let i = 1; i < MAX_ALERT_FAILURES; i++) {
+            assert.equal(await deliver(client, '300:UPCOMING_ASSIGNMENTS'), false);
+            assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].failures, i);
+        }
+        assert.equal(dispatch.mock.callCount(), (MAX_ALERT_FAILURES - 1) * (ALERT_DELIVERY_RETRIES + 1));
+        assert.equal(paused.mock.callCount(), 0);
+
+        // Pause the alert once the maximum number of consecutive failures is reached
+        await deliver(client, '300:UPCOMING_ASSIGNMENTS');
+        const alert = client.alerts['300:UPCOMING_ASSIGNMENTS'];
+        assert.equal(alert.paused, true);
+        assert.equal(alert.pause_reason, 'Missing Permissions');
+        assert.deepEqual(paused.mock.calls[0].arguments, ['300:UPCOMING_ASSIGNMENTS', alert]);
+
+        // Re-creating the alert resumes it
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].paused, undefined);
+    });
+
+    it('resets the failures after a successful delivery', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const interaction = create_interaction('alerts');
+        const client = await register_stub_client(interaction);
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+
+        // Fail the first attempt only which is then retried successfully
+        let attempts = 0;
+        client.on('dispatch', async () => {
+            if (attempts++ === 0) throw new Error('Unknown Channel');
+        });
+        client.alerts['300:UPCOMING_ASSIGNMENTS'].failures = 2;
+
+        assert.equal(await deliver(client, '300:UPCOMING_ASSIGNMENTS'), true);
+        assert.equal(attempts, 2);
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].failures, undefined);
+    });
+
+    it('counts deliveries without a dispatch handler as failed', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const client = await register_stub_client(create_interaction('alerts'));
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+        client.alerts['300:UPCOMING_ASSIGNMENTS'].failures = MAX_ALERT_FAILURES - 1;
+
+        assert.equal(await deliver(client, '300:UPCOMING_ASSIGNMENTS'), false);
+        const alert = client.alerts['300:UPCOMING_ASSIGNMENTS'];
+        assert.equal(alert.failures, MAX_ALERT_FAILURES);
+        assert.equal(alert.paused, true);
+        assert.equal(alert.pause_reason, 'NO_DISPATCH_HANDLER');
+    });
+
+    it('only retries the messages of a long alert which were not delivered', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const client = await register_stub_client(create_interaction('alerts'));
+        client.deploy_alert({ summary: 'GRADE_NOTIFICATIONS', guild: '100', channel: '300', max_courses_age: 6 });
+
+        // Fail the second message once after the first message was delivered
+        const messages = [];
+        client.on('dispatch', async (guild, channel, content, embeds) => {
+            if (messages.push({ content, embeds }) === 2) throw new Error('Service Unavailable');
+        });
+        const embeds = Array.from({ length: 12 }, (_, index) => ({ title: `Embed ${index + 1}` }));
+        const delivery = client._deliver_alert(
+            '300:GRADE_NOTIFICATIONS',
+            client.alerts['300:GRADE_NOTIFICATIONS'],
+            'Grades',
+            embeds
+        );
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(ALERT_RETRY_DELAY);
+        assert.equal(await delivery, true);
+
+        assert.deepEqual(
+            messages.map(({ content, embeds }) => [content, embeds.length]),
+            [
+                ['Grades', 10],
+                [undefined, 2],
+                [undefined, 2],
+            ]
+        );
+    });
+});
+
+describe('managing alerts by ID', () => {
+    afterEach(() => reset_clients());
+
+    /**
+     * Runs the alerts command with the given options and returns the content of its reply.
+     *
+     * @param {Object<string, any>} options
+     * @returns {Promise<String>}
+     */
+    async function run(options) {
+        const interaction = create_interaction('alerts', options);
+        await on_alerts_command(interaction);
+        return last_response(interaction).content;
+    }
+
+    it('numbers alerts with stable IDs which are never re-used', async () => {
+        const client = await register_stub_client(create_interaction('alerts'), undefined, 'default');
+        const create = { action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS' };
+        await run({ ...create, channel: create_channel('300') });
+        await run({ ...create, channel: create_channel('301') });
+        assert.match(await run({ action: 'DELETE', id: 1 }), /Successfully \*\*deleted\*\* alert \*\*#1\*\*/);
+        await run({ ...create, channel: create_channel('302') });
+
+        // Updating an alert by its channel and summary keeps its ID
+        await run({ ...create, channel: create_channel('301'), hour_of_day: 10 });
+        assert.deepEqual(
+            Object.values(client.alerts).map(({ id }) => id),
+            [2, 3]
+        );
+
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        assert.deepEqual(
+            last_response(list).embeds[0].fields.map(({ name }) => name),
+            ['Alert #2', 'Alert #3']
+        );
+        assert.match(await run({ action: 'PAUSE', id: 1 }), /No alert exists with the ID \*\*#1\*\*/);
+        assert.match(await run({ action: 'PAUSE' }), /Please provide the \*\*id\*\* of an alert/);
+    });
+
+    it('numbers alerts which were stored without an ID', async () => {
+        const client = new StubBlackboardClient(generate_fixtures({ courses: 1, assignments: 1 }));
+        await client.import(
+            {
+                token: 'stub-token',
+                alerts: {
+                    'DM:UPCOMING_ASSIGNMENTS': { summary: 'UPCOMING_ASSIGNMENTS', channel: null, hour_of_day: 8 },
+                    'DM:GRADE_NOTIFICATIONS': { summary: 'GRADE_NOTIFICATIONS', channel: null },
+                },
+            },
+            0,
+            0
+        );
+        assert.deepEqual(
+            Object.values(client.alerts).map(({ id }) => id),
+            [1, 2]
+        );
+        assert.equal(client.get_setting('last_alert_id'), 2);
+        client.destroy();
+    });
+
+    it('pauses, resumes and snoozes an alert', async () => {
+        const client = await register_stub_client(create_interaction('alerts'), undefined, 'default');
+        await run({ action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS', channel: create_channel('300') });
+        const identifier = '300:UPCOMING_ASSIGNMENTS';
+
+        // Paused alerts keep their settings but are no longer scheduled
+        assert.match(await run({ action: 'PAUSE', id: 1 }), /Successfully \*\*paused\*\* alert \*\*#1\*\*/);
+        assert.equal(client.alerts[identifier].paused, true);
+        assert.equal(client.get_next_alert_run(identifier), undefined);
+        assert.match(await run({ action: 'PAUSE', id: 1 }), /already paused/);
+
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        assert.match(last_response(list).embeds[0].fields[0].value, /\*\*Paused\*\* until you resume it/);
+
+        assert.match(await run({ action: 'RESUME', id: 1 }), /Successfully \*\*resumed\*\*/);
+        assert.equal(client.alerts[identifier].paused, undefined);
+        assert.ok(client.get_next_alert_run(identifier) > Date.now());
+
+        // Snoozed alerts are next scheduled after the snooze date in the timezone of the user
+        const year = new Date().getUTCFullYear() + 1;
+        assert.match(await run({ action: 'SNOOZE', id: 1, until: 'soon' }), /future date/);
+        assert.match(await run({ action: 'SNOOZE', id: 1, until: `${year}-02-30` }), /future date/);
+        assert.match(await run({ action: 'SNOOZE', id: 1, until: `${year}-03-16` }), /Successfully \*\*snoozed\*\*/);
+        const snoozed_until = client.alerts[identifier].snoozed_until;
+        assert.equal(snoozed_until, get_zoned_timestamp(year, 2, 16, 0, 0, client.timezone));
+        assert.equal(client.get_next_alert_run(identifier), snoozed_until + 1000 * 60 * 60 * 8);
+
+        assert.match(await run({ action: 'RESUME', id: 1 }), /Successfully \*\*resumed\*\*/);
+        assert.ok(client.get_next_alert_run(identifier) < snoozed_until);
+        assert.match(await run({ action: 'RESUME', id: 1 }), /not paused or snoozed/);
+    });
+
+    it('edits individual fields of an alert', async () => {
+        const client = await register_stub_client(create_interaction('alerts'), undefined, 'default');
+        const create = { action: 'CREATE', summary: 'UPCOMING_ASSIGNMENTS', weekdays: 'Mon-Fri' };
+        await run({ ...create, channel: create_channel('300') });
+        await run({ ...create, channel: create_channel('301') });
+
+        // Unchanged options keep their values
+        assert.match(
+            await run({ action: 'EDIT', id: 1, times: '7:15, 19:00' }),
+            /Mon, Tue, Wed, Thu, Fri @ 07:15, 19:00/
+        );
+        assert.match(await run({ action: 'EDIT', id: 1, max_courses_age: 12 }), /Successfully \*\*edited\*\*/);
+        assert.deepEqual(client.alerts['300:UPCOMING_ASSIGNMENTS'], {
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: '300',
+            guild: '100',
+            interval: 'DAILY',
+            hour_of_day: 7,
+            times: ['07:15', '19:00'],
+            weekdays: [1, 2, 3, 4, 5],
+            max_courses_age: 12,
+            id: 1,
+        });
+
+        // A new interval resets the weekdays and a cron expression replaces the schedule
+        await run({ action: 'EDIT', id: 1, interval: 'DAILY' });
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].weekdays, undefined);
+        assert.match(await run({ action: 'EDIT', id: 1, cron: '0 9 * * 6' }), /Cron `0 9 \* \* 6`/);
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].times, undefined);
+
+        // Moving an alert keeps its ID unless another alert of the same type exists in the channel
+        assert.match(await run({ action: 'EDIT', id: 1, channel: create_channel('301') }), /already exists in <#301>/);
+        assert.match(await run({ action: 'EDIT', id: 1, channel: create_channel('302') }), /in the <#302> channel/);
+        assert.equal(client.alerts['302:UPCOMING_ASSIGNMENTS'].id, 1);
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'], undefined);
+
+        assert.match(await run({ action: 'EDIT', id: 1 }), /at least one option to change/);
+        assert.match(await run({ action: 'EDIT', id: 1, weekdays: 'Someday' }), /valid \*\*weekdays\*\*/);
+    });
+});
+
+describe('alert schedules', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    it('dispatches summary alerts at each scheduled run', async () => {
+        // Monday, October 19th 2026 at 12:00 UTC
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const client = await register_stub_client(create_interaction('alerts'));
+        client.set_timezone('UTC');
+        const dispatch = mock.method(client, '_dispatch_summary', async () => {});
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+            cron: '0 8 * * 1-5',
+        });
+        assert.equal(client.get_next_alert_run('300:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 20, 8));
+
+        // The alert runs on Tuesday morning and is scheduled for the following weekday
+        mock.timers.tick(1000 * 60 * 60 * 20);
+        assert.equal(dispatch.mock.callCount(), 1);
+        assert.equal(client.get_next_alert_run('300:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 21, 8));
+
+        // The weekend is skipped
+        mock.timers.tick(1000 * 60 * 60 * 24 * 4);
+        assert.equal(dispatch.mock.callCount(), 4);
+        assert.equal(client.get_next_alert_run('300:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 26, 8));
+    });
+
+    it('keeps weekly alerts stored without weekdays on their previous day of the week', async () => {
+        // Monday, October 19th 2026 at 12:00 UTC
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const client = new StubBlackboardClient(generate_fixtures({ courses: 1, assignments: 1 }));
+        const persist = mock.fn();
+        client.on('persist', persist);
+        await client.import(
+            {
+                token: 'stub-token',
+                settings: { timezone: 'UTC' },
+                alerts: {
+                    'DM:UPCOMING_ASSIGNMENTS': {
+                        summary: 'UPCOMING_ASSIGNMENTS',
+                        channel: null,
+                        interval: 'WEEKLY',
+                        hour_of_day: 8,
+                        max_courses_age: 6,
+                    },
+                },
+            },
+            0,
+            0
+        );
+
+        // The alert repeated weekly from its first run after startup which is Tuesday morning
+        assert.deepEqual(client.alerts['DM:UPCOMING_ASSIGNMENTS'].weekdays, [2]);
+        assert.equal(client.get_next_alert_run('DM:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 20, 8));
+        assert.ok(persist.mock.callCount() > 0);
+        client.destroy();
+    });
+});
+
+describe('quiet hours and all clear messages', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    it('defers summaries and notifications within the quiet hours until they end', async () => {
+        // Monday, October 19th 2026 at 12:00 UTC
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const client = await register_stub_client(create_interaction('alerts'));
+        client.set_timezone('UTC');
+        client.set_quiet_hours({ start: '07:00', end: '09:00' });
+
+        // Summaries follow the quiet hours of the user unless they ignore them
+        const alert = { summary: 'UPCOMING_ASSIGNMENTS', guild: '100', interval: 'DAILY', hour_of_day: 8 };
+        client.deploy_alert({ ...alert, channel: '300' });
+        client.deploy_alert({ ...alert, channel: '301', quiet_hours: false });
+        assert.equal(client.get_next_alert_run('300:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 20, 9));
+        assert.equal(client.get_next_alert_run('301:UPCOMING_ASSIGNMENTS'), Date.UTC(2026, 9, 20, 8));
+
+        // Notifications within the quiet hours of an alert are delivered once they end
+        client.deploy_alert({ summary: 'GRADE_NOTIFICATIONS', guild: null, channel: null, max_courses_age: 6 });
+        client.update_alert(3, { quiet_hours: { start: '11:00', end: '13:00' } });
+        const deliver = mock.method(client, '_deliver_alert', async () => true);
+        client._deliver_alert_after_quiet_hours(
+            'DM:GRADE_NOTIFICATIONS',
+            client.alerts['DM:GRADE_NOTIFICATIONS'],
+            'Graded',
+            []
+        );
+        assert.equal(deliver.mock.callCount(), 0);
+        mock.timers.tick(1000 * 60 * 60);
+        assert.equal(deliver.mock.callCount(), 1);
+        assert.equal(deliver.mock.calls[0].arguments[2], 'Graded');
+    });
+
+    it('posts an all clear message for empty summaries when preferred', async () => {
+        const fixtures = generate_fixtures({ courses: 1, assignments: 0 });
+        const client = await register_stub_client(create_interaction('alerts'), fixtures);
+        const messages = [];
+        client.on('dispatch', async (guild, channel, content) => messages.push(content));
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+            max_courses_age: 6,
+        });
+        const identifier = '300:UPCOMING_ASSIGNMENTS';
+
+        await client._dispatch_summary(identifier, client.alerts[identifier]);
+        assert.equal(messages.length, 0);
+
+        client.set_all_clear(true);
+        await client._dispatch_summary(identifier, client.alerts[identifier]);
+        assert.match(
+            messages[0],
+            /\*\*All clear!\*\* There is nothing to report for your \*\*Upcoming To-Do Assignments\*\*/
+        );
+
+        // Alerts may override the preference of the user
+        client.update_alert(1, { all_clear: false });
+        await client._dispatch_summary(identifier, client.alerts[identifier]);
+        assert.equal(messages.length, 1);
+    });
+
+    it('sets the quiet hours and all clear preference of an alert', async () => {
+        const interaction = create_interaction('alerts', {
+            action: 'CREATE',
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: create_channel('300'),
+            quiet_hours: '22:00-6:30',
+            all_clear: true,
+        });
+        const client = await register_stub_client(interaction, undefined, 'default');
+        await on_alerts_command(interaction);
+        assert.deepEqual(client.alerts['300:UPCOMING_ASSIGNMENTS'].quiet_hours, { start: '22:00', end: '06:30' });
+        assert.equal(client.alerts['300:UPCOMING_ASSIGNMENTS'].all_clear, true);
+
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        assert.match(
+            last_response(list).embeds[0].fields[0].value,
+            /Quiet Hours: \*\*22:00-06:30\*\*\nPosts an \*\*all clear\*\*/
+        );
+
+        // The quiet hours of the user apply again after resetting them to the default
+        const edit = create_interaction('alerts', { action: 'EDIT', id: 1, quiet_hours: 'default' });
+        await on_alerts_command(edit);
+        assert.equal('quiet_hours' in client.alerts['300:UPCOMING_ASSIGNMENTS'], false);
+
+        const invalid = create_interaction('alerts', { action: 'EDIT', id: 1, quiet_hours: 'always' });
+        await on_alerts_command(invalid);
+        assert.match(last_response(invalid).content, /valid \*\*quiet_hours\*\*/);
+    });
+});
+
+describe('deadline reminders', () => {
+    const hour = 1000 * 60 * 60;
+
+    afterEach(() => {
+        mock.restoreAll();
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    /**
+     * Waits for all pending API requests and deliveries of the stub client to settle.
+     * @returns {Promise<void>}
+     */
+    async function settle() {
+        for (let i = 0; i < 10; i++) await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    /**
+     * Registers a client with a single assignment due in the given number of hours and a deadline reminder alert.
+     *
+     * @param {Number} hours
+     * @param {Array<Number>=} reminder_hours
+     */
+    async function setup(hours, reminder_hours = [2]) {
+        const fixtures = generate_fixtures({ courses: 1, assignments: 1 });
+        const assignment = fixtures.courses[0].assignments[0];
+        Object.assign(assignment, { deadline_at: Date.now() + hours * hour, attempts: [] });
+
+        const client = await register_stub_client(create_interaction('alerts'), fixtures, 'default');
+        client.set_timezone('UTC');
+        const deliver = mock.method(client, '_deliver_alert', async () => true);
+        client.deploy_alert({
+            summary: 'DEADLINE_REMINDERS',
+            guild: null,
+            channel: null,
+            reminder_hours,
+            max_courses_age: 6,
+        });
+        await client._queue_reminder_sync();
+        return { client, assignment, deliver };
+    }
+
+    it('keeps scheduled reminders and syncs one at a time when alerts change', async () => {
+        // Monday, October 19th 2026 at 12:00 UTC
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const { client, deliver } = await setup(3);
+        const requests = client.requests.length;
+
+        // Changes to other alerts neither re-sync the deadlines nor cancel the reminder
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+        await settle();
+        assert.equal(client.requests.length, requests);
+
+        // Overlapping syncs wait for the sync in progress and the reminder is only sent once
+        const sync = client._queue_reminder_sync();
+        assert.equal(client._queue_reminder_sync(), sync);
+        await sync;
+        mock.timers.tick(3 * hour);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 1);
+        assert.match(deliver.mock.calls[0].arguments[2], /due/i);
+    });
+
+    it('keeps reminders deferred by the quiet hours until the quiet hours end', async () => {
+        // Monday, October 19th 2026 at 12:00 UTC with a reminder at 23:00 for a deadline on Tuesday at 23:00
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const { client, deliver } = await setup(35, [24]);
+        client.set_quiet_hours({ start: '22:00', end: '07:00' });
+        await client._queue_reminder_sync();
+
+        // The hourly syncs after the reminder time keep the deferred reminder
+        for (let i = 0; i < 18; i++) {
+            mock.timers.tick(hour);
+            await settle();
+        }
+        assert.equal(deliver.mock.callCount(), 0);
+        mock.timers.tick(hour);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 1);
+        assert.equal(Date.now(), Date.UTC(2026, 9, 20, 7));
+    });
+
+    it('re-schedules reminders for moved deadlines', async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const { client, assignment, deliver } = await setup(3);
+
+        // Deadlines moved before the next sync are re-scheduled by the sync
+        assignment.deadline_at += hour;
+        await client._queue_reminder_sync();
+        mock.timers.tick(hour);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 0);
+
+        // Deadlines moved after the last sync are re-synced once the reminder is due
+        assignment.deadline_at += hour / 2;
+        mock.timers.tick(hour);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 0);
+        mock.timers.tick(hour / 2);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 1);
+        assert.equal(Date.now(), Date.UTC(2026, 9, 19, 14, 30));
+    });
+
+    it('cancels reminders once the assignment is submitted or graded', async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const { client, assignment, deliver } = await setup(3);
+        const dispatch = mock.method(client, '_dispatch_reminder');
+
+        // Submissions after the last sync are detected once the reminder is due
+        mock.timers.tick(hour / 2);
+        assignment.attempts.push({
+            id: '_9000_1',
+            created_at: Date.now(),
+            submission: { id: '_7000_1', body: '<p>My submission.</p>', size: 1024 },
+            grade: { score: null, feedback: null },
+        });
+        mock.timers.tick(hour / 2);
+        await settle();
+        assert.equal(dispatch.mock.callCount(), 1);
+        assert.equal(deliver.mock.callCount(), 0);
+
+        // Graded assignments are no longer scheduled by the sync
+        const graded = await setup(3);
+        const graded_dispatch = mock.method(graded.client, '_dispatch_reminder');
+        graded.assignment.attempts.push({
+            id: '_9001_1',
+            created_at: Date.now(),
+            submission: { id: '_7001_1', body: '<p>My submission.</p>', size: 1024 },
+            grade: { score: 10, feedback: null },
+        });
+        await graded.client._queue_reminder_sync();
+        mock.timers.tick(3 * hour);
+        await settle();
+        assert.equal(graded_dispatch.mock.callCount(), 0);
+        assert.equal(graded.deliver.mock.callCount(), 0);
+    });
+
+    it('only schedules reminders which fall within the next two sync windows', async () => {
+        // Leave the hourly syncs to the test by only faking the timeouts
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19, 12) });
+        const late = await setup(1);
+        const unsynced = await setup(5);
+        const { client, deliver } = await setup(5);
+
+        // Reminders in three hours are scheduled by the next sync while reminders in the past are never sent
+        mock.timers.tick(hour);
+        await client._queue_reminder_sync();
+        mock.timers.tick(2 * hour);
+        await settle();
+        assert.equal(deliver.mock.callCount(), 1);
+        assert.equal(unsynced.deliver.mock.callCount(), 0);
+        assert.equal(late.deliver.mock.callCount(), 0);
+        [late, unsynced].forEach(({ client }) => client.destroy());
+    });
+});
+
+describe('grade notifications', () => {
+    const minute = 1000 * 60;
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('polls grades at a steady interval while grade notifications are active', async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        mock.method(Math, 'random', () => 0.5);
+        const client = await register_stub_client(create_interaction('alerts'), undefined, 'default');
+        const poll = mock.method(client, '_poll_grades', async () => {});
+        client.deploy_alert({ summary: 'GRADE_NOTIFICATIONS', guild: null, channel: null, max_courses_age: 6 });
+
+        // Changes to other alerts do not postpone the next poll
+        mock.timers.tick(9 * minute);
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+        mock.timers.tick(minute);
+        assert.equal(poll.mock.callCount(), 1);
+
+        // The following poll is scheduled once the poll is done
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(10 * minute);
+        assert.equal(poll.mock.callCount(), 2);
+
+        // Polling stops once the grade notifications are paused
+        client.update_alert(1, { paused: true });
+        mock.timers.tick(30 * minute);
+        assert.equal(poll.mock.callCount(), 2);
+    });
+
+    it('notifies about new and changed grades since the last poll', async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const fixtures = generate_fixtures({ courses: 1, assignments: 2 });
+        const [course] = fixtures.courses;
+        const [first, second] = course.assignments;
+        course.assignments.forEach((assignment) => (assignment.attempts = []));
+        const client = await register_stub_client(create_interaction('alerts'), fixtures, 'default');
+        const deliver = mock.method(client, '_deliver_alert', async () => true);
+        client.deploy_alert({ summary: 'GRADE_NOTIFICATIONS', guild: null, channel: null, max_courses_age: 6 });
+
+        /**
+         * Grades the only attempt of an assignment with the given score.
+         *
+         * @param {import('../mock/fixtures.js').MockAssignment} assignment
+         * @param {Number} score
+         */
+        const grade = (assignment, score) =>
+            (assignment.attempts = [
+                {
+                    id: `${assignment.id}_attempt`,
+                    created_at: Date.now(),
+                    submission: { id: `${assignment.id}_submission`, body: '<p>My submission.</p>', size: 1024 },
+                    grade: { score, feedback: null },
+                },
+            ]);
+
+        // The first poll only records the existing grades
+        grade(first, 5);
+        await client._poll_grades();
+        assert.equal(deliver.mock.callCount(), 0);
+
+        // New and changed grades are notified once while unchanged grades are not
+        grade(second, 7);
+        await client._poll_grades();
+        await client._poll_grades();
+        grade(first, 6);
+        await client._poll_grades();
+        assert.equal(deliver.mock.callCount(), 2);
+        assert.deepEqual(
+            deliver.mock.calls.map(({ arguments: [, , content] }) => content),
+            [`**${second.name}** has been graded.`, `**${first.name}** has been re-graded.`]
+        );
+
+        // Ignored assignments and paused alerts are not notified
+        client.ignore('assignments', `${course.id}:${second.id}`);
+        grade(second, 8);
+        await client._poll_grades();
+        client.update_alert(1, { paused: true });
+        grade(first, 9);
+        await client._poll_grades();
+        assert.equal(deliver.mock.callCount(), 2);
+    });
+});
+
+describe('parse_reminder_hours', () => {
+    it('parses, deduplicates and sorts reminder hours', () => {
+        assert.deepEqual(parse_reminder_hours(null), [24, 2]);
+        assert.deepEqual(parse_reminder_hours('2, 48, 2, 0.5'), [48, 2, 0.5]);
+    });
+
+    it('rejects values outside of two weeks or more than five values', () => {
+        assert.equal(parse_reminder_hours('0'), undefined);
+        assert.equal(parse_reminder_hours('337'), undefined);
+        assert.equal(parse_reminder_hours('1,2,3,4,5,6'), undefined);
+    });
+});
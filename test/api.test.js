@@ -0,0 +1,166 @@
+import assert from 'assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import { create_channel, create_interaction, register_stub_client, reset_clients } from './helpers.js';
+import { issue_api_key, register_api_routes } from '../src/api.js';
+import { RegisteredClients } from '../src/blackboard/client.js';
+import { close_database, open_database, save_account } from '../src/database.js';
+import { update_guild_settings } from '../src/guilds.js';
+import { start_http_server, stop_http_server } from '../src/server.js';
+
+/**
+ * Creates a fake Discord bot which only knows the guild `100` with the member `200` and the text channel `300`.
+ * @returns {import('discord.js').Client}
+ */
+function create_bot() {
+    const guild = {
+        id: '100',
+        members: {
+            me: { id: '900' },
+            fetch: async (user) => {
+                if (user !== '200') throw new Error('Unknown Member');
+                return { id: user, roles: { cache: new Map([['500', {}]]) }, permissions: { has: () => false } };
+            },
+        },
+        channels: {
+            fetch: async (channel) => {
+                if (channel !== '300') throw new Error('Unknown Channel');
+                return create_channel(channel);
+            },
+        },
+    };
+    return {
+        guilds: {
+            fetch: async (id) => {
+                if (id !== guild.id) throw new Error('Unknown Guild');
+                return guild;
+            },
+        },
+    };
+}
+
+describe('REST API', () => {
+    let base_url;
+    let key;
+
+    before(async () => {
+        open_database(':memory:');
+        mock.method(console, 'log', () => {});
+        register_api_routes(create_bot());
+        base_url = `http://localhost:${(await start_http_server(0)).address().port}`;
+
+        // Register an account with an API key for the Discord user `200`
+        const client = await register_stub_client(create_interaction('apikey'), undefined, 'default');
+        save_account('200:default', await client.export());
+        key = issue_api_key('200:default');
+    });
+
+    after(async () => {
+        await stop_http_server();
+        reset_clients();
+        close_database();
+        mock.restoreAll();
+    });
+
+    /**
+     * Sends an authenticated request to the API and returns the status and JSON body of the response.
+     *
+     * @param {String} method
+     * @param {String} path
+     * @param {any=} body
+     * @returns {Promise<[Number, any]>}
+     */
+    async function request(method, path, body) {
+        const response = await fetch(`${base_url}${path}`, {
+            method,
+            headers: { authorization: `Bearer ${key}` },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        return [response.status, await response.json()];
+    }
+
+    it('requires a valid API key', async () => {
+        const response = await fetch(`${base_url}/api/me`, { headers: { authorization: 'Bearer bbk_invalid' } });
+        assert.equal(response.status, 401);
+        assert.deepEqual(await response.json(), { error: 'INVALID_API_KEY' });
+    });
+
+    it('returns the courses and assignments of the account', async () => {
+        const client = RegisteredClients.get('200:default');
+        const [status, courses] = await request('GET', '/api/courses');
+        assert.equal(status, 200);
+        assert.equal(courses.length, client.fixtures.courses.length);
+        assert.equal(courses[0].number, 1);
+
+        const [course] = client.fixtures.courses;
+        const [assignments_status, assignments] = await request('GET', `/api/courses/1/assignments`);
+        assert.equal(assignments_status, 200);
+        assert.equal(assignments.length, course.assignments.length);
+        assert.deepEqual(await request('GET', '/api/courses/99/assignments'), [404, { error: 'NO_COURSE' }]);
+        assert.deepEqual(await request('GET', '/api/courses/1/assignments/_0_0'), [404, { error: 'NO_ASSIGNMENT' }]);
+    });
+
+    it('creates alerts in channels of servers the caller is a member of', async () => {
+        const [status, alert] = await request('POST', '/api/alerts', {
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: '100',
+            channel: '300',
+        });
+        assert.equal(status, 201);
+        assert.equal(alert.channel, '300');
+
+        // Alerts without a channel are sent as direct messages
+        const [dm_status, dm] = await request('POST', '/api/alerts', { summary: 'GRADE_NOTIFICATIONS' });
+        assert.equal(dm_status, 201);
+        assert.deepEqual([dm.guild, dm.channel], [null, null]);
+    });
+
+    it('rejects alerts in servers and channels the caller may not post to', async () => {
+        const alert = { summary: 'UPCOMING_ASSIGNMENTS', guild: '100', channel: '300' };
+        assert.deepEqual(await request('POST', '/api/alerts', { ...alert, guild: '101' }), [
+            403,
+            { error: 'GUILD_NOT_ALLOWED' },
+        ]);
+        assert.deepEqual(await request('POST', '/api/alerts', { ...alert, channel: '301' }), [
+            403,
+            { error: 'CHANNEL_NOT_ALLOWED' },
+        ]);
+        assert.deepEqual(await request('POST', '/api/alerts', { summary: 'GRADE_NOTIFICATIONS', channel: '300' }), [
+            400,
+            { error: 'INVALID_ALERT' },
+        ]);
+
+        // Members without an allowed role and channels outside of the allowed channels are rejected
+        update_guild_settings('100', { roles: ['501'] });
+        assert.deepEqual(await request('POST', '/api/alerts', alert), [403, { error: 'GUILD_NOT_ALLOWED' }]);
+        update_guild_settings('100', { roles: ['500'], channels: ['302'] });
+        assert.deepEqual(await request('POST', '/api/alerts', alert), [403, { error: 'CHANNEL_NOT_ALLOWED' }]);
+        update_guild_settings('100', { roles: [], channels: [] });
+    });
+
+    it('rejects request bodies which are not JSON objects', async () => {
+        for (const body of [null, [], 'alert', 5])
+            assert.deepEqual(await request('POST', '/api/alerts', body), [400, { error: 'INVALID_BODY' }], body);
+
+        const response = await fetch(`${base_url}/api/alerts`, {
+            method: 'POST',
+            headers: { authorization: `Bearer ${key}` },
+            body: '{',
+        });
+        assert.equal(response.status, 400);
+    });
+
+    it('ignores and un-ignores courses, assignments and categories only', async () => {
+        assert.deepEqual(await request('PUT', '/api/ignores/courses/_1_1'), [200, { changed: true }]);
+        assert.deepEqual(await request('PUT', '/api/ignores/courses/_1_1'), [200, { changed: false }]);
+        assert.deepEqual(await request('PUT', '/api/ignores/categories/*:Quiz'), [200, { changed: true }]);
+        assert.deepEqual(await request('GET', '/api/ignores'), [200, { courses: ['_1_1'], categories: ['*:Quiz'] }]);
+        assert.deepEqual(await request('DELETE', '/api/ignores/courses/_1_1'), [200, { changed: true }]);
+
+        for (const type of ['alerts', '__proto__', 'constructor'])
+            assert.deepEqual(await request('PUT', `/api/ignores/${type}/_1_1`), [
+                400,
+                { error: 'INVALID_IGNORE_TYPE' },
+            ]);
+        assert.deepEqual(await request('DELETE', '/api/ignores/alerts/_1_1'), [400, { error: 'INVALID_IGNORE_TYPE' }]);
+    });
+});
@@ -0,0 +1,45 @@
+import assert from 'assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { close_database, open_database, save_account, use_api_key } from '../src/database.js';
+import { hash_api_key } from '../src/api.js';
+import { on_apikey_command } from '../src/commands/apikey.js';
+
+describe('on_apikey_command', () => {
+    before(() => open_database(':memory:'));
+    after(() => close_database());
+
+    afterEach(() => {
+        delete process.env['HTTP_PORT'];
+        reset_clients();
+    });
+
+    it('requires the HTTP server', async () => {
+        const interaction = create_interaction('apikey', { action: 'CREATE' });
+        await register_stub_client(interaction);
+        await on_apikey_command(interaction);
+
+        assert.match(last_response(interaction).content, /REST API is not enabled/);
+    });
+
+    it('creates, lists and revokes API keys', async () => {
+        process.env['HTTP_PORT'] = '8080';
+        const create = create_interaction('apikey', { action: 'CREATE' });
+        const client = await register_stub_client(create);
+        save_account('200:default', await client.export());
+        await on_apikey_command(create);
+
+        const [key] = last_response(create).content.match(/bbk_[\w-]+/);
+        assert.equal(use_api_key(hash_api_key(key)), '200:default');
+
+        const list = create_interaction('apikey', { action: 'LIST' });
+        await on_apikey_command(list);
+        assert.equal(last_response(list).embeds[0].fields.length, 1);
+        assert.match(last_response(list).embeds[0].fields[0].value, /Last Used/);
+
+        const revoke = create_interaction('apikey', { action: 'REVOKE' });
+        await on_apikey_command(revoke);
+        assert.match(last_response(revoke).content, /revoked 1\*\*/);
+        assert.equal(use_api_key(hash_api_key(key)), undefined);
+    });
+});
@@ -0,0 +1,74 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_client_interaction } from '../src/discord.js';
+import { on_assignment_command } from '../src/commands/assignment.js';
+
+/**
+ * Returns the fixture assignment of the first course for the given client.
+ *
+ * @param {import('./helpers.js').StubBlackboardClient} client
+ * @returns {Promise<import('../mock/fixtures.js').MockAssignment>}
+ */
+async function first_assignment(client) {
+    const course = (await client.get_all_courses(Infinity))['#1'];
+    return client.fixtures.courses.find(({ id }) => id === course.id).assignments[0];
+}
+
+describe('on_assignment_command', () => {
+    afterEach(() => reset_clients());
+
+    it('shows the details and attempt history of an assignment', async () => {
+        const interaction = create_interaction('assignment', { course: '1', assignment: 'final essay' });
+        const client = await register_stub_client(interaction);
+        const assignment = await first_assignment(client);
+        Object.assign(assignment, {
+            name: 'Final Essay',
+            possible: 50,
+            description: '<p>Write an <b>essay</b> about&nbsp;databases.</p>',
+            attempts: [
+                {
+                    id: '_2_1',
+                    created_at: Date.now(),
+                    submission: { id: '_4_1', body: '<p>Second try</p>', size: 2048 },
+                    grade: { score: 45, feedback: '<p>Much <i>better</i>!</p>' },
+                },
+                {
+                    id: '_1_1',
+                    created_at: Date.now() - 1000,
+                    submission: { id: '_3_1', body: null, size: null },
+                    grade: { score: null, feedback: null },
+                },
+            ],
+        });
+
+        // Leave another past assignment ungraded which would otherwise be fetched in detail as well
+        const course = client.fixtures.courses.find(({ assignments }) => assignments.includes(assignment));
+        Object.assign(course.assignments[1], { deadline_at: Date.now() - 1000, attempts: [] });
+        await on_assignment_command(interaction);
+
+        const [details, history] = last_response(interaction).embeds;
+        assert.equal(details.title, 'Final Essay');
+        assert.equal(details.description, 'Write an **essay** about databases.');
+        assert.equal(details.fields.find(({ name }) => name === 'Status').value, '`GRADED`');
+        assert.equal(details.fields.find(({ name }) => name === 'Grade').value, '`45 / 50 - 90%`');
+
+        assert.equal(history.fields.length, 2);
+        assert.equal(history.fields[0].name, 'Attempt #2');
+        assert.match(history.fields[0].value, /Submission Size: `2 KB`/);
+        assert.match(history.fields[0].value, /Feedback: Much \*better\*!/);
+        assert.match(history.fields[1].value, /Score: `Not Graded`/);
+
+        // Only the matched assignment is fetched in detail
+        const detailed = client.requests.filter((path) => /\/assignments\/[^/]+$/.test(path));
+        assert.deepEqual(detailed, [`/courses/${course.id}/assignments/${assignment.id}`]);
+    });
+
+    it('replies with the assignments hint when the assignment does not exist', async () => {
+        const interaction = create_interaction('assignment', { course: '1', assignment: 'Missing' });
+        await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+
+        assert.match(last_response(interaction).content, /The assignment you have provided does not exist/);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_assignments_command } from '../src/commands/assignments.js';
+
+describe('on_assignments_command', () => {
+    afterEach(() => reset_clients());
+
+    it('lists the assignments of a course sorted by the nearest deadline', async () => {
+        const interaction = create_interaction('assignments', { course: '1' });
+        const client = await register_stub_client(interaction);
+        await on_assignments_command(interaction);
+
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        const { assignments } = client.fixtures.courses.find(({ id }) => id === course.id);
+        const [embed] = last_response(interaction).embeds;
+        assert.equal(embed.title, 'Blackboard Assignments');
+        assert.match(embed.description, new RegExp(course.name));
+        assert.equal(embed.fields.length, assignments.length);
+
+        const nearest = [...assignments].sort(
+            (a, b) => Math.abs(a.deadline_at - Date.now()) - Math.abs(b.deadline_at - Date.now())
+        )[0];
+        assert.equal(embed.fields[0].name, nearest.name);
+    });
+
+    it('shows the grade and status of graded assignments', async () => {
+        const interaction = create_interaction('assignments', { course: '1' });
+        const client = await register_stub_client(interaction);
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        const [assignment] = client.fixtures.courses.find(({ id }) => id === course.id).assignments;
+        assignment.name = 'Graded Assignment';
+        assignment.possible = 20;
+        assignment.attempts = [
+            { id: '_1_1', created_at: Date.now(), submission: {}, grade: { score: 15, feedback: null } },
+        ];
+        await on_assignments_command(interaction);
+
+        const field = last_response(interaction).embeds[0].fields.find(({ name }) => name === 'Graded Assignment');
+        assert.match(field.value, /Status: `GRADED`/);
+        assert.match(field.value, /Grade: `15 \/ 20 - 75%`/);
+    });
+
+    it('shows a placeholder when the course has no assignments', async () => {
+        const interaction = create_interaction('assignments', { course: '1' });
+        const client = await register_stub_client(interaction);
+        client.fixtures.courses.forEach((course) => (course.assignments = []));
+        await on_assignments_command(interaction);
+
+        assert.equal(last_response(interaction).embeds[0].fields[0].name, 'No Assignments');
+    });
+
+    it('throws NO_COURSE for an unknown course', async () => {
+        const interaction = create_interaction('assignments', { course: '42' });
+        await register_stub_client(interaction);
+        await assert.rejects(on_assignments_command(interaction), { message: 'NO_COURSE' });
+    });
+});
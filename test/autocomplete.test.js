@@ -0,0 +1,101 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { create_autocomplete_interaction, create_interaction, register_stub_client, reset_clients } from './helpers.js';
+import { AUTOCOMPLETE_TIME_LIMIT } from '../src/autocomplete.js';
+import { on_client_interaction } from '../src/discord.js';
+
+describe('autocomplete', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('suggests courses matching the typed words', async () => {
+        const interaction = create_autocomplete_interaction('assignments', 'course', { course: 'data struct' });
+        const client = await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+
+        const course = client.fixtures.courses.find(({ name }) => name === 'Data Structures');
+        const [{ method, payload }] = interaction.calls;
+        assert.equal(method, 'respond');
+        assert.deepEqual(
+            payload.map(({ value }) => value),
+            [course.id]
+        );
+        assert.match(payload[0].name, /^Course #\d - Data Structures$/);
+    });
+
+    it('suggests the assignments of the selected course', async () => {
+        const interaction = create_autocomplete_interaction('assignment', 'assignment', {
+            course: '#1',
+            assignment: '',
+        });
+        const client = await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        const { assignments } = client.fixtures.courses.find(({ id }) => id === course.id);
+        const choices = interaction.calls[0].payload;
+        assert.equal(choices.length, assignments.length);
+        assert.deepEqual(choices.map(({ value }) => value).sort(), assignments.map(({ id }) => id).sort());
+    });
+
+    it('caches the suggestions of each client between keystrokes', async () => {
+        const first = create_autocomplete_interaction('assignments', 'course', { course: 'c' });
+        const client = await register_stub_client(first);
+        await on_client_interaction(first);
+        await on_client_interaction(create_autocomplete_interaction('assignments', 'course', { course: 'ca' }));
+
+        assert.equal(client.requests.filter((path) => path === '/courses').length, 1);
+    });
+
+    it('responds without suggestions in time and suggests them once they are cached', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const slow = create_autocomplete_interaction('assignments', 'course', { course: 'data' });
+        const client = await register_stub_client(slow);
+        const release = client.hold();
+
+        // Respond without suggestions once the time limit has passed
+        const pending = on_client_interaction(slow);
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(AUTOCOMPLETE_TIME_LIMIT);
+        await pending;
+        assert.deepEqual(slow.calls, [{ method: 'respond', payload: [] }]);
+
+        // The request completes in the background and serves the next keystroke
+        release();
+        await new Promise((resolve) => setImmediate(resolve));
+        const next = create_autocomplete_interaction('assignments', 'course', { course: 'data s' });
+        await on_client_interaction(next);
+        assert.equal(next.calls[0].payload.length, 1);
+        assert.equal(client.requests.filter((path) => path === '/courses').length, 1);
+    });
+
+    it('ignores failed responses to expired autocomplete requests', async () => {
+        const interaction = create_autocomplete_interaction('assignments', 'course', { course: 'calc' });
+        await register_stub_client(interaction);
+        interaction.respond = async () => {
+            throw new Error('Unknown interaction');
+        };
+        mock.method(console, 'error', () => {});
+        await on_client_interaction(interaction);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('responds without suggestions when no client is registered', async () => {
+        const interaction = create_autocomplete_interaction('assignments', 'course', { course: 'calc' });
+        await on_client_interaction(interaction);
+        assert.deepEqual(interaction.calls, [{ method: 'respond', payload: [] }]);
+    });
+
+    it('accepts the course ID of a suggestion in commands', async () => {
+        const interaction = create_interaction('assignments');
+        const client = await register_stub_client(interaction);
+        const course = client.fixtures.courses[2];
+        interaction.options.getString = (name) => (name === 'course' ? course.id : null);
+        await on_client_interaction(interaction);
+
+        assert.match(interaction.calls[0].payload.embeds[0].description, new RegExp(course.name));
+    });
+});
@@ -0,0 +1,161 @@
+import assert from 'assert/strict';
+import { randomBytes } from 'crypto';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { CALENDAR_FEED_CACHE_TIME, on_calendar_command, register_calendar_routes } from '../src/commands/calendar.js';
+import { start_http_server, stop_http_server } from '../src/server.js';
+
+describe('on_calendar_command', () => {
+    afterEach(() => {
+        delete process.env['HTTP_PORT'];
+        reset_clients();
+    });
+
+    it('attaches a calendar file with an event for each assignment', async () => {
+        const interaction = create_interaction('calendar');
+        const client = await register_stub_client(interaction);
+        await on_calendar_command(interaction);
+
+        const [file] = last_response(interaction).files;
+        const calendar = file.attachment.toString();
+        const assignments = client.fixtures.courses.flatMap(({ assignments }) => assignments);
+        assert.equal(file.name, 'blackboard-assignments.ics');
+        assert.match(calendar, /^BEGIN:VCALENDAR\r\n/);
+        assert.equal(calendar.match(/BEGIN:VEVENT/g).length, assignments.length);
+    });
+
+    it('requires the HTTP server for calendar feeds', async () => {
+        const interaction = create_interaction('calendar', { action: 'FEED' });
+        await register_stub_client(interaction);
+        await on_calendar_command(interaction);
+
+        assert.match(last_response(interaction).content, /not enabled/);
+    });
+
+    it('keeps the feed URL until it is reset', async () => {
+        process.env['HTTP_PORT'] = '8080';
+        const feed = create_interaction('calendar', { action: 'FEED' });
+        const client = await register_stub_client(feed);
+        await on_calendar_command(feed);
+
+        const token = client.get_setting('calendar_token');
+        assert.match(last_response(feed).content, new RegExp(`http://localhost:8080/calendar/${token}\\.ics`));
+
+        const again = create_interaction('calendar', { action: 'FEED' });
+        await on_calendar_command(again);
+        assert.equal(client.get_setting('calendar_token'), token);
+
+        const reset = create_interaction('calendar', { action: 'RESET_FEED' });
+        await on_calendar_command(reset);
+        assert.notEqual(client.get_setting('calendar_token'), token);
+        assert.match(last_response(reset).content, /previous calendar feed URL no longer works/);
+    });
+});
+
+describe('calendar feed route', () => {
+    let base_url;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        register_calendar_routes();
+        base_url = `http://localhost:${(await start_http_server(0)).address().port}`;
+    });
+
+    after(async () => {
+        await stop_http_server();
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    /**
+     * Registers a client with a calendar feed token and returns the client with the URL of its feed.
+     *
+     * @param {String} user
+     * @returns {Promise<[import('./helpers.js').StubBlackboardClient, String]>}
+     */
+    async function create_feed(user = '200') {
+        const client = await register_stub_client(create_interaction('calendar', {}, { user }));
+        const token = randomBytes(24).toString('hex');
+        client.set_setting('calendar_token', token);
+        return [client, `${base_url}/calendar/${token}.ics`];
+    }
+
+    it('serves the feed of the client which owns the token', async () => {
+        const [client, url] = await create_feed();
+        await create_feed('201');
+
+        const response = await fetch(url);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/calendar/);
+        const calendar = await response.text();
+        const assignments = client.fixtures.courses.flatMap(({ assignments }) => assignments);
+        assert.equal(calendar.match(/BEGIN:VEVENT/g).length, assignments.length);
+
+        const unknown = await fetch(`${base_url}/calendar/${'0'.repeat(48)}.ics`);
+        assert.equal(unknown.status, 404);
+    });
+
+    it('caches the feed for 15 minutes', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const [client, url] = await create_feed();
+        await (await fetch(url)).text();
+        const requests = client.requests.length;
+
+        await (await fetch(url)).text();
+        assert.equal(client.requests.length, requests);
+
+        mock.timers.tick(CALENDAR_FEED_CACHE_TIME + 1);
+        await (await fetch(url)).text();
+        assert.ok(client.requests.length > requests);
+    });
+
+    it('escapes and folds long text values', async () => {
+        const [client, url] = await create_feed();
+        const [course] = client.fixtures.courses;
+        course.assignments[0].name = `Essay; Part 1, Draft\\Final ${'é'.repeat(60)}`;
+
+        const calendar = await (await fetch(url)).text();
+        assert.ok(calendar.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+        assert.ok(
+            calendar
+                .replace(/\r\n /g, '')
+                .includes(`SUMMARY:Essay\\; Part 1\\, Draft\\\\Final ${'é'.repeat(60)} (${course.name})`)
+        );
+    });
+
+    it('serves the stale feed or the status of the failure when generating the feed fails', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const [client, url] = await create_feed();
+        const calendar = await (await fetch(url)).text();
+
+        // Serve the stale feed once it expired while Blackboard is unavailable
+        mock.timers.tick(CALENDAR_FEED_CACHE_TIME + 1);
+        mock.method(client, 'get_all_courses', async () => {
+            throw new Error('INVALID_HTTP_RESPONSE_502');
+        });
+        const stale = await fetch(url);
+        assert.equal(stale.status, 200);
+        assert.equal(await stale.text(), calendar);
+
+        // Respond with a temporary failure without a stale feed
+        const [other, other_url] = await create_feed('201');
+        mock.method(other, 'get_all_courses', async () => {
+            throw new Error('INVALID_HTTP_RESPONSE_502');
+        });
+        const unavailable = await fetch(other_url);
+        assert.equal(unavailable.status, 503);
+        await unavailable.text();
+
+        // Respond with a permanent failure once the session of the client expired
+        other.get_all_courses.mock.mockImplementation(async () => {
+            throw new Error('NO_CLIENT');
+        });
+        const gone = await fetch(other_url);
+        assert.equal(gone.status, 410);
+        await gone.text();
+    });
+});
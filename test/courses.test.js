@@ -0,0 +1,118 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_courses_command } from '../src/commands/courses.js';
+import { on_assignments_command } from '../src/commands/assignments.js';
+
+describe('on_courses_command', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('lists all courses with their course numbers', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        await on_courses_command(interaction);
+
+        const [embed] = last_response(interaction).embeds;
+        assert.equal(embed.title, 'Blackboard Courses');
+        assert.equal(embed.fields.length, client.fixtures.courses.length);
+        assert.match(embed.fields[0].name, /^Course #1/);
+    });
+
+    it('ignores and un-ignores a course by its course number', async () => {
+        const interaction = create_interaction('courses', { action: 'IGNORE', course: '1' });
+        const client = await register_stub_client(interaction);
+        await on_courses_command(interaction);
+
+        const { id } = (await client.get_all_courses(Infinity))['#1'];
+        assert.equal(client.ignored('courses', id), true);
+        assert.match(last_response(interaction).content, /Successfully \*\*ignored\*\*/);
+
+        const list = create_interaction('courses', { action: 'LIST' });
+        await on_courses_command(list);
+        assert.match(last_response(list).embeds[0].fields[0].name, /\(Ignored\)/);
+
+        const unignore = create_interaction('courses', { action: 'UNIGNORE', course: '1' });
+        await on_courses_command(unignore);
+        assert.ok(!client.ignored('courses', id));
+    });
+
+    it('keeps course numbers stable when courses are updated', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        const before = await client.get_all_courses(Infinity);
+
+        // Update the least recently updated course which moves it to the top
+        const course = client.fixtures.courses.find(({ id }) => id === Object.values(before).pop().id);
+        course.updated_at = Date.now();
+        const after = await client.get_all_courses(Infinity);
+
+        assert.equal(Object.values(after)[0].id, course.id);
+        Object.keys(before).forEach((key) => assert.equal(after[key].id, before[key].id));
+    });
+
+    it('numbers new courses after all known courses', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        await client.get_all_courses(Infinity);
+        client.fixtures.courses.push({ ...client.fixtures.courses[0], id: '_2000_1', updated_at: Date.now() });
+
+        const courses = await client.get_all_courses(Infinity);
+        assert.equal(courses[`#${client.fixtures.courses.length}`].id, '_2000_1');
+    });
+
+    it('sets, uses and removes course aliases', async () => {
+        const alias = create_interaction('courses', { action: 'ALIAS', course: '#2', alias: 'Algo' });
+        const client = await register_stub_client(alias);
+        await on_courses_command(alias);
+
+        const course = (await client.get_all_courses(Infinity))['#2'];
+        assert.match(last_response(alias).content, /as `algo`/);
+        assert.deepEqual(client.course_aliases, { algo: course.id });
+
+        const assignments = create_interaction('assignments', { course: 'ALGO' });
+        await on_assignments_command(assignments);
+        assert.match(last_response(assignments).embeds[0].description, new RegExp(course.name));
+
+        const unalias = create_interaction('courses', { action: 'UNALIAS', alias: 'algo' });
+        await on_courses_command(unalias);
+        assert.deepEqual(client.course_aliases, {});
+    });
+
+    it('rejects invalid and taken aliases', async () => {
+        const invalid = create_interaction('courses', { action: 'ALIAS', course: '#1', alias: '42' });
+        const client = await register_stub_client(invalid);
+        await on_courses_command(invalid);
+        assert.match(last_response(invalid).content, /valid \*\*alias\*\*/);
+
+        client.set_course_alias('taken', client.fixtures.courses[2].id);
+        const taken = create_interaction('courses', { action: 'ALIAS', course: '#1', alias: 'taken' });
+        await on_courses_command(taken);
+        assert.match(last_response(taken).content, /already used for another course/);
+    });
+
+    it('rejects an unknown course', async () => {
+        const interaction = create_interaction('courses', { action: 'IGNORE', course: '42' });
+        await register_stub_client(interaction);
+        await on_courses_command(interaction);
+
+        assert.match(last_response(interaction).content, /valid \*\*course\*\*/);
+    });
+
+    it('replies with an error when no courses are available', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        client.fixtures.courses = [];
+        mock.method(console, 'error', () => {});
+        await on_courses_command(interaction);
+
+        assert.match(last_response(interaction).content, /Failed to retrieve courses/);
+    });
+
+    it('throws NO_CLIENT without a registered client', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        await assert.rejects(on_courses_command(interaction), { message: 'NO_CLIENT' });
+    });
+});
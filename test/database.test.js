@@ -0,0 +1,215 @@
+import assert from 'assert/strict';
+import Database from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import './helpers.js';
+import {
+    backup_database,
+    close_database,
+    list_accounts,
+    load_account,
+    open_database,
+    save_account,
+} from '../src/database.js';
+import { decrypt, encrypt, is_encrypted, load_encryption_keys } from '../src/encryption.js';
+
+/**
+ * Returns the ID of the key an encrypted payload was encrypted with.
+ *
+ * @param {String} payload
+ * @returns {String}
+ */
+function key_id(payload) {
+    return payload.split(':')[2];
+}
+
+/**
+ * Returns the ID of the current encryption key.
+ * @returns {String}
+ */
+function current_key_id() {
+    return key_id(encrypt('id'));
+}
+
+/**
+ * Reads the raw column values of the accounts table and the encryption canary from a closed database file.
+ *
+ * @param {String} path
+ * @returns {{ accounts: Array<{ identifier: String, name: String, token: String }>, canary: String }}
+ */
+function read_raw(path) {
+    const db = new Database(path, { readonly: true });
+    const accounts = db.prepare('SELECT identifier, name, token FROM accounts').all();
+    const canary = db.prepare("SELECT value FROM meta WHERE key = 'encryption_canary'").get()?.value;
+    db.close();
+    return { accounts, canary };
+}
+
+describe('database encryption', () => {
+    const original_key = process.env['ENCRYPTION_KEY'];
+    let directory;
+    let path;
+
+    before(() => {
+        directory = mkdtempSync(join(tmpdir(), 'blackboard-database-'));
+        mock.method(console, 'log', () => {});
+    });
+    after(() => {
+        rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        close_database();
+        process.env['ENCRYPTION_KEY'] = original_key;
+        delete process.env['ENCRYPTION_PREVIOUS_KEYS'];
+        load_encryption_keys();
+    });
+
+    /**
+     * Opens a fresh database with the given key and stores a single account in it.
+     *
+     * @param {String} key
+     */
+    function create_database(key) {
+        path = join(directory, `${randomBytes(4).toString('hex')}.db`);
+        process.env['ENCRYPTION_KEY'] = key;
+        open_database(path);
+        save_account('200:default', {
+            name: 'Student',
+            token: 'secret-token',
+            alerts: { 'DM:GRADE_NOTIFICATIONS': { summary: 'GRADE_NOTIFICATIONS' } },
+        });
+        close_database();
+    }
+
+    it('re-encrypts data and the canary with the current key when rotating keys', () => {
+        const old_key = randomBytes(32).toString('base64');
+        const new_key = randomBytes(32).toString('hex');
+        create_database(old_key);
+        const old_id = key_id(read_raw(path).accounts[0].token);
+
+        // Rotate to the new key while keeping the old key for decryption
+        process.env['ENCRYPTION_KEY'] = new_key;
+        process.env['ENCRYPTION_PREVIOUS_KEYS'] = ` ${old_key} `;
+        open_database(path);
+        const new_id = current_key_id();
+        assert.notEqual(new_id, old_id);
+        assert.deepEqual(load_account('200:default').alerts, {
+            'DM:GRADE_NOTIFICATIONS': { summary: 'GRADE_NOTIFICATIONS' },
+        });
+        close_database();
+
+        const { accounts, canary } = read_raw(path);
+        assert.deepEqual(
+            [key_id(accounts[0].name), key_id(accounts[0].token), key_id(canary)],
+            [new_id, new_id, new_id]
+        );
+
+        // The old key is no longer required once the data has been re-encrypted
+        delete process.env['ENCRYPTION_PREVIOUS_KEYS'];
+        open_database(path);
+        assert.equal(load_account('200:default').token, 'secret-token');
+    });
+
+    it('refuses to start with a key which does not match the stored data', () => {
+        create_database(randomBytes(32).toString('base64'));
+
+        process.env['ENCRYPTION_KEY'] = randomBytes(32).toString('base64');
+        assert.throws(() => open_database(path), /does not match ENCRYPTION_KEY or any of ENCRYPTION_PREVIOUS_KEYS/);
+
+        // The database is left untouched and unopened
+        assert.throws(() => list_accounts(), /must be opened/);
+        assert.equal(read_raw(path).accounts.length, 1);
+
+        process.env['ENCRYPTION_KEY'] = 'too-short';
+        assert.throws(() => open_database(path), /ENCRYPTION_KEY must be a 32 byte key/);
+    });
+
+    it('encrypts plain text values left by older versions', () => {
+        create_database(randomBytes(32).toString('base64'));
+
+        // Store plain text values the way they were written before encryption was introduced
+        const db = new Database(path);
+        db.prepare("UPDATE accounts SET name = 'Student', token = 'plain-token'").run();
+        db.prepare(`UPDATE alerts SET data = '{"summary":"DEADLINE_REMINDERS"}'`).run();
+        db.close();
+
+        open_database(path);
+        close_database();
+        const [account] = read_raw(path).accounts;
+        assert.ok(is_encrypted(account.name) && is_encrypted(account.token));
+
+        open_database(path);
+        const { name, token, alerts } = load_account('200:default');
+        assert.deepEqual([name, token], ['Student', 'plain-token']);
+        assert.deepEqual(alerts, { 'DM:GRADE_NOTIFICATIONS': { summary: 'DEADLINE_REMINDERS' } });
+    });
+});
+
+describe('database backups', () => {
+    let directory;
+    let path;
+
+    before(() => {
+        directory = mkdtempSync(join(tmpdir(), 'blackboard-backups-'));
+        path = join(directory, 'blackboard.db');
+        mock.method(console, 'log', () => {});
+    });
+    after(() => {
+        rmSync(directory, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        close_database();
+        delete process.env['DATABASE_BACKUPS'];
+    });
+
+    it('keeps only the newest backups', async () => {
+        process.env['DATABASE_BACKUPS'] = '2';
+        open_database(path);
+        for (const name of ['First', 'Second', 'Third']) {
+            save_account('200:default', { name, alerts: {} });
+            assert.equal(await backup_database(), `${path}.backup.1`);
+        }
+
+        // The oldest backup was rotated out while the remaining backups hold the newest snapshots
+        assert.ok(!existsSync(`${path}.backup.3`));
+        assert.ok(!existsSync(`${path}.backup.tmp`));
+        const names = [1, 2].map((position) => {
+            const backup = new Database(`${path}.backup.${position}`, { readonly: true });
+            const { name } = backup.prepare('SELECT name FROM accounts').get();
+            backup.close();
+            return decrypt(name);
+        });
+        assert.deepEqual(names, ['Third', 'Second']);
+    });
+
+    it('restores the newest valid backup when the database is corrupted', async () => {
+        open_database(path);
+        save_account('200:default', { name: 'Older', alerts: {} });
+        await backup_database();
+        save_account('201:default', { name: 'Newer', alerts: {} });
+        await backup_database();
+        close_database();
+
+        // Truncate the database and corrupt the newest backup
+        writeFileSync(path, readFileSync(path).subarray(0, 100));
+        writeFileSync(`${path}.backup.1`, 'not a database');
+
+        open_database(path);
+        assert.deepEqual(list_accounts(), ['200:default']);
+        assert.equal(load_account('200:default').name, 'Older');
+        assert.ok(readdirSync(directory).some((file) => /^blackboard\.db\.corrupted\.\d+$/.test(file)));
+    });
+
+    it('fails to open a corrupted database without a valid backup', () => {
+        const lonely = join(directory, 'lonely.db');
+        writeFileSync(lonely, 'not a database');
+        assert.throws(() => open_database(lonely), /not a database/);
+    });
+});
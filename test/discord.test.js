@@ -0,0 +1,109 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { build_slash_commands, on_client_interaction } from '../src/discord.js';
+
+describe('on_client_interaction', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('ignores interactions for other commands', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' }, { command: 'other' });
+        await on_client_interaction(interaction);
+        assert.equal(interaction.calls.length, 0);
+    });
+
+    it('handles commands from direct messages with the account of the user', async () => {
+        const client = await register_stub_client(create_interaction('courses'));
+        const interaction = create_interaction('courses', { action: 'LIST' }, { guild: null });
+        await on_client_interaction(interaction);
+
+        assert.equal(last_response(interaction).embeds[0].fields.length, client.fixtures.courses.length);
+    });
+
+    it('replies with the login hint when no client is registered', async () => {
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        await on_client_interaction(interaction);
+
+        const response = last_response(interaction);
+        assert.equal(response.ephemeral, true);
+        assert.match(response.content, /No Blackboard Account is available/);
+        assert.match(response.content, /\/blackboard login/);
+    });
+
+    it('replies with the courses hint when the course does not exist', async () => {
+        const interaction = create_interaction('assignments', { course: '99' });
+        await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+
+        assert.match(last_response(interaction).content, /The course you have provided does not exist/);
+    });
+
+    it('replies with a generic message for unknown errors', async () => {
+        const interaction = create_interaction('assignments', { course: '1' });
+        const client = await register_stub_client(interaction);
+        client.get_all_courses = async () => {
+            throw new Error('UNEXPECTED');
+        };
+        mock.method(console, 'error', () => {});
+        await on_client_interaction(interaction);
+
+        assert.match(last_response(interaction).content, /An unknown error occurred/);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('replies directly when the command responds in time', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        await register_stub_client(interaction);
+        await on_client_interaction(interaction);
+        mock.timers.tick(1000);
+
+        assert.deepEqual(
+            interaction.calls.map(({ method }) => method),
+            ['reply']
+        );
+        assert.equal(last_response(interaction).embeds[0].title, 'Blackboard Courses');
+    });
+
+    it('defers and edits the reply when the command is slow', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const interaction = create_interaction('courses', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        const release = client.hold();
+
+        // Start the command and let the defer timeout elapse while the request is held
+        const pending = on_client_interaction(interaction);
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(500);
+        release();
+        await pending;
+
+        assert.deepEqual(
+            interaction.calls.map(({ method }) => method),
+            ['deferReply', 'editReply']
+        );
+        assert.equal(last_response(interaction).embeds[0].title, 'Blackboard Courses');
+    });
+
+    it('only replies once per interaction', async () => {
+        const interaction = create_interaction('unknown');
+        await on_client_interaction(interaction);
+        await interaction.safe_reply({ content: 'Second' });
+
+        assert.equal(interaction.calls.length, 1);
+        assert.match(interaction.calls[0].payload.content, /is not supported/);
+    });
+});
+
+describe('build_slash_commands', () => {
+    it('builds all sub-commands within the Discord limits', () => {
+        const command = build_slash_commands();
+        assert.equal(command.name, 'blackboard');
+        assert.equal(command.dm_permission, true);
+        assert.ok(command.options.find(({ name }) => name === 'login'));
+    });
+});
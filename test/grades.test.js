@@ -0,0 +1,87 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { compute_grade_stats, on_grades_command } from '../src/commands/grades.js';
+
+/**
+ * Returns a simple graded assignment for the grade statistics.
+ *
+ * @param {String} category
+ * @param {Number|null} score
+ * @param {Number|null} possible
+ * @returns {Object}
+ */
+function graded(category, score, possible) {
+    return { id: `${category}-${score}`, name: category, category, grade: { score, possible } };
+}
+
+describe('compute_grade_stats', () => {
+    it('totals the graded assignments overall and by category', () => {
+        const stats = compute_grade_stats([
+            graded('Homework', 8, 10),
+            graded('Homework', 10, 10),
+            graded('Exam', 30, 40),
+            graded('Exam', null, 40),
+            graded('Quiz', 5, null),
+        ]);
+
+        assert.equal(stats.score, 48);
+        assert.equal(stats.possible, 60);
+        assert.equal(stats.percentage, 80);
+        assert.equal(stats.count, 3);
+        assert.deepEqual(Object.keys(stats.categories).sort(), ['Exam', 'Homework']);
+        assert.equal(stats.categories.Homework.percentage, 90);
+        assert.equal(stats.categories.Exam.count, 1);
+    });
+});
+
+describe('on_grades_command', () => {
+    afterEach(() => reset_clients());
+
+    it('shows the overall average and the trend since the last check', async () => {
+        const interaction = create_interaction('grades');
+        const client = await register_stub_client(interaction);
+        await on_grades_command(interaction);
+
+        const [first] = last_response(interaction).embeds;
+        assert.equal(first.title, 'Grade Analytics');
+        assert.match(first.description, /Your overall average across \*\*\d\*\* course\(s\) is \*\*[\d.]+%\*\*\.$/);
+        assert.equal(client.get_setting('grade_history').length, 1);
+
+        // Grade another assignment which changes the average of its course
+        const course = client.fixtures.courses[0];
+        const assignment = course.assignments.find(({ attempts }) => !attempts.length);
+        assignment.attempts.push({ grade: { score: 0, feedback: null } });
+
+        const second = create_interaction('grades');
+        await on_grades_command(second);
+        const [embed] = last_response(second).embeds;
+        assert.match(embed.description, /\(▼ -?[\d.]+% since <t:\d+:R>\)$/);
+        assert.match(embed.fields.find(({ value }) => value.includes(course.url)).value, /▼/);
+        assert.equal(client.get_setting('grade_history').length, 2);
+    });
+
+    it('breaks down the grades of a single course by category', async () => {
+        const interaction = create_interaction('grades', { course: '1' });
+        const client = await register_stub_client(interaction);
+        await on_grades_command(interaction);
+
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        const [embed] = last_response(interaction).embeds;
+        assert.equal(embed.fields.length, 1);
+        assert.equal(embed.fields[0].name, `Course #1 - ${course.name}`);
+        assert.equal(client.get_setting('grade_history')?.[0].overall ?? null, null);
+    });
+
+    it('leaves out ignored courses', async () => {
+        const interaction = create_interaction('grades');
+        const client = await register_stub_client(interaction);
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        client.ignore('courses', course.id);
+        await on_grades_command(interaction);
+
+        const [embed] = last_response(interaction).embeds;
+        assert.equal(embed.fields.length, client.fixtures.courses.length - 1);
+        assert.ok(!embed.fields.find(({ name }) => name.startsWith('Course #1 ')));
+    });
+});
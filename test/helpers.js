@@ -0,0 +1,246 @@
+import { randomBytes } from 'crypto';
+import { generate_fixtures } from '../mock/fixtures.js';
+import { to_course, to_simple_assignment } from '../mock/server.js';
+import { BlackboardClient, RegisteredClients } from '../src/blackboard/client.js';
+import { interaction_to_identifier } from '../src/blackboard/methods.js';
+
+// Provide the environment variables the command handlers expect
+process.env['COMMAND_PREFIX'] ??= '/blackboard';
+process.env['ENCRYPTION_KEY'] ??= randomBytes(32).toString('base64');
+
+/**
+ * @typedef {Object} FakeInteractionCall
+ * @property {('reply'|'deferReply'|'editReply'|'followUp'|'send'|'respond'|'update'|'showModal')} method The interaction method which was called.
+ * @property {Object} payload The payload the method was called with.
+ */
+
+/**
+ * Creates a fake text channel for channel options.
+ *
+ * @param {String=} id
+ * @param {Boolean=} text_based
+ * @returns {Object}
+ */
+export function create_channel(id = '300', text_based = true) {
+    return { id, isTextBased: () => text_based, send: async (message) => message };
+}
+
+/**
+ * Creates a fake `ChatInputCommandInteraction` for the given sub-command and options.
+ * Note! Every reply, defer and edit is captured in the `calls` array of the interaction.
+ * Note! The `safe_reply` method captures replies for handlers called directly and is replaced by `on_client_interaction()`.
+ *
+ * @param {String} subcommand
+ * @param {Object<string, any>=} options
+ * @param {Object=} context
+ * @param {String|null=} context.guild The guild ID of the interaction or `null` for a direct message.
+ * @param {String=} context.user The user ID of the interaction.
+ * @param {String=} context.command The command name of the interaction.
+ * @param {String=} context.group The sub-command group of the interaction.
+ * @param {Array<String>=} context.roles The role IDs of the guild member.
+ * @param {Boolean=} context.manager Whether or not the guild member has the Manage Server permission.
+ * @returns {import('discord.js').ChatInputCommandInteraction & { calls: Array<FakeInteractionCall> }}
+ */
+export function create_interaction(subcommand, options = {}, context = {}) {
+    const {
+        guild = '100',
+        user = '200',
+        command = process.env['COMMAND_PREFIX'].replace('/', ''),
+        group = null,
+        roles = [],
+        manager = false,
+    } = context;
+    const calls = [];
+
+    // Returns an option value or null like discord.js does for missing options
+    const get = (name) => (options[name] === undefined ? null : options[name]);
+
+    // Captures a call to an interaction response method
+    const capture = (method) => async (payload) => {
+        calls.push({ method, payload });
+        return payload;
+    };
+
+    return {
+        calls,
+        id: randomBytes(8).toString('hex'),
+        commandName: command,
+        guildId: guild,
+        guild: guild ? { id: guild } : null,
+        user: { id: user, username: 'student', send: capture('send') },
+        member: guild ? { id: user, roles, send: capture('send') } : null,
+        memberPermissions: guild ? { has: () => manager } : null,
+        client: {
+            users: { fetch: async () => ({ id: user, send: capture('send') }) },
+            guilds: { fetch: async (id) => ({ id, channels: { fetch: async (channel) => create_channel(channel) } }) },
+        },
+        isCommand: () => true,
+        isChatInputCommand: () => true,
+        isAutocomplete: () => false,
+        isButton: () => false,
+        isModalSubmit: () => false,
+        options: {
+            getSubcommand: () => subcommand,
+            getSubcommandGroup: () => group,
+            getString: get,
+            getNumber: get,
+            getInteger: get,
+            getBoolean: get,
+            getChannel: get,
+            getRole: get,
+        },
+        reply: capture('reply'),
+        deferReply: capture('deferReply'),
+        editReply: capture('editReply'),
+        followUp: capture('followUp'),
+        safe_reply: capture('reply'),
+    };
+}
+
+/**
+ * Creates a fake `AutocompleteInteraction` for the focused option of the given sub-command.
+ * Note! The responded choices are captured in the `calls` array of the interaction.
+ *
+ * @param {String} subcommand
+ * @param {String} focused The name of the focused option.
+ * @param {Object<string, any>=} options The option values including the partial value of the focused option.
+ * @param {Object=} context
+ * @returns {import('discord.js').AutocompleteInteraction & { calls: Array<FakeInteractionCall> }}
+ */
+export function create_autocomplete_interaction(subcommand, focused, options = {}, context = {}) {
+    const interaction = create_interaction(subcommand, options, context);
+    interaction.isCommand = () => false;
+    interaction.isChatInputCommand = () => false;
+    interaction.isAutocomplete = () => true;
+    interaction.options.getFocused = (full) =>
+        full ? { name: focused, value: options[focused] || '' } : options[focused] || '';
+    interaction.respond = async (choices) => interaction.calls.push({ method: 'respond', payload: choices });
+    return interaction;
+}
+
+/**
+ * Creates a fake `ButtonInteraction` or `ModalSubmitInteraction` for the component with the given custom ID.
+ * Note! Message updates and shown modals are captured in the `calls` array of the interaction.
+ *
+ * @param {String} custom_id
+ * @param {Object=} context
+ * @param {String=} context.user The user ID of the interaction.
+ * @param {String|null=} context.guild The guild ID of the interaction or `null` for a direct message.
+ * @param {Array<String>=} context.roles The role IDs of the guild member.
+ * @param {Object<string, string>=} context.fields The text input values of a modal submission.
+ * @returns {(import('discord.js').ButtonInteraction|import('discord.js').ModalSubmitInteraction) & { calls: Array<FakeInteractionCall> }}
+ */
+export function create_component_interaction(custom_id, context = {}) {
+    const { user = '200', guild, roles, fields } = context;
+    const interaction = create_interaction(null, {}, { user, guild, roles });
+    interaction.customId = custom_id;
+    interaction.isCommand = () => false;
+    interaction.isChatInputCommand = () => false;
+    interaction.isButton = () => !fields;
+    interaction.isModalSubmit = () => !!fields;
+    interaction.fields = { getTextInputValue: (name) => fields?.[name] ?? '' };
+    interaction.update = async (payload) => interaction.calls.push({ method: 'update', payload });
+    interaction.showModal = async (payload) => interaction.calls.push({ method: 'showModal', payload });
+    return interaction;
+}
+
+/**
+ * Returns the payload of the last reply or edited reply of a fake interaction.
+ *
+ * @param {ReturnType<typeof create_interaction>} interaction
+ * @returns {Object=}
+ */
+export function last_response(interaction) {
+    return interaction.calls.filter(({ method }) => ['reply', 'editReply'].includes(method)).pop()?.payload;
+}
+
+/**
+ * A Blackboard client which serves API requests from in-memory fixtures instead of the network.
+ */
+export class StubBlackboardClient extends BlackboardClient {
+    #gate;
+
+    /**
+     * The paths of all API requests made by this client.
+     * @type {Array<String>}
+     */
+    requests = [];
+
+    /**
+     * @param {import('../mock/fixtures.js').MockFixtures} fixtures
+     */
+    constructor(fixtures) {
+        super();
+        this.fixtures = fixtures;
+    }
+
+    /**
+     * Serves an API request from the fixtures with the same responses as the mock Blackboard API server.
+     *
+     * @param {String} path
+     * @returns {Promise<Response>}
+     */
+    async _api_request(path) {
+        // Ensure the client is authenticated
+        this._ensure_authenticated();
+        this.requests.push(path);
+
+        // Wait for held requests to be released
+        await this.#gate;
+
+        // Resolve the response body from the fixtures
+        let status = 200;
+        let body;
+        const [, course_id, assignment_id] = path.match(/^\/courses\/([^/]+)\/assignments(?:\/([^/]+))?$/) || [];
+        const course = this.fixtures.courses.find(({ id }) => id === course_id);
+        const assignment = course?.assignments.find(({ id }) => id === assignment_id);
+        if (path === '/me') body = { full_name: this.fixtures.user.full_name };
+        else if (path === '/login/refresh') body = { token: 'stub-token' };
+        else if (path === '/courses') body = this.fixtures.courses.map(to_course);
+        else if (course && !assignment_id) body = course.assignments.map(to_simple_assignment);
+        else if (assignment) body = assignment;
+        else [status, body] = [404, { error: 'NOT_FOUND' }];
+
+        return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+    }
+
+    /**
+     * Holds all API requests until the returned release function is called.
+     * @returns {function():void}
+     */
+    hold() {
+        let release;
+        this.#gate = new Promise((resolve) => (release = resolve));
+        return () => {
+            this.#gate = undefined;
+            release();
+        };
+    }
+}
+
+/**
+ * Registers a logged in stub client for the caller of the given interaction.
+ *
+ * @param {ReturnType<typeof create_interaction>} interaction
+ * @param {import('../mock/fixtures.js').MockFixtures=} fixtures
+ * @param {String=} label The label of the account, defaults to the active account of the caller.
+ * @returns {Promise<StubBlackboardClient>}
+ */
+export async function register_stub_client(
+    interaction,
+    fixtures = generate_fixtures({ courses: 3, assignments: 6 }),
+    label
+) {
+    const client = new StubBlackboardClient(fixtures);
+    await client.import({ token: 'stub-token' }, 0, 0);
+    RegisteredClients.set(interaction_to_identifier(interaction, label), client);
+    return client;
+}
+
+/**
+ * Destroys and unregisters all registered clients.
+ */
+export function reset_clients() {
+    RegisteredClients.forEach((client) => client.destroy());
+    RegisteredClients.clear();
+}
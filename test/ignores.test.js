@@ -0,0 +1,91 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_ignores_command } from '../src/commands/ignores.js';
+import { on_assignments_command } from '../src/commands/assignments.js';
+import { generate_calendar } from '../src/commands/calendar.js';
+
+describe('on_ignores_command', () => {
+    afterEach(() => reset_clients());
+
+    it('ignores and un-ignores an assignment of a course', async () => {
+        const interaction = create_interaction('ignores', { action: 'IGNORE_ASSIGNMENT', course: '1' });
+        const client = await register_stub_client(interaction);
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        const [assignment] = client.fixtures.courses.find(({ id }) => id === course.id).assignments;
+        interaction.options.getString = (name) =>
+            ({ action: 'IGNORE_ASSIGNMENT', course: '1', assignment: assignment.name }[name] ?? null);
+        await on_ignores_command(interaction);
+
+        assert.match(last_response(interaction).content, /Successfully \*\*ignored\*\*/);
+        assert.equal(client.ignored('assignments', `${course.id}:${assignment.id}`), true);
+
+        // The assignment is hidden from the assignments of the course
+        const list = create_interaction('assignments', { course: '1' });
+        await on_assignments_command(list);
+        const [embed] = last_response(list).embeds;
+        assert.ok(!embed.fields.find(({ name }) => name === assignment.name));
+        assert.match(embed.description, /1 ignored assignment\(s\) are hidden/);
+
+        const unignore = create_interaction('ignores', {
+            action: 'UNIGNORE_ASSIGNMENT',
+            course: '1',
+            assignment: assignment.id,
+        });
+        await on_ignores_command(unignore);
+        assert.ok(!client.ignored('assignments', `${course.id}:${assignment.id}`));
+    });
+
+    it('ignores a category in all courses regardless of its case', async () => {
+        const interaction = create_interaction('ignores', { action: 'IGNORE_CATEGORY', category: 'quiz' });
+        const client = await register_stub_client(interaction);
+        await on_ignores_command(interaction);
+
+        assert.match(last_response(interaction).content, /the `Quiz` category in all courses/);
+        assert.deepEqual(client.ignores.categories, ['*:Quiz']);
+
+        // No quizzes of any course are included in the calendar
+        const calendar = await generate_calendar(client);
+        assert.ok(!calendar.includes('CATEGORIES:Quiz'));
+
+        const unignore = create_interaction('ignores', { action: 'UNIGNORE_CATEGORY', category: 'QUIZ' });
+        await on_ignores_command(unignore);
+        assert.equal(client.ignores.categories, undefined);
+    });
+
+    it('only ignores a category within the provided course', async () => {
+        const interaction = create_interaction('ignores', { action: 'IGNORE_CATEGORY', course: '1', category: 'Exam' });
+        const client = await register_stub_client(interaction);
+        await on_ignores_command(interaction);
+
+        const courses = await client.get_all_courses(Infinity);
+        const exam = { id: 'exam', category: 'Exam' };
+        assert.equal(client.ignored_assignment(courses['#1'], exam), true);
+        assert.equal(client.ignored_assignment(courses['#2'], exam), false);
+    });
+
+    it('lists everything that is ignored', async () => {
+        const interaction = create_interaction('ignores', { action: 'LIST' });
+        const client = await register_stub_client(interaction);
+        const course = (await client.get_all_courses(Infinity))['#2'];
+        const [assignment] = client.fixtures.courses.find(({ id }) => id === course.id).assignments;
+        client.ignore('courses', course.id);
+        client.ignore('assignments', `${course.id}:${assignment.id}`);
+        client.ignore('categories', '*:Discussion Board');
+        await on_ignores_command(interaction);
+
+        const [embed] = last_response(interaction).embeds;
+        assert.deepEqual(
+            embed.fields.map(({ name }) => name),
+            [`Course #2 - ${course.name}`, assignment.name, 'Discussion Board']
+        );
+        assert.equal(embed.fields[2].value, 'Category in **all courses**');
+    });
+
+    it('requires a course and an assignment to ignore an assignment', async () => {
+        const interaction = create_interaction('ignores', { action: 'IGNORE_ASSIGNMENT', assignment: 'Quiz' });
+        await register_stub_client(interaction);
+        await on_ignores_command(interaction);
+        assert.match(last_response(interaction).content, /provide both the \*\*course\*\* and the \*\*assignment\*\*/);
+    });
+});
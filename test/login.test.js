@@ -0,0 +1,112 @@
+import assert from 'assert/strict';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import { create_interaction, last_response, reset_clients } from './helpers.js';
+import { create_mock_server } from '../mock/server.js';
+import { close_database, list_accounts, open_database } from '../src/database.js';
+import { get_registered_client } from '../src/blackboard/methods.js';
+import { on_login_command } from '../src/commands/login.js';
+
+describe('on_login_command', () => {
+    const server = create_mock_server({ seed: 1 });
+
+    before(async () => {
+        open_database(':memory:');
+        process.env['BLACKBOARD_API_BASE'] = `http://localhost:${await server.listen()}`;
+    });
+
+    after(async () => {
+        await server.close();
+        close_database();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        reset_clients();
+    });
+
+    it('logs in and registers the client of the caller', async () => {
+        const interaction = create_interaction('login', { username: 'student', password: 'password' });
+        await on_login_command(interaction);
+
+        assert.match(last_response(interaction).content, /Logged in as \*\*Test Student\*\*/);
+        assert.equal(get_registered_client(interaction).name, 'Test Student');
+        assert.deepEqual(list_accounts(), ['200:default']);
+    });
+
+    it('logs in to a named account which becomes the active account', async () => {
+        const interaction = create_interaction('login', { username: 'student', password: 'password', account: 'Work' });
+        await on_login_command(interaction);
+
+        assert.match(last_response(interaction).content, /on your `work` account/);
+        assert.ok(list_accounts().includes('200:work'));
+        assert.equal(get_registered_client(create_interaction('courses', {}, { guild: '999' })).name, 'Test Student');
+    });
+
+    it('binds the event handlers of a client once when logging in again', async () => {
+        const options = { username: 'student', password: 'password', account: 'default' };
+        await on_login_command(create_interaction('login', options));
+        const interaction = create_interaction('login', options);
+        await on_login_command(interaction);
+
+        const client = get_registered_client(interaction);
+        for (const event of ['persist', 'dispatch', 'alert_paused', 'expired'])
+            assert.equal(client.listenerCount(event), 1, event);
+    });
+
+    it('logs in from direct messages and dispatches alerts back to them', async () => {
+        const interaction = create_interaction('login', { username: 'student', password: 'password' }, { guild: null });
+        await on_login_command(interaction);
+        const client = get_registered_client(interaction);
+
+        await client.listeners('dispatch')[0](null, null, 'Reminder', [{ title: 'Upcoming' }]);
+        assert.deepEqual(interaction.calls.pop(), {
+            method: 'send',
+            payload: { content: 'Reminder', embeds: [{ title: 'Upcoming' }] },
+        });
+    });
+
+    it('fails deliveries to deleted channels and notifies about paused alerts', async () => {
+        const options = { username: 'student', password: 'password', account: 'default' };
+        const interaction = create_interaction('login', options);
+        await on_login_command(interaction);
+        const client = get_registered_client(interaction);
+
+        interaction.client.guilds.fetch = async (id) => ({ id, channels: { fetch: async () => null } });
+        await assert.rejects(client.listeners('dispatch')[0]('100', '300', 'Summary', []), /channel no longer exists/);
+
+        mock.method(console, 'log', () => {});
+        await client.listeners('alert_paused')[0]('300:UPCOMING_ASSIGNMENTS', {
+            summary: 'UPCOMING_ASSIGNMENTS',
+            channel: '300',
+            failures: 3,
+            pause_reason: 'Missing Permissions',
+        });
+        const { method, payload } = interaction.calls.pop();
+        assert.equal(method, 'send');
+        assert.match(payload, /alert for the <#300> channel has been \*\*paused\*\* after 3 failed deliveries/);
+        assert.match(payload, /Reason: `Missing Permissions`/);
+    });
+
+    it('rejects invalid account names', async () => {
+        const interaction = create_interaction('login', { username: 'student', password: 'password', account: '1st' });
+        await on_login_command(interaction);
+
+        assert.match(last_response(interaction).content, /provide an \*\*account\*\* name/);
+    });
+
+    it('rejects incorrect credentials', async () => {
+        const interaction = create_interaction('login', { username: 'student', password: 'wrong' });
+        mock.method(console, 'error', () => {});
+        await on_login_command(interaction);
+
+        assert.match(last_response(interaction).content, /username or password you provided is incorrect/);
+        assert.equal(get_registered_client(interaction), undefined);
+    });
+
+    it('requires both a username and password', async () => {
+        const interaction = create_interaction('login', { username: 'student' });
+        await on_login_command(interaction);
+
+        assert.match(last_response(interaction).content, /both your CUNYFirst username and password/);
+    });
+});
@@ -0,0 +1,135 @@
+import assert from 'assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+    create_component_interaction,
+    create_interaction,
+    last_response,
+    register_stub_client,
+    reset_clients,
+} from './helpers.js';
+import { generate_fixtures } from '../mock/fixtures.js';
+import { close_database, create_api_key, list_accounts, open_database, save_account } from '../src/database.js';
+import { RegisteredClients } from '../src/blackboard/client.js';
+import { get_active_account_label, set_active_account_label } from '../src/blackboard/methods.js';
+import { on_logout_command } from '../src/commands/logout.js';
+import { on_export_command } from '../src/commands/export.js';
+import { on_client_interaction } from '../src/discord.js';
+
+/**
+ * Registers a default and a work account for the caller of the interaction and stores both to the database.
+ *
+ * @param {ReturnType<typeof create_interaction>} interaction
+ * @returns {Promise<void>}
+ */
+async function register_accounts(interaction) {
+    await register_stub_client(interaction, undefined, 'default');
+    await register_stub_client(interaction, generate_fixtures({ seed: 2, courses: 1 }), 'work');
+    for (const [identifier, client] of RegisteredClients) save_account(identifier, await client.export());
+    set_active_account_label(interaction.user.id, 'default');
+}
+
+describe('on_logout_command', () => {
+    before(() => open_database(':memory:'));
+    after(() => close_database());
+    afterEach(() => reset_clients());
+
+    it('logs out of the active account and deletes its data once confirmed', async () => {
+        const interaction = create_interaction('logout');
+        await register_accounts(interaction);
+        await on_logout_command(interaction);
+
+        // Ask for a confirmation without logging out yet
+        const { content, components } = last_response(interaction);
+        assert.match(content, /log out of your `default` account \(\*\*Test Student\*\*\)/);
+        const [confirm] = components[0].components;
+        assert.equal(confirm.custom_id, 'logout:default:confirm');
+        assert.ok(RegisteredClients.has('200:default'));
+
+        // Confirm the logout through the button
+        const button = create_component_interaction(confirm.custom_id);
+        await on_client_interaction(button);
+        assert.match(button.calls[0].payload.content, /Successfully \*\*logged out\*\*.*\n.*`work` account will now/);
+        assert.deepEqual(button.calls[0].payload.components, []);
+        assert.ok(!RegisteredClients.has('200:default'));
+        assert.deepEqual(list_accounts(), ['200:work']);
+        assert.equal(get_active_account_label('200'), 'work');
+
+        // Pressing the button again does not affect the remaining account
+        const again = create_component_interaction(confirm.custom_id);
+        await on_client_interaction(again);
+        assert.match(again.calls[0].payload.content, /already logged out/);
+        assert.deepEqual(list_accounts(), ['200:work']);
+    });
+
+    it('keeps the account when the logout is cancelled', async () => {
+        const interaction = create_interaction('logout', { account: 'work' });
+        await register_accounts(interaction);
+        await on_logout_command(interaction);
+
+        const [, cancel] = last_response(interaction).components[0].components;
+        const button = create_component_interaction(cancel.custom_id);
+        await on_client_interaction(button);
+
+        assert.match(button.calls[0].payload.content, /cancelled/);
+        assert.ok(RegisteredClients.has('200:work'));
+        assert.equal(list_accounts().filter((identifier) => identifier === '200:work').length, 1);
+    });
+
+    it('only logs out of the account of the user who pressed the button', async () => {
+        const interaction = create_interaction('logout');
+        await register_accounts(interaction);
+
+        const button = create_component_interaction('logout:default:confirm', { user: '201' });
+        await on_client_interaction(button);
+
+        assert.match(button.calls[0].payload.content, /already logged out/);
+        assert.ok(RegisteredClients.has('200:default'));
+    });
+
+    it('rejects accounts which do not exist', async () => {
+        const interaction = create_interaction('logout', { account: 'school' });
+        await register_stub_client(interaction, undefined, 'default');
+        await on_logout_command(interaction);
+
+        assert.match(last_response(interaction).content, /existing \*\*account\*\* names: `default`/);
+    });
+});
+
+describe('on_export_command', () => {
+    before(() => open_database(':memory:'));
+    after(() => close_database());
+    afterEach(() => reset_clients());
+
+    it('attaches all data stored about the caller without session tokens', async () => {
+        const interaction = create_interaction('export-data');
+        await register_accounts(interaction);
+        RegisteredClients.get('200:work').ignore('courses', 'course-1');
+        create_api_key('200:default', 'hash');
+        await on_export_command(interaction);
+
+        const { files } = last_response(interaction);
+        assert.equal(files[0].name, 'blackboard-data.json');
+        const text = files[0].attachment.toString();
+        assert.ok(!text.includes('stub-token'));
+
+        const data = JSON.parse(text);
+        assert.equal(data.discord_user, '200');
+        assert.deepEqual(
+            data.accounts.map(({ label, active, has_session_token }) => [label, active, has_session_token]),
+            [
+                ['default', true, true],
+                ['work', false, true],
+            ]
+        );
+        assert.deepEqual(data.accounts[1].ignore.courses, ['course-1']);
+        assert.deepEqual(
+            data.accounts[0].api_keys.map(({ hash }) => hash),
+            ['hash']
+        );
+    });
+
+    it('requires an account', async () => {
+        const interaction = create_interaction('export-data', {}, { user: '202' });
+        await assert.rejects(on_export_command(interaction), /NO_CLIENT/);
+    });
+});
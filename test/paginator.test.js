@@ -0,0 +1,110 @@
+import assert from 'assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { create_component_interaction, create_interaction, last_response } from './helpers.js';
+import { on_client_interaction } from '../src/discord.js';
+import { PAGINATOR_TIMEOUT, reply_with_pagination } from '../src/paginator.js';
+
+/**
+ * Returns an embed with the given number of fields.
+ *
+ * @param {Number} count
+ * @returns {Object}
+ */
+function create_embed(count) {
+    return {
+        title: 'Results',
+        fields: Array.from({ length: count }, (_, index) => ({ name: `Field ${index + 1}`, value: 'Value' })),
+    };
+}
+
+/**
+ * Returns the custom ID of the button with the given label from a paginated reply.
+ *
+ * @param {Object} payload
+ * @param {String} label
+ * @returns {String}
+ */
+function button(payload, label) {
+    return payload.components[0].components.find((component) => component.label === label).custom_id;
+}
+
+describe('reply_with_pagination', () => {
+    // Use fake timers to control the expiry of the pages
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('replies without buttons when all fields fit on one page', async () => {
+        const interaction = create_interaction('courses');
+        await reply_with_pagination(interaction, create_embed(10));
+
+        const response = last_response(interaction);
+        assert.equal(response.embeds.length, 1);
+        assert.equal(response.embeds[0].fields.length, 10);
+        assert.equal(response.components, undefined);
+    });
+
+    it('switches pages with the previous, next and jump buttons', async () => {
+        const interaction = create_interaction('courses');
+        await reply_with_pagination(interaction, create_embed(25));
+
+        const first = last_response(interaction);
+        assert.equal(first.embeds[0].footer.text, 'Page 1 of 3');
+        assert.equal(first.components[0].components[0].disabled, true);
+
+        const next = create_component_interaction(button(first, 'Next'));
+        await on_client_interaction(next);
+        assert.equal(next.calls[0].method, 'update');
+        assert.equal(next.calls[0].payload.embeds[0].fields[0].name, 'Field 11');
+
+        const jump = create_component_interaction(button(first, 'Jump to Page'));
+        await on_client_interaction(jump);
+        assert.equal(jump.calls[0].method, 'showModal');
+
+        const modal = create_component_interaction(jump.calls[0].payload.custom_id, { fields: { page: '3' } });
+        await on_client_interaction(modal);
+        const last = modal.calls[0].payload;
+        assert.equal(last.embeds[0].footer.text, 'Page 3 of 3');
+        assert.equal(last.embeds[0].fields.length, 5);
+        assert.equal(last.components[0].components[2].disabled, true);
+
+        const previous = create_component_interaction(button(first, 'Previous'));
+        await on_client_interaction(previous);
+        assert.equal(previous.calls[0].payload.embeds[0].footer.text, 'Page 2 of 3');
+    });
+
+    it('appends the page counter to the footer of the embed', async () => {
+        const interaction = create_interaction('courses');
+        const footer = { text: 'Last Updated', icon_url: 'https://example.com/icon.png' };
+        await reply_with_pagination(interaction, { ...create_embed(25), footer });
+
+        const [embed] = last_response(interaction).embeds;
+        assert.deepEqual(embed.footer, { ...footer, text: 'Last Updated • Page 1 of 3' });
+    });
+
+    it('rejects invalid pages and other users', async () => {
+        const interaction = create_interaction('courses');
+        await reply_with_pagination(interaction, create_embed(25));
+        const jump = button(last_response(interaction), 'Jump to Page');
+
+        const invalid = create_component_interaction(jump, { fields: { page: '9' } });
+        await on_client_interaction(invalid);
+        assert.match(last_response(invalid).content, /between \*\*1\*\* and \*\*3\*\*/);
+
+        const stranger = create_component_interaction(jump, { user: '999' });
+        await on_client_interaction(stranger);
+        assert.match(last_response(stranger).content, /Only the user who ran this command/);
+    });
+
+    it('removes the buttons once the pages expire', async () => {
+        const interaction = create_interaction('courses');
+        await reply_with_pagination(interaction, create_embed(25));
+        const next = button(last_response(interaction), 'Next');
+        mock.timers.tick(PAGINATOR_TIMEOUT);
+
+        assert.deepEqual(interaction.calls.pop(), { method: 'editReply', payload: { components: [] } });
+
+        const expired = create_component_interaction(next);
+        await on_client_interaction(expired);
+        assert.match(last_response(expired).content, /have expired/);
+    });
+});
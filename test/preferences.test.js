@@ -0,0 +1,41 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_preferences_command } from '../src/commands/preferences.js';
+
+describe('on_preferences_command', () => {
+    afterEach(() => reset_clients());
+
+    it('sets the preferences of every account of the caller', async () => {
+        const interaction = create_interaction('preferences', { quiet_hours: '22:00-07:00', all_clear: true });
+        const client = await register_stub_client(interaction, undefined, 'default');
+        const work = await register_stub_client(interaction, undefined, 'work');
+        await on_preferences_command(interaction);
+
+        assert.match(last_response(interaction).content, /Quiet Hours: \*\*22:00-07:00\*\*/);
+        for (const account of [client, work]) {
+            assert.deepEqual(account.quiet_hours, { start: '22:00', end: '07:00' });
+            assert.equal(account.all_clear, true);
+        }
+
+        // Each preference may be changed on its own
+        const disable = create_interaction('preferences', { quiet_hours: 'off' });
+        await on_preferences_command(disable);
+        assert.equal(client.quiet_hours, null);
+        assert.equal(client.all_clear, true);
+
+        // The current preferences are displayed without any options
+        const current = create_interaction('preferences');
+        await on_preferences_command(current);
+        assert.match(last_response(current).content, /Quiet Hours: \*\*Off\*\*.*\nAll Clear Messages: \*\*On\*\*/);
+    });
+
+    it('rejects invalid quiet hours', async () => {
+        const interaction = create_interaction('preferences', { quiet_hours: 'nights' });
+        const client = await register_stub_client(interaction, undefined, 'default');
+        await on_preferences_command(interaction);
+
+        assert.match(last_response(interaction).content, /valid \*\*quiet_hours\*\*/);
+        assert.equal(client.quiet_hours, null);
+    });
+});
@@ -0,0 +1,151 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import {
+    describe_schedule,
+    get_legacy_weekdays,
+    get_next_run,
+    get_quiet_hours_end,
+    parse_alert_schedule,
+    parse_cron_expression,
+    parse_quiet_hours,
+    parse_times,
+    parse_weekdays,
+} from '../src/schedule.js';
+
+// Monday, October 19th 2026 at 12:00 UTC
+const MONDAY_NOON = Date.UTC(2026, 9, 19, 12);
+
+describe('schedule parsing', () => {
+    it('parses, deduplicates and sorts times of day', () => {
+        assert.deepEqual(parse_times('17:00, 8:30, 8:30'), ['08:30', '17:00']);
+        assert.deepEqual(parse_times('0'), ['00:00']);
+        assert.equal(parse_times('24:00'), undefined);
+        assert.equal(parse_times('8:5'), undefined);
+        assert.equal(parse_times('1, 2, 3, 4, 5, 6'), undefined);
+    });
+
+    it('parses days of the week and ranges', () => {
+        assert.deepEqual(parse_weekdays('Fri, mon, Wednesday'), [1, 3, 5]);
+        assert.deepEqual(parse_weekdays('Mon-Fri'), [1, 2, 3, 4, 5]);
+        assert.deepEqual(parse_weekdays('Fri-Mon'), [0, 1, 5, 6]);
+        assert.equal(parse_weekdays('Mo'), undefined);
+        assert.equal(parse_weekdays('Someday'), undefined);
+    });
+
+    it('parses cron expressions with lists, ranges, steps and names', () => {
+        const expression = parse_cron_expression('0,30 */6 * jan-mar mon-fri');
+        assert.deepEqual(expression.minutes, [0, 30]);
+        assert.deepEqual(expression.hours, [0, 6, 12, 18]);
+        assert.deepEqual([...expression.months], [1, 2, 3]);
+        assert.deepEqual([...expression.weekdays], [1, 2, 3, 4, 5]);
+        assert.deepEqual([...parse_cron_expression('0 8 * * 7').weekdays], [0]);
+
+        for (const invalid of ['0 8 * *', '60 8 * * *', '0 8 * * 1-', '0 8 32 * *', '*/0 8 * * *'])
+            assert.equal(parse_cron_expression(invalid), undefined, invalid);
+    });
+
+    it('validates the schedule options of summary alerts', () => {
+        assert.deepEqual(parse_alert_schedule({ interval: 'DAILY', hour_of_day: 8, times: '17:00, 8:30' }, 'UTC'), {
+            interval: 'DAILY',
+            hour_of_day: 8,
+            times: ['08:30', '17:00'],
+        });
+
+        // Weekly alerts without weekdays run on the current day of the week
+        const weekly = parse_alert_schedule({ interval: 'WEEKLY', hour_of_day: 8 }, 'UTC');
+        assert.deepEqual(weekly.weekdays, [new Date().getUTCDay()]);
+
+        assert.throws(() => parse_alert_schedule({ times: 'noon' }, 'UTC'), /INVALID_TIMES/);
+        assert.throws(() => parse_alert_schedule({ weekdays: 'Caturday' }, 'UTC'), /INVALID_WEEKDAYS/);
+        assert.throws(() => parse_alert_schedule({ cron: '0 8 30 2 *' }, 'UTC'), /INVALID_CRON/);
+        assert.throws(() => parse_alert_schedule({ cron: '*/5 * * * *' }, 'UTC'), /CRON_TOO_FREQUENT/);
+    });
+});
+
+describe('get_next_run', () => {
+    it('runs daily alerts at their hour of the day in the timezone of the user', () => {
+        const alert = { interval: 'DAILY', hour_of_day: 8 };
+        assert.equal(get_next_run(alert, 'UTC', MONDAY_NOON), Date.UTC(2026, 9, 20, 8));
+        assert.equal(get_next_run(alert, 'America/New_York', MONDAY_NOON), Date.UTC(2026, 9, 20, 12));
+        assert.equal(get_next_run({ interval: 'DAILY', hour_of_day: 14 }, 'UTC', MONDAY_NOON), MONDAY_NOON + 7200000);
+    });
+
+    it('runs on the chosen days of the week at each time of the day', () => {
+        const alert = { interval: 'DAILY', hour_of_day: 8, times: ['08:30', '17:45'], weekdays: [1, 3] };
+        assert.equal(get_next_run(alert, 'UTC', MONDAY_NOON), Date.UTC(2026, 9, 19, 17, 45));
+        assert.equal(get_next_run(alert, 'UTC', Date.UTC(2026, 9, 19, 17, 45)), Date.UTC(2026, 9, 21, 8, 30));
+
+        // Weekly alerts created before weekdays were supported run on Mondays
+        const weekly = { interval: 'WEEKLY', hour_of_day: 8 };
+        assert.equal(get_next_run(weekly, 'UTC', MONDAY_NOON), Date.UTC(2026, 9, 26, 8));
+    });
+
+    it('keeps weekly alerts stored without weekdays on the day of their next run', () => {
+        assert.deepEqual(get_legacy_weekdays({ interval: 'WEEKLY', hour_of_day: 8 }, 'UTC', MONDAY_NOON), [2]);
+        assert.deepEqual(get_legacy_weekdays({ interval: 'WEEKLY', hour_of_day: 14 }, 'UTC', MONDAY_NOON), [1]);
+        assert.deepEqual(
+            get_legacy_weekdays({ interval: 'WEEKLY', hour_of_day: 6 }, 'America/Los_Angeles', MONDAY_NOON),
+            [1]
+        );
+    });
+
+    it('runs cron expressions', () => {
+        const weekdays = { cron: '0 8 * * 1-5' };
+        assert.equal(get_next_run(weekdays, 'UTC', Date.UTC(2026, 9, 23, 12)), Date.UTC(2026, 9, 26, 8));
+
+        // The day of the month and the day of the week match either day when both are restricted
+        const either = { cron: '0 8 1 * 0' };
+        assert.equal(get_next_run(either, 'UTC', MONDAY_NOON), Date.UTC(2026, 9, 25, 8));
+        assert.equal(get_next_run(either, 'UTC', Date.UTC(2026, 9, 26)), Date.UTC(2026, 10, 1, 8));
+
+        assert.equal(get_next_run({ cron: '0 8 29 2 *' }, 'UTC', MONDAY_NOON), Date.UTC(2028, 1, 29, 8));
+        assert.equal(get_next_run({ cron: '0 8 31 2 *' }, 'UTC', MONDAY_NOON), null);
+    });
+
+    it('keeps the wall clock time across daylight saving changes', () => {
+        const alert = { interval: 'DAILY', hour_of_day: 8 };
+        assert.equal(get_next_run(alert, 'America/New_York', Date.UTC(2026, 10, 1, 6)), Date.UTC(2026, 10, 1, 13));
+        assert.equal(get_next_run(alert, 'America/New_York', Date.UTC(2026, 10, 2, 6)), Date.UTC(2026, 10, 2, 13));
+
+        // Times skipped by the change run right after it
+        const skipped = { interval: 'DAILY', hour_of_day: 2, times: ['02:30'] };
+        assert.equal(get_next_run(skipped, 'America/New_York', Date.UTC(2026, 2, 8)), Date.UTC(2026, 2, 8, 7, 30));
+    });
+});
+
+describe('describe_schedule', () => {
+    it('describes the days and times of an alert', () => {
+        assert.equal(describe_schedule({ interval: 'DAILY', hour_of_day: 8 }), 'Daily @ 08:00');
+        assert.equal(describe_schedule({ interval: 'WEEKLY', hour_of_day: 8, weekdays: [5] }), 'Fridays @ 08:00');
+        assert.equal(
+            describe_schedule({ interval: 'DAILY', times: ['08:30', '17:00'], weekdays: [1, 3, 5] }),
+            'Mon, Wed, Fri @ 08:30, 17:00'
+        );
+        assert.equal(describe_schedule({ cron: '0 8 * * 1-5' }), 'Cron `0 8 * * 1-5`');
+    });
+});
+
+describe('quiet hours', () => {
+    it('parses quiet hours which may span midnight', () => {
+        assert.deepEqual(parse_quiet_hours('22:00-7:00'), { start: '22:00', end: '07:00' });
+        assert.equal(parse_quiet_hours('22:00'), undefined);
+        assert.equal(parse_quiet_hours('8:00-8:00'), undefined);
+        assert.equal(parse_quiet_hours('8:00-25:00'), undefined);
+    });
+
+    it('returns the end of the quiet hours for timestamps within them', () => {
+        const overnight = { start: '22:00', end: '07:00' };
+        assert.equal(get_quiet_hours_end(overnight, 'UTC', MONDAY_NOON), null);
+        assert.equal(get_quiet_hours_end(overnight, 'UTC', Date.UTC(2026, 9, 19, 23)), Date.UTC(2026, 9, 20, 7));
+        assert.equal(get_quiet_hours_end(overnight, 'UTC', Date.UTC(2026, 9, 19, 3)), Date.UTC(2026, 9, 19, 7));
+        assert.equal(get_quiet_hours_end(overnight, 'UTC', Date.UTC(2026, 9, 19, 7)), null);
+
+        // Quiet hours within a day in the timezone of the user
+        const lunch = { start: '12:00', end: '13:30' };
+        assert.equal(
+            get_quiet_hours_end(lunch, 'America/New_York', Date.UTC(2026, 9, 19, 16, 45)),
+            Date.UTC(2026, 9, 19, 17, 30)
+        );
+        assert.equal(get_quiet_hours_end(lunch, 'America/New_York', MONDAY_NOON), null);
+    });
+});
@@ -0,0 +1,84 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { generate_fixtures } from '../mock/fixtures.js';
+import { on_summary_command } from '../src/commands/summary.js';
+
+/**
+ * Runs the summary command for a fresh interaction of the same caller.
+ *
+ * @param {String} type
+ * @returns {Promise<Object>} The first embed of the reply.
+ */
+async function run_summary(type) {
+    const interaction = create_interaction('summary', { type });
+    await on_summary_command(interaction);
+    return last_response(interaction).embeds[0];
+}
+
+describe('on_summary_command', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        reset_clients();
+    });
+
+    it('describes when upcoming assignments are due in the timezone of the user', async () => {
+        // Sunday 11 PM in New York is already Monday in UTC
+        const now = Date.UTC(2026, 9, 19, 3);
+        mock.timers.enable({ apis: ['Date'], now });
+        const fixtures = generate_fixtures({ now, courses: 1, assignments: 1 });
+        Object.assign(fixtures.courses[0].assignments[0], { deadline_at: now + 1000 * 60 * 60 * 2, attempts: [] });
+        const client = await register_stub_client(create_interaction('summary'), fixtures);
+        await run_summary('UPCOMING_ASSIGNMENTS');
+
+        const eastern = await run_summary('UPCOMING_ASSIGNMENTS');
+        assert.equal(eastern.description, 'You have **1** upcoming assignment(s) due **tomorrow**.');
+
+        client.set_timezone('UTC');
+        const utc = await run_summary('UPCOMING_ASSIGNMENTS');
+        assert.equal(utc.description, 'You have **1** upcoming assignment(s) due **today**.');
+    });
+
+    it('summarizes upcoming assignments after the scores have been cached', async () => {
+        const client = await register_stub_client(create_interaction('summary'));
+
+        // The first summary only caches the current scores of each course
+        const first = await run_summary('UPCOMING_ASSIGNMENTS');
+        assert.equal(first.description, 'You have **0** upcoming assignments.');
+
+        const expected = client.fixtures.courses
+            .flatMap(({ assignments }) => assignments)
+            .filter(({ deadline_at, attempts }) => deadline_at > Date.now() && !attempts.length);
+        const second = await run_summary('UPCOMING_ASSIGNMENTS');
+        assert.equal(second.title, 'Upcoming To-Do Assignments');
+        assert.match(second.description, /upcoming assignment\(s\) due/);
+        assert.equal(second.fields.length, Math.min(expected.length, 10));
+    });
+
+    it('summarizes newly graded assignments only once', async () => {
+        const client = await register_stub_client(create_interaction('summary'));
+        await run_summary('RECENTLY_GRADED_ASSIGNMENTS');
+
+        // Grade a previously ungraded assignment
+        const assignment = client.fixtures.courses[0].assignments.find(({ attempts }) => !attempts.length);
+        assignment.name = 'Newly Graded';
+        assignment.attempts = [{ id: '_1_1', created_at: Date.now(), submission: {}, grade: { score: 5 } }];
+
+        const graded = await run_summary('RECENTLY_GRADED_ASSIGNMENTS');
+        assert.equal(graded.description, 'You have **1** recently graded assignment(s).');
+        assert.equal(graded.fields[0].name, 'Newly Graded');
+
+        const repeated = await run_summary('RECENTLY_GRADED_ASSIGNMENTS');
+        assert.equal(repeated.description, 'You have **0** recently graded assignment(s).');
+    });
+
+    it('leaves out ignored courses', async () => {
+        const client = await register_stub_client(create_interaction('summary'));
+        client.fixtures.courses.forEach(({ id }) => client.ignore('courses', id));
+        await run_summary('UPCOMING_ASSIGNMENTS');
+
+        const embed = await run_summary('UPCOMING_ASSIGNMENTS');
+        assert.equal(embed.description, 'You have **0** upcoming assignments.');
+        assert.equal(client.requests.filter((path) => path.includes('/assignments')).length, 0);
+    });
+});
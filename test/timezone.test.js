@@ -0,0 +1,88 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import {
+    create_autocomplete_interaction,
+    create_interaction,
+    last_response,
+    register_stub_client,
+    reset_clients,
+} from './helpers.js';
+import { on_timezone_command } from '../src/commands/timezone.js';
+import { on_alerts_command } from '../src/commands/alerts.js';
+import { on_client_interaction } from '../src/discord.js';
+import { get_calendar_day, resolve_timezone } from '../src/utils.js';
+
+describe('on_timezone_command', () => {
+    afterEach(() => reset_clients());
+
+    it('sets the timezone of every account of the caller', async () => {
+        const interaction = create_interaction('timezone', { timezone: 'europe/berlin' });
+        const client = await register_stub_client(interaction, undefined, 'default');
+        const work = await register_stub_client(interaction, undefined, 'work');
+        assert.equal(client.timezone, 'America/New_York');
+
+        await on_timezone_command(interaction);
+        assert.match(
+            last_response(interaction).content,
+            /Your timezone is now \*\*Europe\/Berlin\*\* \(UTC\+0[12]:00\)/
+        );
+        assert.equal(client.timezone, 'Europe/Berlin');
+        assert.equal(work.timezone, 'Europe/Berlin');
+
+        // The current timezone is displayed without a timezone option
+        const current = create_interaction('timezone');
+        await on_timezone_command(current);
+        assert.match(last_response(current).content, /Your timezone is \*\*Europe\/Berlin\*\*/);
+
+        // Alerts are described in the timezone of the user
+        client.deploy_alert({
+            summary: 'UPCOMING_ASSIGNMENTS',
+            guild: null,
+            channel: null,
+            interval: 'DAILY',
+            hour_of_day: 8,
+        });
+        const list = create_interaction('alerts', { action: 'LIST' });
+        await on_alerts_command(list);
+        assert.match(last_response(list).embeds[0].fields[0].value, /8:00\*\* \(24 Hour Format, Europe\/Berlin\)/);
+    });
+
+    it('rejects unsupported timezones', async () => {
+        const interaction = create_interaction('timezone', { timezone: 'Mars/Olympus_Mons' });
+        const client = await register_stub_client(interaction);
+        await on_timezone_command(interaction);
+
+        assert.match(last_response(interaction).content, /`Mars\/Olympus_Mons` timezone is not supported/);
+        assert.equal(client.timezone, 'America/New_York');
+    });
+
+    it('suggests timezones with their offset', async () => {
+        const interaction = create_autocomplete_interaction('timezone', 'timezone', { timezone: 'new york' });
+        await on_client_interaction(interaction);
+
+        assert.deepEqual(
+            interaction.calls[0].payload.map(({ value }) => value),
+            ['America/New_York']
+        );
+        assert.match(interaction.calls[0].payload[0].name, /^America\/New_York \(UTC-0[45]:00\)$/);
+    });
+});
+
+describe('timezone utilities', () => {
+    it('resolves timezones regardless of their case and aliases', () => {
+        assert.equal(resolve_timezone('utc'), 'UTC');
+        assert.equal(resolve_timezone('US/Eastern'), 'America/New_York');
+        assert.equal(resolve_timezone('nowhere'), undefined);
+    });
+
+    it('determines the calendar day within a timezone', () => {
+        // Monday 3 AM in UTC is still Sunday in New York
+        const timestamp = Date.UTC(2026, 9, 19, 3);
+        const utc = get_calendar_day(timestamp, 'UTC');
+        const eastern = get_calendar_day(timestamp, 'America/New_York');
+
+        assert.equal(utc.weekday, 0);
+        assert.equal(eastern.weekday, 6);
+        assert.equal(utc.day - eastern.day, 1);
+    });
+});
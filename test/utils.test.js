@@ -0,0 +1,64 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { group_embeds_into_messages, html_to_markdown, spread_fields_over_embeds, truncate } from '../src/utils.js';
+
+describe('html_to_markdown', () => {
+    it('converts formatting, links and lists', () => {
+        assert.equal(
+            html_to_markdown(
+                '<p>Read <b>chapter&nbsp;1</b> &amp; <a href="https://example.com">this</a>.</p><ul><li>One</li><li><em>Two</em></li></ul>'
+            ),
+            'Read **chapter 1** & [this](https://example.com).\n\n- One\n- *Two*'
+        );
+    });
+
+    it('strips unsupported tags and scripts', () => {
+        assert.equal(html_to_markdown('<span style="x">Hi</span><script>alert(1)</script><br/>there'), 'Hi\nthere');
+        assert.equal(html_to_markdown(null), '');
+    });
+});
+
+describe('truncate', () => {
+    it('keeps short text as is', () => {
+        assert.equal(truncate('Short', 10), 'Short');
+    });
+
+    it('cuts long text at a whitespace with an ellipsis', () => {
+        const result = truncate('word '.repeat(50), 40);
+        assert.ok(result.length <= 40);
+        assert.match(result, /word…$/);
+    });
+
+    it('closes unclosed code blocks', () => {
+        const result = truncate('```js\n' + 'code '.repeat(50), 60);
+        assert.ok(result.length <= 60);
+        assert.match(result, /\n```$/);
+    });
+});
+
+describe('spread_fields_over_embeds', () => {
+    it('keeps the remaining fields after the last full embed', () => {
+        const fields = Array.from({ length: 30 }, (_, index) => ({ name: `${index}`, value: 'Value' }));
+        const embeds = spread_fields_over_embeds({ title: 'Title', fields });
+        assert.deepEqual(
+            embeds.map((embed) => embed.fields.length),
+            [25, 5]
+        );
+    });
+});
+
+describe('group_embeds_into_messages', () => {
+    it('groups at most 10 embeds within 6000 characters into each message', () => {
+        const small = Array.from({ length: 12 }, () => ({ title: 'Small' }));
+        assert.deepEqual(
+            group_embeds_into_messages(small).map((embeds) => embeds.length),
+            [10, 2]
+        );
+
+        const large = Array.from({ length: 3 }, () => ({ description: 'x'.repeat(2500) }));
+        assert.deepEqual(
+            group_embeds_into_messages(large).map((embeds) => embeds.length),
+            [2, 1]
+        );
+    });
+});
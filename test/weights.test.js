@@ -0,0 +1,64 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { on_weights_command } from '../src/commands/weights.js';
+import { compute_grade_stats, compute_weighted_percentage } from '../src/commands/grades.js';
+
+describe('compute_weighted_percentage', () => {
+    const stats = compute_grade_stats([
+        { category: 'Homework', grade: { score: 10, possible: 10 } },
+        { category: 'Exam', grade: { score: 50, possible: 100 } },
+    ]);
+
+    it('falls back to the point percentage without weights', () => {
+        assert.equal(compute_weighted_percentage(stats), (60 / 110) * 100);
+    });
+
+    it('re-normalizes the weights over the graded categories', () => {
+        assert.equal(compute_weighted_percentage(stats, { homework: 20, Exam: 80 }), 60);
+        assert.equal(compute_weighted_percentage(stats, { Homework: 20, Exam: 40, Project: 40 }), (20 + 20) / 0.6);
+    });
+});
+
+describe('on_weights_command', () => {
+    afterEach(() => reset_clients());
+
+    it('sets, lists and removes the weight of a category', async () => {
+        const interaction = create_interaction('weights', {
+            action: 'SET',
+            course: '1',
+            category: 'homework',
+            weight: 25,
+        });
+        const client = await register_stub_client(interaction);
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        client.fixtures.courses.find(({ id }) => id === course.id).assignments[0].category = 'Homework';
+        await on_weights_command(interaction);
+
+        assert.match(last_response(interaction).content, /`Homework` category now weighs \*\*25%\*\*/);
+        assert.deepEqual(client.get_category_weights(course.id), { Homework: 25 });
+
+        const list = create_interaction('weights', { action: 'LIST', course: '1' });
+        await on_weights_command(list);
+        const [embed] = last_response(list).embeds;
+        assert.match(embed.description, /add up to \*\*25%\*\*/);
+        assert.deepEqual(embed.fields[0], { name: 'Homework', value: '`25%`', inline: true });
+
+        const remove = create_interaction('weights', { action: 'REMOVE', course: '1', category: 'HOMEWORK' });
+        await on_weights_command(remove);
+        assert.deepEqual(client.get_category_weights(course.id), {});
+        assert.equal(client.get_setting('category_weights'), undefined);
+    });
+
+    it('rejects categories which do not exist in the course', async () => {
+        const interaction = create_interaction('weights', {
+            action: 'SET',
+            course: '1',
+            category: 'Lab Reports',
+            weight: 10,
+        });
+        await register_stub_client(interaction);
+        await on_weights_command(interaction);
+        assert.match(last_response(interaction).content, /`Lab Reports` category does not exist/);
+    });
+});
@@ -0,0 +1,99 @@
+import assert from 'assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { create_interaction, last_response, register_stub_client, reset_clients } from './helpers.js';
+import { compute_required_percentage, on_whatif_command, parse_hypothetical_scores } from '../src/commands/whatif.js';
+import { generate_fixtures } from '../mock/fixtures.js';
+
+/**
+ * Returns fixtures with a single course whose assignments have the provided categories and grades.
+ *
+ * @param {Array<[String, Number|null, Number]>} grades The category, score and possible points of each assignment.
+ * @returns {import('../mock/fixtures.js').MockFixtures}
+ */
+function create_fixtures(grades) {
+    const fixtures = generate_fixtures({ courses: 1, assignments: grades.length });
+    fixtures.courses[0].assignments.forEach((assignment, index) => {
+        const [category, score, possible] = grades[index];
+        assignment.name = `${category} ${index + 1}`;
+        assignment.category = category;
+        assignment.possible = possible;
+        assignment.created_at = Date.now() - 1000;
+        assignment.attempts = score === null ? [] : [{ grade: { score, feedback: null } }];
+    });
+    return fixtures;
+}
+
+describe('parse_hypothetical_scores', () => {
+    it('parses points, fractions and percentages', () => {
+        assert.deepEqual(parse_hypothetical_scores('Final Exam=85%; Quiz 3 = 9/10\nHomework: 8'), [
+            { query: 'Final Exam', value: 85, unit: 'PERCENT' },
+            { query: 'Quiz 3', value: 9, unit: 'FRACTION', possible: 10 },
+            { query: 'Homework', value: 8, unit: 'POINTS' },
+        ]);
+    });
+
+    it('rejects scores in other formats', () => {
+        assert.throws(() => parse_hypothetical_scores('Final Exam=A+'), /INVALID_SCORES/);
+    });
+});
+
+describe('compute_required_percentage', () => {
+    const graded = [{ category: 'Exam', grade: { score: 60, possible: 100 } }];
+    const remaining = [{ category: 'Exam', grade: { score: null, possible: 100 } }];
+
+    it('returns the minimum average needed on the remaining assignments', () => {
+        assert.ok(Math.abs(compute_required_percentage(graded, remaining, {}, 70) - 80) < 0.01);
+    });
+
+    it('returns null for unreachable targets and zero for guaranteed targets', () => {
+        assert.equal(compute_required_percentage(graded, remaining, {}, 90), null);
+        assert.equal(compute_required_percentage(graded, remaining, {}, 30), 0);
+    });
+});
+
+describe('on_whatif_command', () => {
+    afterEach(() => reset_clients());
+
+    it('projects the grade with hypothetical scores and category weights', async () => {
+        const interaction = create_interaction('whatif', {
+            course: '1',
+            scores: 'Exam 3=50%',
+            target: 80,
+        });
+        const client = await register_stub_client(
+            interaction,
+            create_fixtures([
+                ['Homework', 9, 10],
+                ['Exam', 70, 100],
+                ['Exam', null, 100],
+                ['Exam', null, 100],
+            ])
+        );
+        const course = (await client.get_all_courses(Infinity))['#1'];
+        client.set_category_weight(course.id, 'Homework', 40);
+        client.set_category_weight(course.id, 'Exam', 60);
+        await on_whatif_command(interaction);
+
+        // Homework 90% * 0.4 + Exam 60% * 0.6 = 72%
+        const [embed] = last_response(interaction).embeds;
+        assert.match(embed.description, /projected grade for .+ is \*\*72%\*\*/);
+        assert.equal(embed.fields[0].value, 'Exam 3: `50 / 100`');
+
+        // Exams must average 73.33% thus the last exam needs at least 100%
+        assert.match(embed.fields[1].value, /at least \*\*100%\*\* on the remaining \*\*1\*\* assignment/);
+    });
+
+    it('replies with the expected format for invalid scores', async () => {
+        const interaction = create_interaction('whatif', { course: '1', scores: 'Exam=great' });
+        await register_stub_client(interaction);
+        await on_whatif_command(interaction);
+        assert.match(last_response(interaction).content, /`Assignment=Score`/);
+    });
+
+    it('rejects hypothetical scores for unknown assignments', async () => {
+        const interaction = create_interaction('whatif', { course: '1', scores: 'Nonexistent Project=10' });
+        await register_stub_client(interaction);
+        await on_whatif_command(interaction);
+        assert.match(last_response(interaction).content, /`Nonexistent Project` assignment is not an ungraded/);
+    });
+});